@@ -3,6 +3,8 @@ const path = require("path");
 // Load environment variables
 require("dotenv").config();
 
+const marketDataProvider = process.env.MARKET_DATA_PROVIDER || "finnhub";
+
 /**
  * Application configuration
  */
@@ -22,11 +24,52 @@ const config = {
     required: true,
   },
 
+  // Market data provider selection
+  marketData: {
+    provider: marketDataProvider,
+    // Valid providers: finnhub, simulated, replay
+    simulated: {
+      configFile:
+        process.env.SIMULATED_FEED_CONFIG ||
+        path.join(__dirname, "..", "config", "simulated-feed.json"),
+    },
+    replay: {
+      file: process.env.REPLAY_FILE,
+      speed: process.env.REPLAY_SPEED || "1",
+      // Valid speeds: a positive multiplier (1 = real time) or "max"
+      // Log triggers instead of notifying and writing alert state
+      dryRun: process.env.REPLAY_DRY_RUN !== "false",
+    },
+  },
+
+  // US equity trading sessions and holidays
+  marketHours: {
+    calendarFile:
+      process.env.MARKET_CALENDAR_FILE ||
+      path.join(__dirname, "..", "config", "market-calendar.json"),
+  },
+
+  // Raw trade recording (Finnhub provider only)
+  recording: {
+    enabled: process.env.RECORD_TRADES === "true",
+    directory: process.env.RECORD_DIR || "recordings",
+    maxFileBytes:
+      (parseInt(process.env.RECORD_MAX_FILE_MB, 10) || 50) * 1024 * 1024,
+    maxFiles: parseInt(process.env.RECORD_MAX_FILES, 10) || 20,
+  },
+
+  // OHLCV candle aggregation
+  candles: {
+    persist: process.env.CANDLE_PERSIST !== "false",
+    ringSize: parseInt(process.env.CANDLE_RING_SIZE, 10) || 500,
+    flushIntervalMs: parseInt(process.env.CANDLE_FLUSH_INTERVAL_MS, 10) || 5000,
+  },
+
   // Finnhub API configuration
   finnhub: {
     apiKey: process.env.FINNHUB_API_KEY,
     wsUrl: "wss://ws.finnhub.io",
-    required: true,
+    required: marketDataProvider === "finnhub",
   },
 
   // Discord webhook configuration
@@ -42,6 +85,72 @@ const config = {
     required: false, // Optional service
   },
 
+  // Slack incoming webhook configuration
+  slack: {
+    webhookUrl: process.env.SLACK_WEBHOOK_URL,
+    required: false, // Optional service
+  },
+
+  // Telegram Bot API configuration
+  telegram: {
+    botToken: process.env.TELEGRAM_BOT_TOKEN,
+    // Chats the global Telegram channel sends to
+    chatIds: process.env.TELEGRAM_CHAT_IDS
+      ? process.env.TELEGRAM_CHAT_IDS.split(",")
+          .map((chatId) => chatId.trim())
+          .filter(Boolean)
+      : [],
+    apiUrl: process.env.TELEGRAM_API_URL || "https://api.telegram.org",
+    required: false, // Optional service
+  },
+
+  // SMTP email configuration (MailHog: SMTP_HOST=localhost, SMTP_PORT=1025)
+  email: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.EMAIL_FROM || "Price Tracker <alerts@localhost>",
+    to: process.env.EMAIL_TO
+      ? process.env.EMAIL_TO.split(",")
+          .map((address) => address.trim())
+          .filter(Boolean)
+      : [],
+    // UTC hour to email the previous day's triggers to EMAIL_TO (unset: off)
+    dailySummaryHour: process.env.EMAIL_DAILY_SUMMARY_HOUR
+      ? parseInt(process.env.EMAIL_DAILY_SUMMARY_HOUR, 10)
+      : null,
+    required: false, // Optional service
+  },
+
+  // Notification outbox: retries failed deliveries from the
+  // notification_outbox table (off until the table has been created)
+  outbox: {
+    enabled: process.env.NOTIFICATION_OUTBOX === "true",
+    maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5,
+    baseDelayMs:
+      parseInt(process.env.NOTIFICATION_RETRY_BASE_MS, 10) || 30 * 1000, // 30 seconds
+    maxDelayMs:
+      parseInt(process.env.NOTIFICATION_RETRY_MAX_MS, 10) || 60 * 60 * 1000, // 1 hour
+    leaseMs: parseInt(process.env.NOTIFICATION_LEASE_MS, 10) || 5 * 60 * 1000, // 5 minutes
+    pollIntervalMs:
+      parseInt(process.env.NOTIFICATION_OUTBOX_POLL_MS, 10) || 15 * 1000, // 15 seconds
+    // Token operators send as X-Operator-Token to list and retry dead
+    // letters (unset: those endpoints are off)
+    operatorToken: process.env.NOTIFICATION_OPERATOR_TOKEN || null,
+  },
+
+  // n8n workflows started by alerts with an n8n_workflow_id
+  n8n: {
+    // e.g. http://localhost:5678/webhook/{workflowId}
+    webhookUrl: process.env.N8N_WEBHOOK_URL,
+    authHeader: process.env.N8N_AUTH_HEADER || "Authorization",
+    authValue: process.env.N8N_AUTH_VALUE,
+    timeoutMs: parseInt(process.env.N8N_TIMEOUT_MS, 10) || 30000,
+    required: false, // Optional service
+  },
+
   // Webhook configuration
   webhooks: {
     supabaseSecret: process.env.SUPABASE_WEBHOOK_SECRET,
@@ -130,6 +239,25 @@ function validateConfig() {
     }
   }
 
+  // Validate market data provider
+  const validProviders = ["finnhub", "simulated", "replay"];
+  if (!validProviders.includes(config.marketData.provider)) {
+    errors.push(
+      `MARKET_DATA_PROVIDER must be one of: ${validProviders.join(", ")}`
+    );
+  }
+
+  // Check replay configuration
+  if (config.marketData.provider === "replay") {
+    if (!config.marketData.replay.file) {
+      errors.push("REPLAY_FILE is required when MARKET_DATA_PROVIDER=replay");
+    }
+    const { speed } = config.marketData.replay;
+    if (speed !== "max" && !(Number(speed) > 0)) {
+      errors.push('REPLAY_SPEED must be a positive number or "max"');
+    }
+  }
+
   // Check required Discord configuration
   if (config.discord.required) {
     if (!config.discord.webhookUrl) {
@@ -137,6 +265,14 @@ function validateConfig() {
     }
   }
 
+  // Validate the daily summary hour
+  if (
+    config.email.dailySummaryHour !== null &&
+    !(config.email.dailySummaryHour >= 0 && config.email.dailySummaryHour <= 23)
+  ) {
+    errors.push("EMAIL_DAILY_SUMMARY_HOUR must be an hour from 0 to 23");
+  }
+
   // Validate port
   if (
     isNaN(config.server.port) ||
@@ -194,6 +330,7 @@ function printConfigSummary() {
     environment: config.server.nodeEnv,
     port: config.server.port,
     logLevel: config.logging.level,
+    marketDataProvider: config.marketData.provider,
     services: {
       supabase: !!config.supabase.url,
       finnhub: !!config.finnhub.apiKey,
@@ -18,13 +18,33 @@ const {
 // Import services
 const SupabaseService = require("./services/supabase");
 const FinnhubWebSocketService = require("./services/finnhub");
+const SimulatedFeedService = require("./services/simulatedFeed");
+const FinnhubReplayService = require("./services/finnhubReplay");
+const DryRunAlertManager = require("./services/dryRunAlertManager");
+const TradeRecorder = require("./utils/tradeRecorder");
 const DiscordService = require("./services/discord");
 const TeamsService = require("./services/teams");
+const SlackService = require("./services/slack");
+const EmailService = require("./services/email");
+const TelegramService = require("./services/telegram");
+const DailySummaryService = require("./services/dailySummary");
+const NotificationChannelRegistry = require("./services/notificationChannels");
+const NotificationRouter = require("./services/notificationRouter");
+const NotificationOutbox = require("./services/notificationOutbox");
 const AlertManager = require("./services/alertManager");
+const AlertBacktester = require("./services/alertBacktester");
+const CandleAggregator = require("./services/candleAggregator");
+const ExchangeCalendar = require("./services/exchangeCalendar");
+const QuietHoursService = require("./services/quietHours");
+const N8nService = require("./services/n8n");
 
 // Import routes
 const createAlertsRouter = require("./routes/alerts");
 const createStatusRouter = require("./routes/status");
+const createPricesRouter = require("./routes/prices");
+const createUsersRouter = require("./routes/users");
+const createDestinationsRouter = require("./routes/destinations");
+const createNotificationsRouter = require("./routes/notifications");
 
 class PriceTrackerApp {
   constructor() {
@@ -45,17 +65,27 @@ class PriceTrackerApp {
       logger.info("Connecting to Supabase...");
       this.services.supabase = new SupabaseService();
 
-      // Initialize Discord service
-      logger.info("Initializing Discord service...");
-      this.services.discord = new DiscordService(
-        config.discord.webhookUrl,
-        config.discord.debugWebhookUrl
+      // Initialize notification channels
+      this.services.notifications = await this.createNotificationChannels();
+
+      // Route each alert to the global channels and user destinations it names
+      this.services.notificationRouter = new NotificationRouter(
+        this.services.notifications,
+        this.services.supabase
       );
 
-      // Test Discord webhook
-      const discordHealthy = await this.services.discord.testWebhook();
-      if (!discordHealthy) {
-        logger.warn("Discord webhook test failed - notifications may not work");
+      // Retry failed deliveries from the outbox table
+      if (config.outbox.enabled) {
+        this.services.outbox = new NotificationOutbox(
+          this.services.supabase,
+          this.services.notificationRouter,
+          config.outbox
+        );
+        this.services.outbox.start();
+      } else {
+        logger.info(
+          "Notification outbox disabled - failed deliveries are not retried"
+        );
       }
 
       // Configure Discord logging if debug webhook is available
@@ -74,41 +104,91 @@ class PriceTrackerApp {
         );
       }
 
-      // Initialize Teams service (optional)
-      if (config.teams.webhookUrl) {
-        logger.info("Initializing Teams service...");
-        this.services.teams = new TeamsService(config.teams.webhookUrl);
-
-        // Test Teams webhook
-        const teamsHealthy = await this.services.teams.testWebhook();
-        if (!teamsHealthy) {
-          logger.warn(
-            "Teams webhook test failed - Teams notifications may not work"
-          );
-        } else {
-          logger.info("Teams service initialized successfully");
-        }
-      } else {
-        logger.info("Teams service not configured - TEAMS_WEBHOOK_URL not set");
-      }
-
-      // Initialize Finnhub WebSocket service
-      logger.info("Connecting to Finnhub WebSocket...");
-      this.services.finnhub = new FinnhubWebSocketService(
-        config.finnhub.apiKey
+      // Initialize market data provider
+      logger.info(
+        `Connecting to ${config.marketData.provider} market data provider...`
       );
-      await this.services.finnhub.connect();
+      this.services.marketData = this.createMarketDataProvider();
+      await this.services.marketData.connect();
+
+      // Build OHLCV candles from every trade the provider delivers. Only
+      // live candles are saved; simulated and replayed ones would overwrite
+      // the real history of the same symbols.
+      const persistCandles =
+        config.candles.persist && config.marketData.provider === "finnhub";
+      this.services.candles = new CandleAggregator(
+        this.services.marketData,
+        persistCandles ? this.services.supabase : null,
+        config.candles
+      );
+      this.services.candles.start();
 
-      // Initialize Alert Manager
-      logger.info("Starting Alert Manager...");
-      this.services.alertManager = new AlertManager(
+      // Market sessions for alerts limited to equity trading hours
+      this.services.calendar = new ExchangeCalendar({
+        calendarFile: config.marketHours.calendarFile,
+      });
+
+      // Hold or drop alerts during each user's quiet hours
+      this.services.quietHours = new QuietHoursService(
         this.services.supabase,
-        this.services.finnhub,
-        this.services.discord,
-        this.services.teams // Optional Teams service
+        this.services.marketData
       );
+      this.services.quietHours.start();
+
+      // n8n workflows for alerts that name one
+      if (config.n8n.webhookUrl) {
+        this.services.n8n = new N8nService(config.n8n);
+      } else {
+        logger.info("n8n not configured - N8N_WEBHOOK_URL not set");
+      }
+
+      // Initialize Alert Manager. Replays are dry runs unless
+      // REPLAY_DRY_RUN=false, so replayed prices cannot notify users or
+      // change their alerts.
+      logger.info("Starting Alert Manager...");
+      if (
+        config.marketData.provider === "replay" &&
+        config.marketData.replay.dryRun
+      ) {
+        logger.info(
+          "Replay dry run - triggers are logged, not sent or recorded"
+        );
+        this.services.alertManager = new DryRunAlertManager(
+          this.services.supabase,
+          this.services.marketData,
+          this.services.candles,
+          this.services.calendar
+        );
+      } else {
+        this.services.alertManager = new AlertManager(
+          this.services.supabase,
+          this.services.marketData,
+          this.services.notificationRouter,
+          this.services.candles,
+          this.services.calendar,
+          this.services.quietHours,
+          this.services.n8n,
+          this.services.outbox
+        );
+      }
       await this.services.alertManager.start();
 
+      // Email the previous day's triggers once a day
+      if (this.services.email && config.email.dailySummaryHour !== null) {
+        this.services.dailySummary = new DailySummaryService(
+          this.services.supabase,
+          this.services.email,
+          { hour: config.email.dailySummaryHour }
+        );
+        this.services.dailySummary.start();
+      }
+
+      // Backtests read the same recordings the trade recorder writes
+      this.services.backtester = new AlertBacktester({
+        directory: config.recording.directory,
+        exchangeCalendar: this.services.calendar,
+      });
+
       logger.info("All services initialized successfully");
     } catch (error) {
       logger.error("Failed to initialize services:", error);
@@ -116,6 +196,102 @@ class PriceTrackerApp {
     }
   }
 
+  /**
+   * Create the notification channels that are configured and send each a
+   * test message. Discord is always used; it also carries the debug log and
+   * status messages.
+   * @returns {Promise<NotificationChannelRegistry>} Registry of channels
+   */
+  async createNotificationChannels() {
+    const registry = new NotificationChannelRegistry();
+
+    logger.info("Initializing Discord service...");
+    this.services.discord = new DiscordService(
+      config.discord.webhookUrl,
+      config.discord.debugWebhookUrl
+    );
+    registry.register(this.services.discord);
+
+    // Teams is optional
+    if (config.teams.webhookUrl) {
+      logger.info("Initializing Teams service...");
+      registry.register(new TeamsService(config.teams.webhookUrl));
+    } else {
+      logger.info("Teams service not configured - TEAMS_WEBHOOK_URL not set");
+    }
+
+    // Slack is optional
+    if (config.slack.webhookUrl) {
+      logger.info("Initializing Slack service...");
+      registry.register(new SlackService(config.slack.webhookUrl));
+    } else {
+      logger.info("Slack service not configured - SLACK_WEBHOOK_URL not set");
+    }
+
+    // Telegram is optional
+    if (config.telegram.botToken && config.telegram.chatIds.length > 0) {
+      logger.info("Initializing Telegram service...");
+      registry.register(
+        new TelegramService(config.telegram.botToken, config.telegram.chatIds, {
+          apiUrl: config.telegram.apiUrl,
+        })
+      );
+    } else {
+      logger.info(
+        "Telegram service not configured - TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_IDS not set"
+      );
+    }
+
+    // Email is optional; it also sends the daily summary
+    if (config.email.host && config.email.to.length > 0) {
+      logger.info("Initializing email service...");
+      this.services.email = new EmailService(config.email);
+      registry.register(this.services.email);
+    } else {
+      logger.info(
+        "Email service not configured - SMTP_HOST and EMAIL_TO not set"
+      );
+    }
+
+    for (const name of registry.getNames()) {
+      const healthy = await registry.test(name);
+      if (!healthy) {
+        logger.warn(
+          `${name} test message failed - ${name} notifications may not work`
+        );
+      }
+    }
+
+    return registry;
+  }
+
+  /**
+   * Create the market data provider selected by MARKET_DATA_PROVIDER
+   * @returns {MarketDataProvider} Provider instance
+   */
+  createMarketDataProvider() {
+    switch (config.marketData.provider) {
+      case "simulated":
+        return new SimulatedFeedService({
+          configFile: config.marketData.simulated.configFile,
+        });
+      case "replay":
+        return new FinnhubReplayService(config.marketData.replay);
+      case "finnhub":
+      default: {
+        const finnhub = new FinnhubWebSocketService(config.finnhub.apiKey);
+
+        if (config.recording.enabled) {
+          logger.info(`Recording raw trades to ${config.recording.directory}`);
+          this.services.tradeRecorder = new TradeRecorder(config.recording);
+          finnhub.setRecorder(this.services.tradeRecorder);
+        }
+
+        return finnhub;
+      }
+    }
+  }
+
   /**
    * Setup Express middleware
    */
@@ -183,15 +359,42 @@ class PriceTrackerApp {
     // Mount route handlers
     apiRouter.use(
       "/alerts",
-      createAlertsRouter(this.services.supabase, this.services.alertManager)
+      createAlertsRouter(
+        this.services.supabase,
+        this.services.alertManager,
+        this.services.backtester
+      )
+    );
+
+    apiRouter.use("/prices", createPricesRouter(this.services.candles));
+
+    apiRouter.use(
+      "/users",
+      createUsersRouter(this.services.supabase, this.services.quietHours)
+    );
+
+    apiRouter.use(
+      "/destinations",
+      createDestinationsRouter(
+        this.services.supabase,
+        this.services.notificationRouter
+      )
+    );
+
+    apiRouter.use(
+      "/notifications",
+      createNotificationsRouter(
+        this.services.outbox,
+        config.outbox.operatorToken
+      )
     );
 
     apiRouter.use(
       "/status",
       createStatusRouter(
         this.services.alertManager,
-        this.services.finnhub,
-        this.services.discord
+        this.services.marketData,
+        this.services.notifications
       )
     );
 
@@ -206,6 +409,10 @@ class PriceTrackerApp {
         endpoints: {
           health: "/health",
           alerts: "/api/alerts",
+          prices: "/api/prices",
+          users: "/api/users",
+          destinations: "/api/destinations",
+          notifications: "/api/notifications",
           status: "/api/status",
         },
         documentation: "https://github.com/your-repo/price-tracker-backend",
@@ -259,10 +466,35 @@ class PriceTrackerApp {
           logger.info("Alert manager stopped");
         }
 
-        // Disconnect from Finnhub
-        if (this.services.finnhub) {
-          this.services.finnhub.disconnect();
-          logger.info("Finnhub WebSocket disconnected");
+        // Alerts still held for quiet hours are not kept across restarts
+        if (this.services.quietHours) {
+          this.services.quietHours.stop();
+        }
+
+        if (this.services.dailySummary) {
+          this.services.dailySummary.stop();
+        }
+
+        // Undelivered notifications stay in the outbox for the next run
+        if (this.services.outbox) {
+          this.services.outbox.stop();
+        }
+
+        // Persist candles that have already closed
+        if (this.services.candles) {
+          await this.services.candles.stop();
+        }
+
+        // Disconnect from the market data provider
+        if (this.services.marketData) {
+          this.services.marketData.disconnect();
+          logger.info("Market data provider disconnected");
+        }
+
+        // Flush the trade recording
+        if (this.services.tradeRecorder) {
+          await this.services.tradeRecorder.close();
+          logger.info("Trade recorder closed");
         }
 
         // Send shutdown notification to Discord
@@ -282,6 +514,19 @@ class PriceTrackerApp {
           }
         }
 
+        if (this.services.email) {
+          try {
+            await this.services.email.sendStatusNotification({
+              isRunning: false,
+              activeSymbols: [],
+              totalAlerts: 0,
+              finnhubConnectionStatus: false,
+            });
+          } catch (error) {
+            logger.warn("Failed to send shutdown status email:", error);
+          }
+        }
+
         logger.info("Graceful shutdown completed successfully");
       } catch (error) {
         logger.error("Error during graceful shutdown:", error);
@@ -338,12 +583,27 @@ class PriceTrackerApp {
           isRunning: true,
           activeSymbols: this.services.alertManager.getStatus().activeSymbols,
           totalAlerts: this.services.alertManager.getStatus().totalAlerts,
-          finnhubConnectionStatus: this.services.finnhub.getConnectionStatus(),
+          finnhubConnectionStatus:
+            this.services.marketData.getConnectionStatus(),
         });
       } catch (error) {
         logger.warn("Failed to send startup notification to Discord:", error);
       }
 
+      if (this.services.email) {
+        try {
+          await this.services.email.sendStatusNotification({
+            isRunning: true,
+            activeSymbols: this.services.alertManager.getStatus().activeSymbols,
+            totalAlerts: this.services.alertManager.getStatus().totalAlerts,
+            finnhubConnectionStatus:
+              this.services.marketData.getConnectionStatus(),
+          });
+        } catch (error) {
+          logger.warn("Failed to send startup status email:", error);
+        }
+      }
+
       logger.info("Price Tracker Backend started successfully! 🚀");
     } catch (error) {
       logger.error("Failed to start application:", error);
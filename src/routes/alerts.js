@@ -6,8 +6,30 @@ const {
   webhookRateLimit,
 } = require("../utils/webhooks");
 const config = require("../config");
+const {
+  INDICATOR_DEFAULTS,
+  ACTIVITY_DEFAULTS,
+} = require("../utils/indicators");
+const compoundRules = require("../utils/compoundRules");
+const { DERIVED_DEFAULTS } = require("../utils/derivedValues");
+const { RANGE_DEFAULTS, RANGE_EVENTS } = require("../utils/priceRanges");
+const CandleAggregator = require("../services/candleAggregator");
+const ExchangeCalendar = require("../services/exchangeCalendar");
+const QuietHoursService = require("../services/quietHours");
+
+// Alert directions accepted when creating and updating alerts
+const DIRECTIONS = ["above", "below", "either", "trailing"];
+
+// Condition types compared against target_value
+const TARGET_CONDITION_TYPES = ["price", ...Object.keys(DERIVED_DEFAULTS)];
+
+// Condition types whose params name the symbols to watch
+const MULTI_SYMBOL_CONDITION_TYPES = [
+  "compound",
+  ...Object.keys(DERIVED_DEFAULTS),
+];
 
-function createAlertsRouter(supabaseService, alertManager) {
+function createAlertsRouter(supabaseService, alertManager, alertBacktester) {
   const router = express.Router();
 
   /**
@@ -28,7 +50,7 @@ function createAlertsRouter(supabaseService, alertManager) {
 
       res.json({
         success: true,
-        data: alerts,
+        data: alerts.map((alert) => withEffectiveStop(alert, alertManager)),
         count: alerts.length,
       });
     } catch (error) {
@@ -63,41 +85,184 @@ function createAlertsRouter(supabaseService, alertManager) {
         notes,
         prompt,
         n8n_workflow_id,
+        percent_move,
+        reference_type,
+        reference_window_minutes,
+        rearm_band,
+        cooldown_seconds,
+        trigger_mode = "recurring",
+        expires_at,
+        active_from,
+        active_until,
+        sessions,
+        priority = "normal",
+        channels,
+        condition_type = "price",
+        params,
+        trail_amount,
+        trail_percent,
+        trail_side,
       } = req.body;
 
-      // Validate required fields
-      if (!symbol || !alert_type || target_value === undefined) {
+      const isPercentMove = percent_move !== undefined && percent_move !== null;
+      const isTrailing = direction === "trailing";
+      const hasTarget = TARGET_CONDITION_TYPES.includes(condition_type);
+
+      // Validate required fields; compound, ratio and spread alerts take
+      // their symbols from params
+      if (
+        (!symbol && !MULTI_SYMBOL_CONDITION_TYPES.includes(condition_type)) ||
+        !alert_type
+      ) {
         return res.status(400).json({
-          error: "Missing required fields: symbol, alert_type, target_value",
+          error: "Missing required fields: symbol, alert_type",
         });
       }
 
-      // Validate target_value is a number
-      if (typeof target_value !== "number" || target_value <= 0) {
+      const condition = parseConditionFields({
+        condition_type,
+        params,
+        direction,
+        percent_move,
+        rearm_band,
+      });
+      if (condition.error) {
+        return res.status(400).json({ error: condition.error });
+      }
+
+      // Trailing stops follow the price instead of a fixed target, and
+      // indicator, activity and compound alerts have no target
+      if (isTrailing) {
+        const trailingError = validateTrailingFields({
+          condition_type,
+          percent_move,
+          rearm_band,
+          trail_amount,
+          trail_percent,
+          trail_side,
+        });
+        if (trailingError) {
+          return res.status(400).json({ error: trailingError });
+        }
+      } else if (isPercentMove) {
+        const percentMoveError = validatePercentMoveFields({
+          percent_move,
+          reference_type,
+          reference_window_minutes,
+        });
+        if (percentMoveError) {
+          return res.status(400).json({ error: percentMoveError });
+        }
+      } else if (hasTarget && target_value === undefined) {
         return res.status(400).json({
-          error: "target_value must be a positive number",
+          error: "Missing required field: target_value (or percent_move)",
         });
+      } else if (hasTarget) {
+        // Validate target_value is a number
+        const targetError = validateTargetValue(condition_type, target_value);
+        if (targetError) {
+          return res.status(400).json({ error: targetError });
+        }
       }
 
       // Validate direction
-      if (!["above", "below", "either"].includes(direction)) {
+      if (!DIRECTIONS.includes(direction)) {
         return res.status(400).json({
-          error: 'direction must be "above", "below", or "either"',
+          error: 'direction must be "above", "below", "either", or "trailing"',
         });
       }
 
+      const rearmError = validateRearmFields({ rearm_band, cooldown_seconds });
+      if (rearmError) {
+        return res.status(400).json({ error: rearmError });
+      }
+
+      const scheduleError = validateScheduleFields({
+        trigger_mode,
+        expires_at,
+        active_from,
+        active_until,
+      });
+      if (scheduleError) {
+        return res.status(400).json({ error: scheduleError });
+      }
+
+      const sessionsError = validateSessions(sessions);
+      if (sessionsError) {
+        return res.status(400).json({ error: sessionsError });
+      }
+
+      if (!QuietHoursService.PRIORITIES.includes(priority)) {
+        return res.status(400).json({
+          error: `priority must be one of: ${QuietHoursService.PRIORITIES.join(
+            ", "
+          )}`,
+        });
+      }
+
+      const channelsError = await validateChannels(
+        channels,
+        userId,
+        supabaseService,
+        alertManager
+      );
+      if (channelsError) {
+        return res.status(400).json({ error: channelsError });
+      }
+
       const alertData = {
         user_id: userId,
-        symbol: symbol.toUpperCase(),
+        symbol:
+          getConditionSymbol(condition_type, condition.params) ||
+          symbol.toUpperCase(),
         alert_type,
-        target_value,
+        target_value: hasTarget && !isTrailing ? target_value : null,
         direction,
         enabled,
         notes,
         prompt,
         n8n_workflow_id,
+        rearm_band: rearm_band ?? null,
+        cooldown_seconds: cooldown_seconds ?? null,
+        armed: true,
+        trigger_mode,
+        expires_at: expires_at ? new Date(expires_at).toISOString() : null,
+        active_from: active_from ?? null,
+        active_until: active_until ?? null,
+        sessions: sessions ? [...new Set(sessions)] : null,
+        priority,
+        channels: channels ? [...new Set(channels)] : null,
+        condition_type,
+        params: condition.params,
       };
 
+      if (isPercentMove) {
+        alertData.target_value = null;
+        alertData.percent_move = percent_move;
+        alertData.reference_type = reference_type || "creation";
+        alertData.reference_window_minutes =
+          alertData.reference_type === "rolling"
+            ? reference_window_minutes
+            : null;
+
+        // Capture the price at creation when it is already known
+        alertData.reference_price =
+          alertData.reference_type === "creation" && alertManager
+            ? alertManager.getLatestPrice(alertData.symbol)
+            : null;
+      }
+
+      if (isTrailing) {
+        alertData.trail_amount = trail_amount ?? null;
+        alertData.trail_percent = trail_percent ?? null;
+        alertData.trail_side = trail_side || "long";
+
+        // Start trailing from the latest price when it is already known
+        alertData.high_water_mark = alertManager
+          ? alertManager.getLatestPrice(alertData.symbol)
+          : null;
+      }
+
       const newAlert = await supabaseService.createAlert(alertData);
 
       // Add to alert manager if enabled
@@ -107,7 +272,7 @@ function createAlertsRouter(supabaseService, alertManager) {
 
       res.status(201).json({
         success: true,
-        data: newAlert,
+        data: withEffectiveStop(newAlert, alertManager),
       });
     } catch (error) {
       logger.error("Error creating alert:", error);
@@ -118,6 +283,46 @@ function createAlertsRouter(supabaseService, alertManager) {
     }
   });
 
+  /**
+   * POST /alerts/backtest
+   * Simulate an alert definition over recorded trades without saving it
+   */
+  router.post("/backtest", async (req, res) => {
+    try {
+      const userId = req.headers["x-user-id"];
+
+      if (!userId) {
+        return res.status(400).json({
+          error: "Missing user ID header (x-user-id)",
+        });
+      }
+
+      if (!alertBacktester) {
+        return res.status(503).json({
+          error: "Backtesting not available",
+        });
+      }
+
+      const { error, alert, range } = parseBacktestRequest(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const result = await alertBacktester.run(alert, range);
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      logger.error("Error running alert backtest:", error);
+      res.status(500).json({
+        error: "Failed to run backtest",
+        message: error.message,
+      });
+    }
+  });
+
   /**
    * PUT /alerts/:id
    * Update an existing alert
@@ -142,6 +347,23 @@ function createAlertsRouter(supabaseService, alertManager) {
         notes,
         prompt,
         n8n_workflow_id,
+        percent_move,
+        reference_type,
+        reference_window_minutes,
+        rearm_band,
+        cooldown_seconds,
+        trigger_mode,
+        expires_at,
+        active_from,
+        active_until,
+        sessions,
+        priority,
+        channels,
+        condition_type,
+        params,
+        trail_amount,
+        trail_percent,
+        trail_side,
       } = req.body;
 
       // Build update object with only provided fields
@@ -149,17 +371,19 @@ function createAlertsRouter(supabaseService, alertManager) {
       if (symbol !== undefined) updateData.symbol = symbol.toUpperCase();
       if (alert_type !== undefined) updateData.alert_type = alert_type;
       if (target_value !== undefined) {
-        if (typeof target_value !== "number" || target_value <= 0) {
+        // Checked against the alert's condition type once it is loaded
+        if (typeof target_value !== "number" || !isFinite(target_value)) {
           return res.status(400).json({
-            error: "target_value must be a positive number",
+            error: "target_value must be a number",
           });
         }
         updateData.target_value = target_value;
       }
       if (direction !== undefined) {
-        if (!["above", "below"].includes(direction)) {
+        if (!DIRECTIONS.includes(direction)) {
           return res.status(400).json({
-            error: 'direction must be either "above" or "below"',
+            error:
+              'direction must be "above", "below", "either", or "trailing"',
           });
         }
         updateData.direction = direction;
@@ -169,6 +393,210 @@ function createAlertsRouter(supabaseService, alertManager) {
       if (prompt !== undefined) updateData.prompt = prompt;
       if (n8n_workflow_id !== undefined)
         updateData.n8n_workflow_id = n8n_workflow_id;
+      if (percent_move !== undefined && percent_move !== null) {
+        const percentMoveError = validatePercentMoveFields({
+          percent_move,
+          reference_type,
+          reference_window_minutes,
+        });
+        if (percentMoveError) {
+          return res.status(400).json({ error: percentMoveError });
+        }
+        updateData.percent_move = percent_move;
+        updateData.reference_type = reference_type || "creation";
+        updateData.reference_window_minutes =
+          updateData.reference_type === "rolling"
+            ? reference_window_minutes
+            : null;
+      } else if (percent_move === null) {
+        // Switching back to an absolute target alert
+        updateData.percent_move = null;
+        updateData.reference_type = null;
+        updateData.reference_window_minutes = null;
+        updateData.reference_price = null;
+      }
+      if (rearm_band !== undefined || cooldown_seconds !== undefined) {
+        const rearmError = validateRearmFields({
+          rearm_band,
+          cooldown_seconds,
+        });
+        if (rearmError) {
+          return res.status(400).json({ error: rearmError });
+        }
+        if (rearm_band !== undefined) updateData.rearm_band = rearm_band;
+        if (cooldown_seconds !== undefined)
+          updateData.cooldown_seconds = cooldown_seconds;
+      }
+
+      if (
+        [trigger_mode, expires_at, active_from, active_until].some(
+          (value) => value !== undefined
+        )
+      ) {
+        const scheduleError = validateScheduleFields({
+          trigger_mode,
+          expires_at,
+          active_from,
+          active_until,
+        });
+        if (scheduleError) {
+          return res.status(400).json({ error: scheduleError });
+        }
+        if (trigger_mode !== undefined) updateData.trigger_mode = trigger_mode;
+        if (expires_at !== undefined)
+          updateData.expires_at = expires_at
+            ? new Date(expires_at).toISOString()
+            : null;
+        if (active_from !== undefined) updateData.active_from = active_from;
+        if (active_until !== undefined) updateData.active_until = active_until;
+      }
+
+      if (sessions !== undefined) {
+        const sessionsError = validateSessions(sessions);
+        if (sessionsError) {
+          return res.status(400).json({ error: sessionsError });
+        }
+        updateData.sessions = sessions ? [...new Set(sessions)] : null;
+      }
+
+      if (priority !== undefined) {
+        if (!QuietHoursService.PRIORITIES.includes(priority)) {
+          return res.status(400).json({
+            error: `priority must be one of: ${QuietHoursService.PRIORITIES.join(
+              ", "
+            )}`,
+          });
+        }
+        updateData.priority = priority;
+      }
+
+      if (channels !== undefined) {
+        const channelsError = await validateChannels(
+          channels,
+          userId,
+          supabaseService,
+          alertManager
+        );
+        if (channelsError) {
+          return res.status(400).json({ error: channelsError });
+        }
+        updateData.channels = channels ? [...new Set(channels)] : null;
+      }
+
+      if (params !== undefined && condition_type === undefined) {
+        return res.status(400).json({
+          error: "condition_type is required when updating params",
+        });
+      }
+      if (condition_type !== undefined) {
+        const condition = parseConditionFields({
+          condition_type,
+          params,
+          direction,
+          percent_move,
+          rearm_band,
+        });
+        if (condition.error) {
+          return res.status(400).json({ error: condition.error });
+        }
+        updateData.condition_type = condition_type;
+        updateData.params = condition.params;
+
+        // Alerts on several symbols are stored under the first one
+        const conditionSymbol = getConditionSymbol(
+          condition_type,
+          condition.params
+        );
+        if (conditionSymbol) {
+          updateData.symbol = conditionSymbol;
+        }
+
+        if (condition_type === "price") {
+          if (
+            target_value === undefined &&
+            !updateData.percent_move &&
+            direction !== "trailing"
+          ) {
+            return res.status(400).json({
+              error:
+                "target_value or percent_move is required when switching to a price condition",
+            });
+          }
+        } else if (TARGET_CONDITION_TYPES.includes(condition_type)) {
+          if (target_value === undefined) {
+            return res.status(400).json({
+              error: `target_value is required when switching to a ${condition_type} condition`,
+            });
+          }
+          updateData.percent_move = null;
+          updateData.reference_type = null;
+          updateData.reference_window_minutes = null;
+          updateData.reference_price = null;
+          // Re-arm bands are a percentage of the target, so spreads have none
+          if (condition_type === "spread") {
+            updateData.rearm_band = null;
+          }
+        } else {
+          updateData.target_value = null;
+          updateData.percent_move = null;
+          updateData.reference_type = null;
+          updateData.reference_window_minutes = null;
+          updateData.reference_price = null;
+          updateData.rearm_band = null;
+        }
+      }
+
+      // Trailing settings are replaced as a whole and restart the trail
+      const trailFieldsSent = [trail_amount, trail_percent, trail_side].some(
+        (value) => value !== undefined
+      );
+      if (direction === "trailing") {
+        const trailingError = validateTrailingFields({
+          condition_type: condition_type ?? "price",
+          percent_move,
+          rearm_band,
+          trail_amount,
+          trail_percent,
+          trail_side,
+        });
+        if (trailingError) {
+          return res.status(400).json({ error: trailingError });
+        }
+        updateData.trail_amount = trail_amount ?? null;
+        updateData.trail_percent = trail_percent ?? null;
+        updateData.trail_side = trail_side || "long";
+        updateData.high_water_mark = null;
+        updateData.target_value = null;
+        updateData.percent_move = null;
+        updateData.reference_type = null;
+        updateData.reference_window_minutes = null;
+        updateData.reference_price = null;
+        updateData.rearm_band = null;
+      } else if (trailFieldsSent) {
+        return res.status(400).json({
+          error:
+            'trail_amount, trail_percent and trail_side can only be updated with direction "trailing"',
+        });
+      } else if (direction !== undefined) {
+        updateData.trail_amount = null;
+        updateData.trail_percent = null;
+        updateData.trail_side = null;
+        updateData.high_water_mark = null;
+      }
+
+      // A changed threshold starts armed again
+      const thresholdChanged = [
+        "target_value",
+        "direction",
+        "percent_move",
+        "rearm_band",
+        "condition_type",
+        "trail_amount",
+        "trail_percent",
+      ].some((field) => updateData[field] !== undefined);
+      if (thresholdChanged) {
+        updateData.armed = true;
+      }
 
       // Check if alert exists and belongs to user
       const existingAlerts = await supabaseService.getUserAlerts(userId);
@@ -182,6 +610,33 @@ function createAlertsRouter(supabaseService, alertManager) {
         });
       }
 
+      // A stop that stops trailing needs a fixed threshold instead
+      if (
+        existingAlert.direction === "trailing" &&
+        updateData.direction !== undefined &&
+        updateData.direction !== "trailing" &&
+        updateData.target_value === undefined &&
+        !updateData.percent_move
+      ) {
+        return res.status(400).json({
+          error:
+            "target_value or percent_move is required when switching away from a trailing stop",
+        });
+      }
+
+      if (
+        updateData.target_value !== undefined &&
+        updateData.target_value !== null
+      ) {
+        const targetError = validateTargetValue(
+          updateData.condition_type || existingAlert.condition_type || "price",
+          updateData.target_value
+        );
+        if (targetError) {
+          return res.status(400).json({ error: targetError });
+        }
+      }
+
       const updatedAlert = await supabaseService.updateAlert(
         alertId,
         updateData
@@ -189,6 +644,11 @@ function createAlertsRouter(supabaseService, alertManager) {
 
       // Update alert manager
       if (alertManager) {
+        if (thresholdChanged) {
+          alertManager.clearArmState(alertId);
+          alertManager.clearTrailMark(alertId);
+          alertManager.clearRangeState(alertId);
+        }
         if (enabled === false) {
           alertManager.removeAlert(alertId);
         } else if (enabled === true) {
@@ -200,7 +660,7 @@ function createAlertsRouter(supabaseService, alertManager) {
 
       res.json({
         success: true,
-        data: updatedAlert,
+        data: withEffectiveStop(updatedAlert, alertManager),
       });
     } catch (error) {
       logger.error("Error updating alert:", error);
@@ -289,6 +749,86 @@ function createAlertsRouter(supabaseService, alertManager) {
     }
   });
 
+  /**
+   * GET /alerts/history
+   * Get trigger history across all of the user's alerts
+   */
+  router.get("/history", async (req, res) => {
+    try {
+      const userId = req.headers["x-user-id"];
+
+      if (!userId) {
+        return res.status(400).json({
+          error: "Missing user ID header (x-user-id)",
+        });
+      }
+
+      const { error: queryError, options } = parseHistoryQuery(req.query);
+      if (queryError) {
+        return res.status(400).json({ error: queryError });
+      }
+
+      const { events, total } = await supabaseService.getAlertEvents(
+        userId,
+        options
+      );
+
+      res.json({
+        success: true,
+        data: events,
+        count: events.length,
+        pagination: { limit: options.limit, offset: options.offset, total },
+      });
+    } catch (error) {
+      logger.error("Error fetching alert history:", error);
+      res.status(500).json({
+        error: "Failed to fetch alert history",
+        message: error.message,
+      });
+    }
+  });
+
+  /**
+   * GET /alerts/:id/history
+   * Get trigger history for a single alert
+   */
+  router.get("/:id/history", async (req, res) => {
+    try {
+      const userId = req.headers["x-user-id"];
+      const alertId = req.params.id;
+
+      if (!userId) {
+        return res.status(400).json({
+          error: "Missing user ID header (x-user-id)",
+        });
+      }
+
+      const { error: queryError, options } = parseHistoryQuery(req.query);
+      if (queryError) {
+        return res.status(400).json({ error: queryError });
+      }
+
+      // Scoped by user_id, so history of deleted alerts stays readable
+      const { events, total } = await supabaseService.getAlertEvents(userId, {
+        ...options,
+        alertId,
+      });
+
+      res.json({
+        success: true,
+        data: events,
+        count: events.length,
+        pagination: { limit: options.limit, offset: options.offset, total },
+      });
+    } catch (error) {
+      logger.error("Error fetching alert history:", error);
+      res.status(500).json({
+        error: "Failed to fetch alert history",
+        message: error.message,
+      });
+    }
+  });
+
   /**
    * POST /alerts/:id/test
    * Test an alert (simulate trigger)
@@ -315,11 +855,138 @@ function createAlertsRouter(supabaseService, alertManager) {
       }
 
       // Simulate alert trigger with current price as target + small offset
-      const testPrice =
+      let testPrice =
         alert.direction === "above"
           ? alert.target_value + 1
           : alert.target_value - 1;
 
+      // Percent-move alerts are simulated as a move just past the threshold
+      let percentMoveData = {};
+      if (alert.percent_move !== null && alert.percent_move !== undefined) {
+        const referencePrice =
+          (alertManager && alertManager.getReferencePrice(alert)) ||
+          alert.reference_price ||
+          100;
+        const movePercent =
+          alert.direction === "below"
+            ? -(alert.percent_move + 0.1)
+            : alert.percent_move + 0.1;
+        testPrice = referencePrice * (1 + movePercent / 100);
+        percentMoveData = {
+          referencePrice,
+          referenceType: alert.reference_type || "creation",
+          percentThreshold: alert.percent_move,
+          percentMove: parseFloat(movePercent.toFixed(2)),
+        };
+      }
+
+      // Indicator alerts show their current values once enough candles closed
+      let indicatorData = {};
+      if (alertManager && alertManager.isIndicatorAlert(alert)) {
+        testPrice = alertManager.getLatestPrice(alert.symbol) || 100;
+        indicatorData = {
+          indicator: alertManager.evaluateIndicator(alert) || {
+            conditionType: alert.condition_type,
+            label: alertManager.getIndicatorLabel(alert),
+            interval: alertManager.getConditionParams(alert).interval,
+            summary: "Not enough closed candles yet",
+          },
+        };
+      }
+
+      // Activity alerts show the current window statistics
+      let activityData = {};
+      if (alertManager && alertManager.isActivityAlert(alert)) {
+        const { window_minutes, baseline_windows, multiplier } =
+          alertManager.getConditionParams(alert);
+        testPrice = alertManager.getLatestPrice(alert.symbol) || 100;
+        activityData = {
+          activity: alertManager.evaluateActivity(alert) || {
+            conditionType: alert.condition_type,
+            label:
+              alert.condition_type === "volume_spike"
+                ? "Volume spike"
+                : "Trade count spike",
+            metric:
+              alert.condition_type === "volume_spike" ? "volume" : "trades",
+            windowMinutes: window_minutes,
+            baselineWindows: baseline_windows,
+            multiplier,
+            current: 0,
+            average: 0,
+            ratio: null,
+          },
+        };
+      }
+
+      // Trailing stops are simulated as a hit at the current stop level
+      let trailingData = {};
+      if (alertManager && alertManager.isTrailingAlert(alert)) {
+        const mark =
+          alertManager.getTrailMark(alert) ??
+          alertManager.getLatestPrice(alert.symbol) ??
+          100;
+        const stop = alertManager.getTrailingStop({
+          ...alert,
+          high_water_mark: mark,
+        });
+        testPrice = stop;
+        trailingData = {
+          targetPrice: stop,
+          trailing: {
+            side: alert.trail_side || "long",
+            mark,
+            stop,
+            trailAmount: alert.trail_amount ?? null,
+            trailPercent: alert.trail_percent ?? null,
+          },
+        };
+      }
+
+      // Range alerts are simulated as a crossing of the upper boundary
+      let rangeData = {};
+      if (alertManager && alertManager.isRangeAlert(alert)) {
+        const { lower, upper, event } = alertManager.getConditionParams(alert);
+        const entering = event === "enter";
+        testPrice = entering ? (lower + upper) / 2 : upper + 1;
+        rangeData = {
+          targetPrice: upper,
+          range: {
+            lower,
+            upper,
+            event: entering ? "enter" : "exit",
+            boundary: "upper",
+            boundaryValue: upper,
+            fromZone: entering ? "above" : "inside",
+            toZone: entering ? "inside" : "above",
+          },
+        };
+      }
+
+      // Ratio and spread alerts show both legs and the current value
+      let derivedData = {};
+      if (alertManager && alertManager.isDerivedAlert(alert)) {
+        const derived = alertManager.evaluateDerived(alert);
+        testPrice = derived.value ?? alert.target_value;
+        derivedData = { symbol: derived.label, derived };
+      }
+
+      // Compound alerts show every leg at its latest price
+      let ruleData = {};
+      if (alertManager && alertManager.isCompoundAlert(alert)) {
+        const rule = alertManager.getConditionParams(alert);
+        testPrice = alertManager.getLatestPrice(alert.symbol) || 100;
+        ruleData = {
+          symbol: alertManager.getAlertSymbols(alert).join(", "),
+          rule: {
+            expression: compoundRules.describeRule(rule),
+            legs: compoundRules.evaluateRule(rule, (symbol) =>
+              alertManager.getLatestPrice(symbol)
+            ).legs,
+          },
+        };
+      }
+
       // Create test notification
       const testNotification = {
         alert,
@@ -334,16 +1001,25 @@ function createAlertsRouter(supabaseService, alertManager) {
         notes: alert.notes,
         prompt: alert.prompt,
         userId: alert.user_id,
+        ...percentMoveData,
+        ...indicatorData,
+        ...activityData,
+        ...ruleData,
+        ...derivedData,
+        ...trailingData,
+        ...rangeData,
       };
 
-      // Send test notification if Discord service is available
-      if (alertManager && alertManager.discordService) {
-        await alertManager.discordService.sendAlert(testNotification);
-      }
+      // Send test notification to the alert's channels
+      const delivery =
+        alertManager && alertManager.notificationRouter
+          ? await alertManager.notificationRouter.sendAlert(testNotification)
+          : {};
 
       res.json({
         success: true,
         message: "Test alert sent successfully",
+        delivery,
         testData: {
           symbol: alert.symbol,
           testPrice,
@@ -392,7 +1068,7 @@ function createAlertsRouter(supabaseService, alertManager) {
             await handleAlertInsert(record, alertManager);
             break;
           case "UPDATE":
-            await handleAlertUpdate(record, old_record, alertManager);
+            await handleAlertUpdate(record, alertManager);
             break;
           case "DELETE":
             await handleAlertDelete(old_record, alertManager);
@@ -425,6 +1101,750 @@ function createAlertsRouter(supabaseService, alertManager) {
   return router;
 }
 
+/**
+ * Parse date-range and pagination query parameters for history endpoints
+ * @param {Object} query - Express query object (from, to, limit, offset)
+ * @returns {{error: string|null, options: Object}} Parsed options or error
+ */
+function parseHistoryQuery(query) {
+  const { from, to } = query;
+  const limit = query.limit === undefined ? 50 : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+    return { error: "limit must be an integer between 1 and 200" };
+  }
+
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: "offset must be a non-negative integer" };
+  }
+
+  const options = { limit, offset };
+
+  for (const [name, value] of [
+    ["from", from],
+    ["to", to],
+  ]) {
+    if (value === undefined) continue;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return { error: `${name} must be a valid ISO 8601 date` };
+    }
+    options[name] = date.toISOString();
+  }
+
+  if (options.from && options.to && options.from > options.to) {
+    return { error: "from must be before to" };
+  }
+
+  return { error: null, options };
+}
+
+/**
+ * Validate a backtest request and build the alert definition to simulate
+ * @param {Object} body - Request body with alert, from and to
+ * @returns {{error: string|null, alert: Object, range: Object}} Parsed request or error
+ */
+function parseBacktestRequest(body = {}) {
+  const { alert, from, to } = body;
+
+  if (!alert || typeof alert !== "object") {
+    return { error: "Missing required field: alert" };
+  }
+
+  const range = {};
+  for (const [name, value] of [
+    ["from", from],
+    ["to", to],
+  ]) {
+    const date = new Date(value);
+    if (value === undefined || isNaN(date.getTime())) {
+      return { error: `${name} must be a valid ISO 8601 date` };
+    }
+    range[name] = date;
+  }
+
+  if (range.from >= range.to) {
+    return { error: "from must be before to" };
+  }
+
+  const {
+    symbol,
+    target_value,
+    direction = "above",
+    percent_move,
+    reference_type,
+    reference_window_minutes,
+    reference_price,
+    rearm_band,
+    cooldown_seconds,
+    trigger_mode = "recurring",
+    expires_at,
+    active_from,
+    active_until,
+    sessions,
+    condition_type = "price",
+    params,
+    trail_amount,
+    trail_percent,
+    trail_side,
+  } = alert;
+
+  const isPercentMove = percent_move !== undefined && percent_move !== null;
+  const isTrailing = direction === "trailing";
+  const hasTarget = TARGET_CONDITION_TYPES.includes(condition_type);
+
+  if (!symbol && !MULTI_SYMBOL_CONDITION_TYPES.includes(condition_type)) {
+    return { error: "Missing required field: alert.symbol" };
+  }
+
+  const condition = parseConditionFields({
+    condition_type,
+    params,
+    direction,
+    percent_move,
+    rearm_band,
+  });
+  if (condition.error) {
+    return { error: condition.error };
+  }
+
+  // Trailing stops follow the price instead of a fixed target, and
+  // indicator, activity and compound alerts have no target
+  if (isTrailing) {
+    const trailingError = validateTrailingFields({
+      condition_type,
+      percent_move,
+      rearm_band,
+      trail_amount,
+      trail_percent,
+      trail_side,
+    });
+    if (trailingError) {
+      return { error: trailingError };
+    }
+  } else if (isPercentMove) {
+    const percentMoveError = validatePercentMoveFields({
+      percent_move,
+      reference_type,
+      reference_window_minutes,
+    });
+    if (percentMoveError) {
+      return { error: percentMoveError };
+    }
+    if (
+      reference_price !== undefined &&
+      reference_price !== null &&
+      (typeof reference_price !== "number" || reference_price <= 0)
+    ) {
+      return { error: "reference_price must be a positive number" };
+    }
+  } else if (hasTarget) {
+    const targetError = validateTargetValue(condition_type, target_value);
+    if (targetError) {
+      return { error: targetError };
+    }
+  }
+
+  if (!DIRECTIONS.includes(direction)) {
+    return {
+      error: 'direction must be "above", "below", "either", or "trailing"',
+    };
+  }
+
+  const rearmError = validateRearmFields({ rearm_band, cooldown_seconds });
+  if (rearmError) {
+    return { error: rearmError };
+  }
+
+  // Expiry may lie in the past here, so it is checked separately
+  const scheduleError = validateScheduleFields({
+    trigger_mode,
+    active_from,
+    active_until,
+  });
+  if (scheduleError) {
+    return { error: scheduleError };
+  }
+  if (
+    expires_at !== undefined &&
+    expires_at !== null &&
+    isNaN(new Date(expires_at).getTime())
+  ) {
+    return { error: "expires_at must be a valid ISO 8601 date" };
+  }
+
+  const sessionsError = validateSessions(sessions);
+  if (sessionsError) {
+    return { error: sessionsError };
+  }
+
+  const definition = {
+    symbol:
+      getConditionSymbol(condition_type, condition.params) ||
+      symbol.toUpperCase(),
+    target_value:
+      isPercentMove || isTrailing || !hasTarget ? null : target_value,
+    direction,
+    rearm_band: rearm_band ?? null,
+    cooldown_seconds: cooldown_seconds ?? null,
+    trigger_mode,
+    expires_at: expires_at ? new Date(expires_at).toISOString() : null,
+    active_from: active_from ?? null,
+    active_until: active_until ?? null,
+    sessions: sessions ? [...new Set(sessions)] : null,
+    condition_type,
+    params: condition.params,
+  };
+
+  if (isTrailing) {
+    definition.trail_amount = trail_amount ?? null;
+    definition.trail_percent = trail_percent ?? null;
+    definition.trail_side = trail_side || "long";
+    definition.high_water_mark = null;
+  }
+
+  if (isPercentMove) {
+    definition.percent_move = percent_move;
+    definition.reference_type = reference_type || "creation";
+    definition.reference_window_minutes =
+      definition.reference_type === "rolling" ? reference_window_minutes : null;
+    // Without one, the first trade in the range is the creation reference
+    definition.reference_price =
+      definition.reference_type === "creation" ? reference_price ?? null : null;
+  }
+
+  return { error: null, alert: definition, range };
+}
+
+/**
+ * Validate an alert's condition type and fill in default indicator or
+ * activity params. Compound alerts keep their validated rule as params.
+ * @param {Object} fields - condition_type, params, direction, percent_move, rearm_band
+ * @returns {{error: string|null, params: Object|null}} Condition params (null for price alerts) or error
+ */
+function parseConditionFields(fields) {
+  const {
+    condition_type,
+    params = {},
+    direction,
+    percent_move,
+    rearm_band,
+  } = fields;
+  const conditionTypes = [
+    "price",
+    ...Object.keys(INDICATOR_DEFAULTS),
+    ...Object.keys(ACTIVITY_DEFAULTS),
+    ...Object.keys(DERIVED_DEFAULTS),
+    ...Object.keys(RANGE_DEFAULTS),
+    "compound",
+  ];
+
+  if (!conditionTypes.includes(condition_type)) {
+    return {
+      error: `condition_type must be one of: ${conditionTypes.join(", ")}`,
+    };
+  }
+
+  if (condition_type === "price") {
+    return { error: null, params: null };
+  }
+
+  if (percent_move !== undefined && percent_move !== null) {
+    return {
+      error: `percent_move cannot be used with ${condition_type} conditions`,
+    };
+  }
+
+  // Ratio targets are positive like prices, so they can use a re-arm band
+  if (
+    rearm_band !== undefined &&
+    rearm_band !== null &&
+    condition_type !== "ratio"
+  ) {
+    return {
+      error: `rearm_band cannot be used with ${condition_type} conditions`,
+    };
+  }
+
+  if (params === null || typeof params !== "object" || Array.isArray(params)) {
+    return { error: "params must be an object" };
+  }
+
+  if (condition_type === "compound") {
+    const { error, rule } = compoundRules.parseRule(params);
+    return { error, params: rule };
+  }
+
+  if (RANGE_DEFAULTS[condition_type]) {
+    return parseRangeParams({ ...RANGE_DEFAULTS[condition_type], ...params });
+  }
+
+  if (DERIVED_DEFAULTS[condition_type]) {
+    return parseDerivedParams({
+      ...DERIVED_DEFAULTS[condition_type],
+      ...params,
+    });
+  }
+
+  if (ACTIVITY_DEFAULTS[condition_type]) {
+    return parseActivityParams({
+      ...ACTIVITY_DEFAULTS[condition_type],
+      ...params,
+    });
+  }
+
+  const merged = { ...INDICATOR_DEFAULTS[condition_type], ...params };
+  const intervals = Object.keys(CandleAggregator.INTERVALS);
+
+  if (!intervals.includes(merged.interval)) {
+    return { error: `params.interval must be one of: ${intervals.join(", ")}` };
+  }
+
+  if (
+    !Number.isInteger(merged.period) ||
+    merged.period < 2 ||
+    merged.period > 200
+  ) {
+    return { error: "params.period must be an integer between 2 and 200" };
+  }
+
+  const normalized = { interval: merged.interval, period: merged.period };
+
+  if (condition_type === "rsi") {
+    if (
+      typeof merged.threshold !== "number" ||
+      merged.threshold <= 0 ||
+      merged.threshold >= 100
+    ) {
+      return {
+        error: "params.threshold must be a number between 0 and 100",
+      };
+    }
+    if (direction !== undefined && !["above", "below"].includes(direction)) {
+      return { error: 'direction must be "above" or "below" for rsi alerts' };
+    }
+    normalized.threshold = merged.threshold;
+  }
+
+  if (condition_type === "bollinger") {
+    if (
+      typeof merged.std_dev !== "number" ||
+      merged.std_dev <= 0 ||
+      merged.std_dev > 10
+    ) {
+      return { error: "params.std_dev must be a number between 0 and 10" };
+    }
+    normalized.std_dev = merged.std_dev;
+  }
+
+  return { error: null, params: normalized };
+}
+
+/**
+ * Validate ratio and spread params
+ * @param {Object} merged - Params with defaults filled in
+ * @returns {{error: string|null, params: Object|null}} Derived params or error
+ */
+function parseDerivedParams(merged) {
+  for (const name of ["symbol_a", "symbol_b"]) {
+    if (typeof merged[name] !== "string" || !merged[name].trim()) {
+      return { error: `params.${name} is required` };
+    }
+  }
+
+  const symbolA = merged.symbol_a.trim().toUpperCase();
+  const symbolB = merged.symbol_b.trim().toUpperCase();
+  if (symbolA === symbolB) {
+    return { error: "params.symbol_a and params.symbol_b must differ" };
+  }
+
+  if (
+    typeof merged.max_age_seconds !== "number" ||
+    merged.max_age_seconds <= 0 ||
+    merged.max_age_seconds > 3600
+  ) {
+    return {
+      error: "params.max_age_seconds must be a number between 0 and 3600",
+    };
+  }
+
+  return {
+    error: null,
+    params: {
+      symbol_a: symbolA,
+      symbol_b: symbolB,
+      max_age_seconds: merged.max_age_seconds,
+    },
+  };
+}
+
+/**
+ * Validate range params
+ * @param {Object} merged - Params with defaults filled in
+ * @returns {{error: string|null, params: Object|null}} Range params or error
+ */
+function parseRangeParams(merged) {
+  for (const name of ["lower", "upper"]) {
+    if (typeof merged[name] !== "number" || merged[name] <= 0) {
+      return { error: `params.${name} must be a positive number` };
+    }
+  }
+
+  if (merged.lower >= merged.upper) {
+    return { error: "params.lower must be below params.upper" };
+  }
+
+  if (!RANGE_EVENTS.includes(merged.event)) {
+    return { error: `params.event must be one of: ${RANGE_EVENTS.join(", ")}` };
+  }
+
+  return {
+    error: null,
+    params: { lower: merged.lower, upper: merged.upper, event: merged.event },
+  };
+}
+
+/**
+ * Get the symbol an alert is stored under when its params name its symbols
+ * @param {string} conditionType - Alert condition type
+ * @param {Object|null} params - Validated condition params
+ * @returns {string|null} First symbol, or null if the alert has its own symbol
+ */
+function getConditionSymbol(conditionType, params) {
+  if (conditionType === "compound") {
+    return compoundRules.getRuleSymbols(params)[0];
+  }
+  if (DERIVED_DEFAULTS[conditionType]) {
+    return params.symbol_a;
+  }
+  return null;
+}
+
+/**
+ * Validate an alert's target_value for its condition type. Spreads can be
+ * zero or negative; prices and ratios cannot.
+ * @param {string} conditionType - Alert condition type
+ * @param {*} targetValue - Requested target_value
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateTargetValue(conditionType, targetValue) {
+  if (conditionType === "spread") {
+    return typeof targetValue === "number" && isFinite(targetValue)
+      ? null
+      : "target_value must be a number";
+  }
+
+  return typeof targetValue === "number" && targetValue > 0
+    ? null
+    : "target_value must be a positive number";
+}
+
+/**
+ * Validate volume and trade-count spike params
+ * @param {Object} merged - Params with defaults filled in
+ * @returns {{error: string|null, params: Object|null}} Activity params or error
+ */
+function parseActivityParams(merged) {
+  if (
+    typeof merged.multiplier !== "number" ||
+    merged.multiplier <= 1 ||
+    merged.multiplier > 1000
+  ) {
+    return {
+      error: "params.multiplier must be a number above 1 and at most 1000",
+    };
+  }
+
+  if (
+    !Number.isInteger(merged.window_minutes) ||
+    merged.window_minutes < 1 ||
+    merged.window_minutes > 60
+  ) {
+    return {
+      error: "params.window_minutes must be an integer between 1 and 60",
+    };
+  }
+
+  if (
+    !Number.isInteger(merged.baseline_windows) ||
+    merged.baseline_windows < 2 ||
+    merged.baseline_windows > 96
+  ) {
+    return {
+      error: "params.baseline_windows must be an integer between 2 and 96",
+    };
+  }
+
+  // The window and its baseline have to fit in the 1m candle ring
+  if (merged.window_minutes * (merged.baseline_windows + 1) > 480) {
+    return {
+      error:
+        "params.window_minutes * (params.baseline_windows + 1) must be at most 480",
+    };
+  }
+
+  return {
+    error: null,
+    params: {
+      interval: "1m",
+      multiplier: merged.multiplier,
+      window_minutes: merged.window_minutes,
+      baseline_windows: merged.baseline_windows,
+    },
+  };
+}
+
+/**
+ * Validate trailing-stop alert fields
+ * @param {Object} fields - condition_type, percent_move, rearm_band, trail_amount, trail_percent, trail_side
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateTrailingFields(fields) {
+  const {
+    condition_type,
+    percent_move,
+    rearm_band,
+    trail_amount,
+    trail_percent,
+    trail_side,
+  } = fields;
+
+  if (condition_type !== "price") {
+    return 'direction "trailing" can only be used with price conditions';
+  }
+
+  if (percent_move !== undefined && percent_move !== null) {
+    return "percent_move cannot be used with trailing stops";
+  }
+
+  if (rearm_band !== undefined && rearm_band !== null) {
+    return "rearm_band cannot be used with trailing stops";
+  }
+
+  const hasAmount = trail_amount !== undefined && trail_amount !== null;
+  const hasPercent = trail_percent !== undefined && trail_percent !== null;
+  if (hasAmount === hasPercent) {
+    return "Trailing stops need exactly one of trail_amount or trail_percent";
+  }
+
+  if (hasAmount && (typeof trail_amount !== "number" || trail_amount <= 0)) {
+    return "trail_amount must be a positive number";
+  }
+
+  if (
+    hasPercent &&
+    (typeof trail_percent !== "number" ||
+      trail_percent <= 0 ||
+      trail_percent >= 100)
+  ) {
+    return "trail_percent must be a number between 0 and 100";
+  }
+
+  if (
+    trail_side !== undefined &&
+    trail_side !== null &&
+    !["long", "short"].includes(trail_side)
+  ) {
+    return 'trail_side must be "long" or "short"';
+  }
+
+  return null;
+}
+
+/**
+ * Add the current stop level to a trailing-stop alert
+ * @param {Object} alert - Stored alert
+ * @param {AlertManager|null} alertManager - Alert manager holding the live mark
+ * @returns {Object} Alert, with effective_stop for trailing stops
+ */
+function withEffectiveStop(alert, alertManager) {
+  if (alert.direction !== "trailing") {
+    return alert;
+  }
+
+  return {
+    ...alert,
+    effective_stop: alertManager ? alertManager.getTrailingStop(alert) : null,
+  };
+}
+
+/**
+ * Validate percent-move alert fields
+ * @param {Object} fields - percent_move, reference_type, reference_window_minutes
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePercentMoveFields(fields) {
+  const { percent_move, reference_type, reference_window_minutes } = fields;
+
+  if (typeof percent_move !== "number" || percent_move <= 0) {
+    return "percent_move must be a positive number";
+  }
+
+  if (
+    reference_type !== undefined &&
+    !["day_open", "creation", "rolling"].includes(reference_type)
+  ) {
+    return 'reference_type must be "day_open", "creation", or "rolling"';
+  }
+
+  if (
+    reference_type === "rolling" &&
+    (!Number.isInteger(reference_window_minutes) ||
+      reference_window_minutes <= 0)
+  ) {
+    return "reference_window_minutes must be a positive integer for rolling alerts";
+  }
+
+  return null;
+}
+
+/**
+ * Validate re-arm band and cooldown fields
+ * @param {Object} fields - rearm_band, cooldown_seconds
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateRearmFields(fields) {
+  const { rearm_band, cooldown_seconds } = fields;
+
+  if (
+    rearm_band !== undefined &&
+    rearm_band !== null &&
+    (typeof rearm_band !== "number" || rearm_band < 0)
+  ) {
+    return "rearm_band must be a non-negative number or null";
+  }
+
+  if (
+    cooldown_seconds !== undefined &&
+    cooldown_seconds !== null &&
+    (!Number.isInteger(cooldown_seconds) || cooldown_seconds < 0)
+  ) {
+    return "cooldown_seconds must be a non-negative integer or null";
+  }
+
+  return null;
+}
+
+/**
+ * Validate trigger mode, expiry and daily active window fields
+ * @param {Object} fields - trigger_mode, expires_at, active_from, active_until
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateScheduleFields(fields) {
+  const { trigger_mode, expires_at, active_from, active_until } = fields;
+
+  if (
+    trigger_mode !== undefined &&
+    !["once", "recurring"].includes(trigger_mode)
+  ) {
+    return 'trigger_mode must be "once" or "recurring"';
+  }
+
+  if (expires_at !== undefined && expires_at !== null) {
+    const expiresAt = new Date(expires_at);
+    if (isNaN(expiresAt.getTime())) {
+      return "expires_at must be a valid ISO 8601 date";
+    }
+    if (expiresAt <= new Date()) {
+      return "expires_at must be in the future";
+    }
+  }
+
+  // Window times are HH:MM in UTC; both or neither must be set
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  for (const [name, value] of [
+    ["active_from", active_from],
+    ["active_until", active_until],
+  ]) {
+    if (value !== undefined && value !== null && !timePattern.test(value)) {
+      return `${name} must be a UTC time in HH:MM format`;
+    }
+  }
+
+  if (
+    (active_from === undefined) !== (active_until === undefined) ||
+    (active_from === null) !== (active_until === null)
+  ) {
+    return "active_from and active_until must be provided together";
+  }
+
+  if (active_from && active_from === active_until) {
+    return "active_from and active_until must differ";
+  }
+
+  return null;
+}
+
+/**
+ * Validate the market sessions an alert is limited to
+ * @param {*} sessions - Requested sessions, or null/undefined for any time
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSessions(sessions) {
+  if (sessions === undefined || sessions === null) {
+    return null;
+  }
+
+  const validSessions = ExchangeCalendar.SESSIONS;
+  if (
+    !Array.isArray(sessions) ||
+    sessions.length === 0 ||
+    sessions.some((session) => !validSessions.includes(session))
+  ) {
+    return `sessions must be a non-empty array of: ${validSessions.join(", ")}`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate the channels an alert is delivered to
+ * @param {*} channels - Global channel names and destination IDs, or null/undefined for all global channels
+ * @param {string} userId - Owner of the destinations
+ * @param {SupabaseService} supabaseService - Destination store
+ * @param {AlertManager} alertManager - Alert manager with the notification router
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+async function validateChannels(
+  channels,
+  userId,
+  supabaseService,
+  alertManager
+) {
+  if (channels === undefined || channels === null) {
+    return null;
+  }
+
+  if (
+    !Array.isArray(channels) ||
+    channels.length === 0 ||
+    channels.some((channel) => typeof channel !== "string" || !channel)
+  ) {
+    return "channels must be a non-empty array of channel names or destination IDs";
+  }
+
+  const channelNames = alertManager?.notificationRouter
+    ? alertManager.notificationRouter.getChannelNames()
+    : [];
+  const destinations = await supabaseService.getNotificationDestinations(
+    userId
+  );
+  const unknown = channels.filter(
+    (channel) =>
+      !channelNames.includes(channel) &&
+      !destinations.some((destination) => destination.id === channel)
+  );
+
+  if (unknown.length > 0) {
+    return `Unknown channels: ${unknown.join(", ")}. Use ${channelNames.join(
+      ", "
+    )} or IDs from /api/destinations`;
+  }
+
+  return null;
+}
+
 /**
  * Handle alert insert webhook
  */
@@ -443,21 +1863,15 @@ async function handleAlertInsert(record, alertManager) {
 /**
  * Handle alert update webhook
  */
-async function handleAlertUpdate(record, oldRecord, alertManager) {
+async function handleAlertUpdate(record, alertManager) {
   if (!record || !alertManager) return;
 
   logger.info(`Alert updated: ${record.id} for ${record.symbol}`);
 
-  // Remove old alert from monitoring
-  if (oldRecord) {
-    alertManager.removeAlert(oldRecord.id);
-  }
-
-  // Add updated alert to monitoring if it's enabled
-  if (record.enabled) {
-    alertManager.addAlert(record);
-    logger.info(`Updated alert ${record.id} in monitoring`);
-  }
+  // Swap the record in place instead of removing and adding the alert, so
+  // prices and reference prices of its symbols are kept. This also covers
+  // the manager's own writes, such as last_triggered_at.
+  alertManager.replaceAlert(record);
 }
 
 /**
@@ -0,0 +1,477 @@
+const express = require("express");
+const logger = require("../utils/logger");
+const NotificationRouter = require("../services/notificationRouter");
+const { generateWebhookSecret } = require("../utils/webhooks");
+
+// Longest destination name
+const MAX_NAME_LENGTH = 100;
+
+// Most recipients one email destination can have
+const MAX_EMAIL_RECIPIENTS = 10;
+
+// Numeric chat ID or public @channel name
+const TELEGRAM_CHAT_PATTERN = /^(-?\d{1,20}|@[A-Za-z][A-Za-z0-9_]{4,31})$/;
+
+// Shortest signing secret a user can set for a webhook
+const MIN_SECRET_LENGTH = 16;
+
+// Loose email address check; the SMTP server has the final say
+const EMAIL_PATTERN = /^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/;
+
+function createDestinationsRouter(supabaseService, notificationRouter) {
+  const router = express.Router();
+
+  /**
+   * Find one of the user's destinations
+   * @param {string} userId - User ID
+   * @param {string} destinationId - Destination ID
+   * @returns {Promise<Object|undefined>} Destination, if it exists and belongs to the user
+   */
+  async function findUserDestination(userId, destinationId) {
+    const destinations = await supabaseService.getNotificationDestinations(
+      userId
+    );
+    return destinations.find((destination) => destination.id === destinationId);
+  }
+
+  /**
+   * GET /destinations
+   * Get the user's notification destinations
+   */
+  router.get("/", async (req, res) => {
+    try {
+      const userId = req.headers["x-user-id"];
+
+      if (!userId) {
+        return res.status(400).json({
+          error: "Missing user ID header (x-user-id)",
+        });
+      }
+
+      const destinations = await supabaseService.getNotificationDestinations(
+        userId
+      );
+
+      res.json({
+        success: true,
+        data: destinations,
+        count: destinations.length,
+      });
+    } catch (error) {
+      logger.error("Error fetching notification destinations:", error);
+      res.status(500).json({
+        error: "Failed to fetch destinations",
+        message: error.message,
+      });
+    }
+  });
+
+  /**
+   * POST /destinations
+   * Create a notification destination
+   */
+  router.post("/", async (req, res) => {
+    try {
+      const userId = req.headers["x-user-id"];
+
+      if (!userId) {
+        return res.status(400).json({
+          error: "Missing user ID header (x-user-id)",
+        });
+      }
+
+      const { type, name, config, enabled = true } = req.body;
+
+      const missingSetting = NotificationRouter.getMissingSetting(type);
+      if (missingSetting) {
+        return res.status(400).json({
+          error: `${type} destinations are not available: ${missingSetting} is not set on the server`,
+        });
+      }
+
+      if (!NotificationRouter.DESTINATION_TYPES.includes(type)) {
+        return res.status(400).json({
+          error: `type must be one of: ${NotificationRouter.DESTINATION_TYPES.join(
+            ", "
+          )}`,
+        });
+      }
+
+      const nameError = validateName(name);
+      if (nameError) {
+        return res.status(400).json({ error: nameError });
+      }
+
+      const destinationConfig = parseDestinationConfig(type, config);
+      if (destinationConfig.error) {
+        return res.status(400).json({ error: destinationConfig.error });
+      }
+
+      if (typeof enabled !== "boolean") {
+        return res.status(400).json({ error: "enabled must be a boolean" });
+      }
+
+      const destination = await supabaseService.createNotificationDestination({
+        user_id: userId,
+        type,
+        name: name.trim(),
+        config: destinationConfig.config,
+        enabled,
+      });
+
+      if (notificationRouter) {
+        notificationRouter.invalidate(userId);
+      }
+
+      res.status(201).json({
+        success: true,
+        data: destination,
+      });
+    } catch (error) {
+      logger.error("Error creating notification destination:", error);
+      res.status(500).json({
+        error: "Failed to create destination",
+        message: error.message,
+      });
+    }
+  });
+
+  /**
+   * PUT /destinations/:id
+   * Update a notification destination's name, config or enabled flag
+   */
+  router.put("/:id", async (req, res) => {
+    try {
+      const userId = req.headers["x-user-id"];
+      const destinationId = req.params.id;
+
+      if (!userId) {
+        return res.status(400).json({
+          error: "Missing user ID header (x-user-id)",
+        });
+      }
+
+      const existing = await findUserDestination(userId, destinationId);
+      if (!existing) {
+        return res.status(404).json({
+          error: "Destination not found or does not belong to user",
+        });
+      }
+
+      const { type, name, config, enabled } = req.body;
+      const updateData = {};
+
+      if (type !== undefined && type !== existing.type) {
+        return res.status(400).json({
+          error: "type cannot be changed; create a new destination instead",
+        });
+      }
+
+      if (name !== undefined) {
+        const nameError = validateName(name);
+        if (nameError) {
+          return res.status(400).json({ error: nameError });
+        }
+        updateData.name = name.trim();
+      }
+
+      if (config !== undefined) {
+        const destinationConfig = parseDestinationConfig(
+          existing.type,
+          config,
+          existing.config
+        );
+        if (destinationConfig.error) {
+          return res.status(400).json({ error: destinationConfig.error });
+        }
+        updateData.config = destinationConfig.config;
+      }
+
+      if (enabled !== undefined) {
+        if (typeof enabled !== "boolean") {
+          return res.status(400).json({ error: "enabled must be a boolean" });
+        }
+        updateData.enabled = enabled;
+      }
+
+      const destination = await supabaseService.updateNotificationDestination(
+        destinationId,
+        updateData
+      );
+
+      if (notificationRouter) {
+        notificationRouter.invalidate(userId);
+      }
+
+      res.json({
+        success: true,
+        data: destination,
+      });
+    } catch (error) {
+      logger.error("Error updating notification destination:", error);
+      res.status(500).json({
+        error: "Failed to update destination",
+        message: error.message,
+      });
+    }
+  });
+
+  /**
+   * DELETE /destinations/:id
+   * Delete a notification destination that no alert uses
+   */
+  router.delete("/:id", async (req, res) => {
+    try {
+      const userId = req.headers["x-user-id"];
+      const destinationId = req.params.id;
+
+      if (!userId) {
+        return res.status(400).json({
+          error: "Missing user ID header (x-user-id)",
+        });
+      }
+
+      const existing = await findUserDestination(userId, destinationId);
+      if (!existing) {
+        return res.status(404).json({
+          error: "Destination not found or does not belong to user",
+        });
+      }
+
+      const alerts = await supabaseService.getUserAlerts(userId);
+      const usedBy = alerts
+        .filter((alert) => (alert.channels || []).includes(destinationId))
+        .map((alert) => alert.id);
+
+      if (usedBy.length > 0) {
+        return res.status(409).json({
+          error:
+            "Destination is used by alerts; remove it from their channels first",
+          alerts: usedBy,
+        });
+      }
+
+      await supabaseService.deleteNotificationDestination(destinationId);
+
+      if (notificationRouter) {
+        notificationRouter.invalidate(userId);
+      }
+
+      res.json({
+        success: true,
+        message: "Destination deleted successfully",
+      });
+    } catch (error) {
+      logger.error("Error deleting notification destination:", error);
+      res.status(500).json({
+        error: "Failed to delete destination",
+        message: error.message,
+      });
+    }
+  });
+
+  /**
+   * POST /destinations/:id/test
+   * Send a test message to a destination
+   */
+  router.post("/:id/test", async (req, res) => {
+    try {
+      const userId = req.headers["x-user-id"];
+      const destinationId = req.params.id;
+
+      if (!userId) {
+        return res.status(400).json({
+          error: "Missing user ID header (x-user-id)",
+        });
+      }
+
+      if (!notificationRouter) {
+        return res.status(503).json({
+          error: "Notification router not available",
+        });
+      }
+
+      const destination = await findUserDestination(userId, destinationId);
+      if (!destination) {
+        return res.status(404).json({
+          error: "Destination not found or does not belong to user",
+        });
+      }
+
+      const missingSetting = NotificationRouter.getMissingSetting(
+        destination.type
+      );
+      if (missingSetting) {
+        return res.status(400).json({
+          error: `${destination.type} destinations are not available: ${missingSetting} is not set on the server`,
+        });
+      }
+
+      const testSuccessful = await notificationRouter.testDestination(
+        destination
+      );
+
+      if (testSuccessful) {
+        res.json({
+          success: true,
+          message: `Test message sent to ${destination.name}`,
+        });
+      } else {
+        res.status(502).json({
+          error: `Test message to ${destination.name} failed`,
+        });
+      }
+    } catch (error) {
+      logger.error("Error testing notification destination:", error);
+      res.status(500).json({
+        error: "Failed to test destination",
+        message: error.message,
+      });
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Validate a destination name
+ * @param {*} name - Requested name
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateName(name) {
+  if (
+    typeof name !== "string" ||
+    !name.trim() ||
+    name.trim().length > MAX_NAME_LENGTH
+  ) {
+    return `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate a destination's config for its type
+ * @param {string} type - Destination type
+ * @param {*} config - Requested config
+ * @param {Object} [existingConfig] - Stored config, when updating
+ * @returns {{error: string|null, config: Object}} Config to store or error
+ */
+function parseDestinationConfig(type, config, existingConfig = {}) {
+  if (config === null || typeof config !== "object" || Array.isArray(config)) {
+    return { error: "config must be an object" };
+  }
+
+  if (type === "email") {
+    return parseEmailConfig(config);
+  }
+
+  if (type === "telegram") {
+    const chatId = String(config.chat_id ?? "").trim();
+    if (!TELEGRAM_CHAT_PATTERN.test(chatId)) {
+      return {
+        error: "config.chat_id must be a Telegram chat ID or @channel name",
+      };
+    }
+    return { error: null, config: { chat_id: chatId } };
+  }
+
+  let url;
+  try {
+    url = new URL(config.url);
+  } catch (error) {
+    return { error: "config.url must be a valid URL" };
+  }
+
+  switch (type) {
+    case "discord":
+      if (
+        url.protocol !== "https:" ||
+        !/^((ptb|canary)\.)?discord(app)?\.com$/.test(url.hostname) ||
+        !url.pathname.startsWith("/api/webhooks/")
+      ) {
+        return {
+          error:
+            "config.url must be a Discord webhook URL (https://discord.com/api/webhooks/...)",
+        };
+      }
+      break;
+    case "slack":
+      if (
+        url.protocol !== "https:" ||
+        url.hostname !== "hooks.slack.com" ||
+        !url.pathname.startsWith("/services/")
+      ) {
+        return {
+          error:
+            "config.url must be a Slack incoming webhook URL (https://hooks.slack.com/services/...)",
+        };
+      }
+      break;
+    case "teams":
+      if (url.protocol !== "https:") {
+        return { error: "config.url must be an https URL" };
+      }
+      break;
+    case "webhook": {
+      if (url.protocol !== "https:" && url.protocol !== "http:") {
+        return { error: "config.url must be an http or https URL" };
+      }
+
+      // Keep the signing secret unless a new one is given
+      const { secret } = config;
+      if (
+        secret !== undefined &&
+        (typeof secret !== "string" || secret.length < MIN_SECRET_LENGTH)
+      ) {
+        return {
+          error: `config.secret must be a string of at least ${MIN_SECRET_LENGTH} characters`,
+        };
+      }
+      return {
+        error: null,
+        config: {
+          url: url.toString(),
+          secret: secret || existingConfig.secret || generateWebhookSecret(),
+        },
+      };
+    }
+    default:
+      if (url.protocol !== "https:" && url.protocol !== "http:") {
+        return { error: "config.url must be an http or https URL" };
+      }
+  }
+
+  return { error: null, config: { url: url.toString() } };
+}
+
+/**
+ * Validate an email destination's recipients
+ * @param {Object} config - Requested config
+ * @returns {{error: string|null, config: Object}} Config to store or error
+ */
+function parseEmailConfig(config) {
+  if (!config.to) {
+    return { error: "config.to must be an email address or list of them" };
+  }
+
+  const to = (Array.isArray(config.to) ? config.to : [config.to]).map(
+    (address) => (typeof address === "string" ? address.trim() : address)
+  );
+
+  if (
+    to.length === 0 ||
+    to.length > MAX_EMAIL_RECIPIENTS ||
+    !to.every(
+      (address) => typeof address === "string" && EMAIL_PATTERN.test(address)
+    )
+  ) {
+    return {
+      error: `config.to must be 1-${MAX_EMAIL_RECIPIENTS} valid email addresses`,
+    };
+  }
+
+  return { error: null, config: { to: [...new Set(to)] } };
+}
+
+module.exports = createDestinationsRouter;
@@ -0,0 +1,162 @@
+const crypto = require("crypto");
+const express = require("express");
+const logger = require("../utils/logger");
+
+// Dead letters hold every user's notifications, so these routes are for
+// operators holding NOTIFICATION_OPERATOR_TOKEN only
+function createNotificationsRouter(notificationOutbox, operatorToken) {
+  const router = express.Router();
+
+  router.use(requireOperatorToken(operatorToken));
+
+  /**
+   * GET /notifications/dead-letter
+   * Get the notifications that ran out of delivery attempts
+   */
+  router.get("/dead-letter", async (req, res) => {
+    try {
+      if (!notificationOutbox) {
+        return res.status(503).json({
+          error: "Notification outbox not available",
+        });
+      }
+
+      const { error, options } = parsePageQuery(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const { messages, total } = await notificationOutbox.getDeadLetters(
+        options
+      );
+
+      res.json({
+        success: true,
+        data: messages,
+        count: messages.length,
+        pagination: { limit: options.limit, offset: options.offset, total },
+      });
+    } catch (error) {
+      logger.error("Error fetching dead-letter notifications:", error);
+      res.status(500).json({
+        error: "Failed to fetch dead-letter notifications",
+        message: error.message,
+      });
+    }
+  });
+
+  /**
+   * POST /notifications/:id/retry
+   * Send a dead-lettered message again now; if that fails it is retried
+   * with a fresh set of attempts
+   */
+  router.post("/:id/retry", async (req, res) => {
+    try {
+      if (!notificationOutbox) {
+        return res.status(503).json({
+          error: "Notification outbox not available",
+        });
+      }
+
+      const result = await notificationOutbox.retry(req.params.id);
+
+      if (!result) {
+        return res.status(404).json({
+          error: "Notification not found; it may already have been delivered",
+        });
+      }
+
+      if (!result.retried) {
+        return res.status(409).json({
+          error:
+            "Notification is not in the dead-letter list; it is already being retried",
+          data: result.message,
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          id: req.params.id,
+          delivered: result.delivered,
+          message: result.message,
+        },
+        message: result.delivered
+          ? "Notification delivered"
+          : "Delivery failed; the notification will be retried",
+      });
+    } catch (error) {
+      logger.error("Error retrying notification:", error);
+      res.status(500).json({
+        error: "Failed to retry notification",
+        message: error.message,
+      });
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Middleware that only lets requests with the operator token through
+ * @param {string|null} operatorToken - Expected token; when unset every request is refused
+ * @returns {Function} Express middleware
+ */
+function requireOperatorToken(operatorToken) {
+  return (req, res, next) => {
+    if (!operatorToken) {
+      return res.status(403).json({
+        error:
+          "Notification endpoints are disabled: NOTIFICATION_OPERATOR_TOKEN is not set on the server",
+      });
+    }
+
+    const token = req.headers["x-operator-token"];
+    if (typeof token !== "string" || !tokensMatch(token, operatorToken)) {
+      return res.status(401).json({
+        error: "Missing or invalid operator token (x-operator-token)",
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Compare two tokens in constant time
+ * @param {string} actual - Token from the request
+ * @param {string} expected - Configured token
+ * @returns {boolean} Whether they are equal
+ */
+function tokensMatch(actual, expected) {
+  const actualHash = crypto.createHash("sha256").update(actual).digest();
+  const expectedHash = crypto.createHash("sha256").update(expected).digest();
+  return crypto.timingSafeEqual(actualHash, expectedHash);
+}
+
+/**
+ * Parse channel filter and pagination query parameters
+ * @param {Object} query - Express query object (channel, limit, offset)
+ * @returns {{error: string|null, options: Object}} Parsed options or error
+ */
+function parsePageQuery(query) {
+  const limit = query.limit === undefined ? 50 : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+    return { error: "limit must be an integer between 1 and 200" };
+  }
+
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: "offset must be a non-negative integer" };
+  }
+
+  const options = { limit, offset };
+  if (typeof query.channel === "string" && query.channel) {
+    options.channel = query.channel;
+  }
+
+  return { error: null, options };
+}
+
+module.exports = createNotificationsRouter;
@@ -0,0 +1,127 @@
+const express = require("express");
+const logger = require("../utils/logger");
+
+function createPricesRouter(candleAggregator) {
+  const router = express.Router();
+
+  /**
+   * GET /prices/:symbol/candles
+   * Get OHLCV candles for a symbol
+   */
+  router.get("/:symbol/candles", async (req, res) => {
+    try {
+      if (!candleAggregator) {
+        return res.status(503).json({
+          error: "Candle aggregator not available",
+        });
+      }
+
+      const symbol = req.params.symbol.toUpperCase();
+      const { error, options } = parseCandleQuery(
+        req.query,
+        candleAggregator.getIntervals()
+      );
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const candles = await candleAggregator.getCandles(
+        symbol,
+        options.interval,
+        options
+      );
+
+      res.json({
+        success: true,
+        data: candles,
+        count: candles.length,
+        symbol,
+        interval: options.interval,
+      });
+    } catch (error) {
+      logger.error(`Error fetching candles for ${req.params.symbol}:`, error);
+      res.status(500).json({
+        error: "Failed to fetch candles",
+        message: error.message,
+      });
+    }
+  });
+
+  /**
+   * GET /prices/:symbol/latest
+   * Get the latest trade price for a symbol
+   */
+  router.get("/:symbol/latest", (req, res) => {
+    try {
+      if (!candleAggregator) {
+        return res.status(503).json({
+          error: "Candle aggregator not available",
+        });
+      }
+
+      const latest = candleAggregator.getLatest(req.params.symbol);
+      if (!latest) {
+        return res.status(404).json({
+          error: `No trades received for ${req.params.symbol.toUpperCase()}`,
+        });
+      }
+
+      res.json({
+        success: true,
+        data: latest,
+      });
+    } catch (error) {
+      logger.error(
+        `Error fetching latest price for ${req.params.symbol}:`,
+        error
+      );
+      res.status(500).json({
+        error: "Failed to fetch latest price",
+        message: error.message,
+      });
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Parse interval, date-range and limit query parameters for candle requests
+ * @param {Object} query - Express query object (interval, from, to, limit)
+ * @param {Array<string>} intervals - Supported interval names
+ * @returns {{error: string|null, options: Object}} Parsed options or error
+ */
+function parseCandleQuery(query, intervals) {
+  const { interval = "1m", from, to } = query;
+  const limit = query.limit === undefined ? 500 : Number(query.limit);
+
+  if (!intervals.includes(interval)) {
+    return { error: `interval must be one of: ${intervals.join(", ")}` };
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return { error: "limit must be an integer between 1 and 1000" };
+  }
+
+  const options = { interval, limit };
+
+  for (const [name, value] of [
+    ["from", from],
+    ["to", to],
+  ]) {
+    if (value === undefined) continue;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return { error: `${name} must be a valid ISO 8601 date` };
+    }
+    options[name] = date;
+  }
+
+  if (options.from && options.to && options.from > options.to) {
+    return { error: "from must be before to" };
+  }
+
+  return { error: null, options };
+}
+
+module.exports = createPricesRouter;
@@ -1,7 +1,11 @@
 const express = require("express");
 const logger = require("../utils/logger");
 
-function createStatusRouter(alertManager, finnhubService, discordService) {
+function createStatusRouter(
+  alertManager,
+  marketDataProvider,
+  notificationChannels
+) {
   const router = express.Router();
 
   /**
@@ -10,23 +14,28 @@ function createStatusRouter(alertManager, finnhubService, discordService) {
    */
   router.get("/", async (req, res) => {
     try {
+      const marketData = {
+        provider: marketDataProvider ? marketDataProvider.name : null,
+        connected: marketDataProvider
+          ? marketDataProvider.getConnectionStatus()
+          : false,
+        subscribedSymbols: marketDataProvider
+          ? marketDataProvider.getSubscribedSymbols()
+          : [],
+      };
+
       const status = {
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
         memory: process.memoryUsage(),
         alertManager: alertManager ? alertManager.getStatus() : null,
         services: {
-          finnhub: {
-            connected: finnhubService
-              ? finnhubService.getConnectionStatus()
-              : false,
-            subscribedSymbols: finnhubService
-              ? finnhubService.getSubscribedSymbols()
-              : [],
-          },
-          discord: {
-            configured: !!discordService,
-          },
+          marketData,
+          // Deprecated: the key before other providers were added
+          finnhub: marketData,
+          notificationChannels: notificationChannels
+            ? notificationChannels.getHealth()
+            : {},
         },
       };
 
@@ -84,33 +93,35 @@ function createStatusRouter(alertManager, finnhubService, discordService) {
   });
 
   /**
-   * POST /status/test-discord
-   * Test Discord webhook connectivity
+   * POST /status/test-:channel
+   * Send a test message through a notification channel, e.g. test-discord
    */
-  router.post("/test-discord", async (req, res) => {
+  router.post("/test-:channel", async (req, res) => {
+    const { channel } = req.params;
+
     try {
-      if (!discordService) {
+      if (!notificationChannels || !notificationChannels.get(channel)) {
         return res.status(503).json({
-          error: "Discord service not configured",
+          error: `${channel} notification channel not configured`,
         });
       }
 
-      const testSuccessful = await discordService.testWebhook();
+      const testSuccessful = await notificationChannels.test(channel);
 
       if (testSuccessful) {
         res.json({
           success: true,
-          message: "Discord webhook test successful",
+          message: `${channel} test successful`,
         });
       } else {
         res.status(500).json({
-          error: "Discord webhook test failed",
+          error: `${channel} test failed`,
         });
       }
     } catch (error) {
-      logger.error("Error testing Discord webhook:", error);
+      logger.error(`Error testing ${channel} notification channel:`, error);
       res.status(500).json({
-        error: "Failed to test Discord webhook",
+        error: `Failed to test ${channel} notification channel`,
         message: error.message,
       });
     }
@@ -200,18 +211,22 @@ function createStatusRouter(alertManager, finnhubService, discordService) {
       }
 
       // Add service metrics
+      const marketData = {
+        provider: marketDataProvider ? marketDataProvider.name : null,
+        connected: marketDataProvider
+          ? marketDataProvider.getConnectionStatus()
+          : false,
+        subscribedSymbolsCount: marketDataProvider
+          ? marketDataProvider.getSubscribedSymbols().length
+          : 0,
+      };
       metrics.services = {
-        finnhub: {
-          connected: finnhubService
-            ? finnhubService.getConnectionStatus()
-            : false,
-          subscribedSymbolsCount: finnhubService
-            ? finnhubService.getSubscribedSymbols().length
-            : 0,
-        },
-        discord: {
-          configured: !!discordService,
-        },
+        marketData,
+        // Deprecated: the key before other providers were added
+        finnhub: marketData,
+        notificationChannels: notificationChannels
+          ? notificationChannels.getNames()
+          : [],
       };
 
       res.json({
@@ -233,20 +248,21 @@ function createStatusRouter(alertManager, finnhubService, discordService) {
    */
   router.get("/websocket", (req, res) => {
     try {
-      if (!finnhubService) {
+      if (!marketDataProvider) {
         return res.status(503).json({
-          error: "Finnhub service not available",
+          error: "Market data provider not available",
         });
       }
 
       const wsStatus = {
-        connected: finnhubService.getConnectionStatus(),
-        subscribedSymbols: finnhubService.getSubscribedSymbols(),
-        reconnectAttempts: finnhubService.reconnectAttempts || 0,
-        lastMessageTime: finnhubService.lastMessageTime || null,
-        messageCount: finnhubService.messageCount || 0,
-        recentMessages: finnhubService.getRecentMessages
-          ? finnhubService.getRecentMessages()
+        provider: marketDataProvider.name,
+        connected: marketDataProvider.getConnectionStatus(),
+        subscribedSymbols: marketDataProvider.getSubscribedSymbols(),
+        reconnectAttempts: marketDataProvider.reconnectAttempts || 0,
+        lastMessageTime: marketDataProvider.lastMessageTime || null,
+        messageCount: marketDataProvider.messageCount || 0,
+        recentMessages: marketDataProvider.getRecentMessages
+          ? marketDataProvider.getRecentMessages()
           : [],
       };
 
@@ -289,8 +305,8 @@ function createStatusRouter(alertManager, finnhubService, discordService) {
     // Set up WebSocket message listener if available
     let messageListener;
     if (
-      finnhubService &&
-      typeof finnhubService.addMessageListener === "function"
+      marketDataProvider &&
+      typeof marketDataProvider.addMessageListener === "function"
     ) {
       messageListener = (data) => {
         res.write(
@@ -302,16 +318,16 @@ function createStatusRouter(alertManager, finnhubService, discordService) {
         );
       };
 
-      finnhubService.addMessageListener(messageListener);
+      marketDataProvider.addMessageListener(messageListener);
     }
 
     // Send periodic status updates
     const statusInterval = setInterval(() => {
-      if (finnhubService) {
+      if (marketDataProvider) {
         const status = {
           type: "status",
-          connected: finnhubService.getConnectionStatus(),
-          subscribedSymbols: finnhubService.getSubscribedSymbols(),
+          connected: marketDataProvider.getConnectionStatus(),
+          subscribedSymbols: marketDataProvider.getSubscribedSymbols(),
           timestamp: new Date().toISOString(),
         };
         res.write(`data: ${JSON.stringify(status)}\n\n`);
@@ -323,10 +339,10 @@ function createStatusRouter(alertManager, finnhubService, discordService) {
       clearInterval(statusInterval);
       if (
         messageListener &&
-        finnhubService &&
-        typeof finnhubService.removeMessageListener === "function"
+        marketDataProvider &&
+        typeof marketDataProvider.removeMessageListener === "function"
       ) {
-        finnhubService.removeMessageListener(messageListener);
+        marketDataProvider.removeMessageListener(messageListener);
       }
       logger.debug("WebSocket monitoring client disconnected");
     });
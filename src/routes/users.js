@@ -0,0 +1,248 @@
+const express = require("express");
+const logger = require("../utils/logger");
+const QuietHoursService = require("../services/quietHours");
+
+// Preferences of users who have not saved any
+const DEFAULT_PREFERENCES = {
+  timezone: "UTC",
+  quiet_hours: [],
+  quiet_hours_action: "hold",
+};
+
+// Most quiet-hours windows a user can have
+const MAX_QUIET_HOURS_WINDOWS = 14;
+
+function createUsersRouter(supabaseService, quietHoursService) {
+  const router = express.Router();
+
+  /**
+   * GET /users/me/preferences
+   * Get the user's notification preferences
+   */
+  router.get("/me/preferences", async (req, res) => {
+    try {
+      const userId = req.headers["x-user-id"];
+
+      if (!userId) {
+        return res.status(400).json({
+          error: "Missing user ID header (x-user-id)",
+        });
+      }
+
+      const preferences = await supabaseService.getUserPreferences(userId);
+
+      res.json({
+        success: true,
+        data: preferences || { user_id: userId, ...DEFAULT_PREFERENCES },
+        stored: !!preferences,
+      });
+    } catch (error) {
+      logger.error("Error fetching user preferences:", error);
+      res.status(500).json({
+        error: "Failed to fetch preferences",
+        message: error.message,
+      });
+    }
+  });
+
+  /**
+   * PUT /users/me/preferences
+   * Create or update the user's notification preferences
+   */
+  router.put("/me/preferences", async (req, res) => {
+    try {
+      const userId = req.headers["x-user-id"];
+
+      if (!userId) {
+        return res.status(400).json({
+          error: "Missing user ID header (x-user-id)",
+        });
+      }
+
+      const { error, preferences } = parsePreferences(req.body || {});
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const stored = await supabaseService.upsertUserPreferences(
+        userId,
+        preferences
+      );
+
+      if (quietHoursService) {
+        quietHoursService.setPreferences(userId, stored);
+      }
+
+      res.json({
+        success: true,
+        data: stored,
+      });
+    } catch (error) {
+      logger.error("Error saving user preferences:", error);
+      res.status(500).json({
+        error: "Failed to save preferences",
+        message: error.message,
+      });
+    }
+  });
+
+  /**
+   * DELETE /users/me/preferences
+   * Reset the user's notification preferences to the defaults
+   */
+  router.delete("/me/preferences", async (req, res) => {
+    try {
+      const userId = req.headers["x-user-id"];
+
+      if (!userId) {
+        return res.status(400).json({
+          error: "Missing user ID header (x-user-id)",
+        });
+      }
+
+      await supabaseService.deleteUserPreferences(userId);
+
+      if (quietHoursService) {
+        quietHoursService.setPreferences(userId, null);
+      }
+
+      res.json({
+        success: true,
+        message: "Preferences deleted successfully",
+      });
+    } catch (error) {
+      logger.error("Error deleting user preferences:", error);
+      res.status(500).json({
+        error: "Failed to delete preferences",
+        message: error.message,
+      });
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Validate a preferences update. Only the fields that are present are
+ * returned, so omitted fields keep their stored values.
+ * @param {Object} body - timezone, quiet_hours, quiet_hours_action
+ * @returns {{error: string|null, preferences: Object}} Fields to store or error
+ */
+function parsePreferences(body) {
+  const { timezone, quiet_hours, quiet_hours_action } = body;
+  const preferences = {};
+
+  if (timezone !== undefined) {
+    if (!isValidTimezone(timezone)) {
+      return {
+        error: 'timezone must be an IANA timezone such as "Europe/Berlin"',
+      };
+    }
+    preferences.timezone = timezone;
+  }
+
+  if (quiet_hours !== undefined) {
+    const { error, windows } = parseQuietHours(quiet_hours);
+    if (error) {
+      return { error };
+    }
+    preferences.quiet_hours = windows;
+  }
+
+  if (quiet_hours_action !== undefined) {
+    const actions = QuietHoursService.QUIET_HOURS_ACTIONS;
+    if (!actions.includes(quiet_hours_action)) {
+      return {
+        error: `quiet_hours_action must be one of: ${actions.join(", ")}`,
+      };
+    }
+    preferences.quiet_hours_action = quiet_hours_action;
+  }
+
+  if (Object.keys(preferences).length === 0) {
+    return {
+      error:
+        "Provide at least one of: timezone, quiet_hours, quiet_hours_action",
+    };
+  }
+
+  return { error: null, preferences };
+}
+
+/**
+ * Validate quiet-hours windows
+ * @param {*} quietHours - Requested windows ({ start, end, days })
+ * @returns {{error: string|null, windows: Array<Object>}} Normalized windows or error
+ */
+function parseQuietHours(quietHours) {
+  if (!Array.isArray(quietHours)) {
+    return { error: "quiet_hours must be an array" };
+  }
+
+  if (quietHours.length > MAX_QUIET_HOURS_WINDOWS) {
+    return {
+      error: `quiet_hours can have at most ${MAX_QUIET_HOURS_WINDOWS} windows`,
+    };
+  }
+
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  const weekdays = QuietHoursService.WEEKDAYS;
+  const windows = [];
+
+  for (const [index, window] of quietHours.entries()) {
+    const path = `quiet_hours[${index}]`;
+    if (window === null || typeof window !== "object") {
+      return { error: `${path} must be an object` };
+    }
+
+    for (const name of ["start", "end"]) {
+      if (!timePattern.test(window[name])) {
+        return { error: `${path}.${name} must be a time in HH:MM format` };
+      }
+    }
+
+    if (window.start === window.end) {
+      return { error: `${path}.start and ${path}.end must differ` };
+    }
+
+    const normalized = { start: window.start, end: window.end };
+    if (window.days !== undefined && window.days !== null) {
+      if (
+        !Array.isArray(window.days) ||
+        window.days.length === 0 ||
+        window.days.some((day) => !weekdays.includes(day))
+      ) {
+        return {
+          error: `${path}.days must be a non-empty array of: ${weekdays.join(
+            ", "
+          )}`,
+        };
+      }
+      normalized.days = [...new Set(window.days)];
+    }
+
+    windows.push(normalized);
+  }
+
+  return { error: null, windows };
+}
+
+/**
+ * Check whether a string is a timezone the runtime knows
+ * @param {*} timezone - Requested timezone
+ * @returns {boolean} Whether it can be used with Intl.DateTimeFormat
+ */
+function isValidTimezone(timezone) {
+  if (typeof timezone !== "string" || !timezone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = createUsersRouter;
@@ -0,0 +1,300 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const logger = require("../utils/logger");
+const AlertManager = require("./alertManager");
+const CandleAggregator = require("./candleAggregator");
+
+/**
+ * Runs a proposed alert over recorded trades to show when it would have
+ * fired.
+ *
+ * Trades are read from the NDJSON files written by TradeRecorder and fed
+ * through a private AlertManager, so trigger, re-arm, cooldown and schedule
+ * decisions come from the same code that evaluates live alerts. Indicator
+ * and activity alerts use candles built from the same trades. Everything that would
+ * notify or write to the database is kept in memory instead.
+ */
+class AlertBacktester {
+  /**
+   * @param {Object} options - Backtest options
+   * @param {string} options.directory - Directory containing trade recordings
+   * @param {string} [options.prefix] - Recording file name prefix
+   * @param {number} [options.maxTriggers] - Stop after this many triggers
+   * @param {ExchangeCalendar} [options.exchangeCalendar] - Market sessions for alerts limited by sessions
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || "recordings";
+    this.prefix = options.prefix || "trades";
+    this.maxTriggers = options.maxTriggers || 1000;
+    this.exchangeCalendar = options.exchangeCalendar || null;
+  }
+
+  /**
+   * Simulate an alert over recorded trades in a time range
+   * @param {Object} alert - Alert definition, in the same shape as a stored alert
+   * @param {Object} range - Time range
+   * @param {Date} range.from - Start of the range (inclusive)
+   * @param {Date} range.to - End of the range (inclusive)
+   * @returns {Promise<Object>} Simulated triggers and replay statistics
+   */
+  async run(alert, { from, to }) {
+    const symbol = alert.symbol.toUpperCase();
+    const simulatedAlert = {
+      id: "backtest",
+      enabled: true,
+      armed: true,
+      last_triggered_at: null,
+      ...alert,
+      symbol,
+    };
+
+    const clock = { time: from.getTime(), now: () => clock.time };
+    const candles = new CandleAggregator(clock, null);
+    const manager = new BacktestAlertManager(
+      clock,
+      candles,
+      this.maxTriggers,
+      this.exchangeCalendar
+    );
+
+    // Compound alerts replay the trades of every symbol in their rule
+    const symbols = manager.getAlertSymbols(simulatedAlert);
+    for (const alertSymbol of symbols) {
+      manager.activeAlerts.set(alertSymbol, [simulatedAlert]);
+    }
+
+    // Collect closed candles so each one is checked before the next trade
+    const closedCandles = [];
+    candles.on("candle", (candle) => closedCandles.push(candle));
+
+    const files = this.listRecordingFiles(from, to);
+    let tradeCount = 0;
+
+    for (const file of files) {
+      for await (const trade of this.readTrades(file, symbols)) {
+        if (trade.receivedAt < from.getTime()) continue;
+        if (trade.receivedAt > to.getTime()) break;
+
+        clock.time = trade.receivedAt;
+        tradeCount++;
+
+        candles.handleTrade(trade);
+        for (const candle of closedCandles.splice(0)) {
+          await manager.handleCandleClose(candle);
+        }
+        await manager.handleActivityUpdate(trade);
+
+        await manager.handlePriceUpdate(
+          trade.symbol,
+          trade.price,
+          trade.timestamp,
+          trade.volume
+        );
+
+        if (manager.isFinished()) break;
+      }
+
+      if (manager.isFinished()) break;
+    }
+
+    logger.info(
+      `Backtest for ${symbols.join(", ")} replayed ${tradeCount} trades from ${
+        files.length
+      } recordings: ${manager.triggers.length} triggers`
+    );
+
+    return {
+      symbol,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      filesScanned: files.length,
+      tradeCount,
+      triggerCount: manager.triggers.length,
+      truncated: manager.triggers.length >= this.maxTriggers,
+      disabled: manager.disabled,
+      triggers: manager.triggers,
+    };
+  }
+
+  /**
+   * List the recordings that may contain trades in a time range.
+   * Files are named after the time they were started, so each one covers
+   * the time until the next file starts.
+   * @param {Date} from - Start of the range
+   * @param {Date} to - End of the range
+   * @returns {Array<string>} Recording paths in chronological order
+   */
+  listRecordingFiles(from, to) {
+    let names;
+    try {
+      names = fs.readdirSync(this.directory);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        logger.warn(`Recording directory ${this.directory} does not exist`);
+        return [];
+      }
+      throw error;
+    }
+
+    const recordings = names
+      .map((name) => ({ name, startedAt: this.parseRecordingStart(name) }))
+      .filter((recording) => recording.startedAt !== null)
+      .sort((a, b) => a.startedAt - b.startedAt);
+
+    return recordings
+      .filter((recording, index) => {
+        const next = recordings[index + 1];
+        return (
+          recording.startedAt <= to.getTime() &&
+          (!next || next.startedAt >= from.getTime())
+        );
+      })
+      .map((recording) => path.join(this.directory, recording.name));
+  }
+
+  /**
+   * Get the start time encoded in a recording file name
+   * @param {string} name - File name, e.g. trades-2024-01-02T14-30-00-000Z.ndjson
+   * @returns {number|null} Start time in milliseconds, or null if not a recording
+   */
+  parseRecordingStart(name) {
+    const match = name.match(
+      new RegExp(
+        `^${this.prefix}-(\\d{4}-\\d{2}-\\d{2})T(\\d{2})-(\\d{2})-(\\d{2})-(\\d{3})Z\\.ndjson$`
+      )
+    );
+    if (!match) {
+      return null;
+    }
+
+    const [, date, hours, minutes, seconds, millis] = match;
+    return Date.parse(`${date}T${hours}:${minutes}:${seconds}.${millis}Z`);
+  }
+
+  /**
+   * Read the trades for a set of symbols from a recording
+   * @param {string} file - Recording path
+   * @param {Array<string>} symbols - Symbols to keep
+   * @returns {AsyncGenerator<Object>} Trades with receivedAt, symbol, price, timestamp and volume
+   */
+  async *readTrades(file, symbols) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(file, "utf8"),
+      crlfDelay: Infinity,
+    });
+
+    try {
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          logger.warn(`Skipping unreadable line in ${file}: ${error.message}`);
+          continue;
+        }
+
+        const { receivedAt, message } = entry;
+        if (!message || !Array.isArray(message.data)) continue;
+
+        for (const trade of message.data) {
+          if (!symbols.includes(trade.s) || trade.p === undefined) continue;
+          yield {
+            receivedAt,
+            symbol: trade.s,
+            price: trade.p,
+            timestamp: trade.t,
+            volume: trade.v,
+          };
+        }
+      }
+    } finally {
+      lines.close();
+    }
+  }
+}
+
+/**
+ * AlertManager that records triggers instead of acting on them. It is never
+ * started, so it holds no subscriptions and never touches the database.
+ */
+class BacktestAlertManager extends AlertManager {
+  constructor(clock, candleAggregator, maxTriggers, exchangeCalendar) {
+    super(readOnlyStore, clock, null, candleAggregator, exchangeCalendar);
+    this.maxTriggers = maxTriggers;
+    this.triggers = [];
+    this.disabled = null;
+  }
+
+  /**
+   * Whether there is nothing left to simulate
+   * @returns {boolean} True once the alert is disabled or the trigger limit is hit
+   */
+  isFinished() {
+    return this.disabled !== null || this.triggers.length >= this.maxTriggers;
+  }
+
+  subscribeToSymbol() {}
+
+  unsubscribeFromSymbol() {}
+
+  async sendAlertNotification(alert, currentPrice, timestamp) {
+    this.triggers.push({
+      triggered_at: new Date(this.now()).toISOString(),
+      trade_timestamp: timestamp ? new Date(timestamp).toISOString() : null,
+      price: currentPrice,
+      reference_price: this.isPercentMoveAlert(alert)
+        ? this.getReferencePrice(alert)
+        : undefined,
+      stop_level: this.isTrailingAlert(alert)
+        ? this.getTrailingStop(alert)
+        : undefined,
+      high_water_mark: this.isTrailingAlert(alert)
+        ? this.getTrailMark(alert)
+        : undefined,
+      indicator: this.isIndicatorAlert(alert)
+        ? this.indicatorValues.get(alert.id)
+        : undefined,
+      activity: this.isActivityAlert(alert)
+        ? this.activityStats.get(alert.id)
+        : undefined,
+      rule: this.isCompoundAlert(alert)
+        ? this.ruleEvaluations.get(alert.id)
+        : undefined,
+      derived: this.isDerivedAlert(alert)
+        ? this.evaluateDerived(alert)
+        : undefined,
+      range: this.isRangeAlert(alert)
+        ? this.rangeStates.get(alert.id)?.crossing
+        : undefined,
+    });
+    return {};
+  }
+
+  async recordAlertEvent() {}
+
+  async disableAlert(alert, reason) {
+    this.removeAlert(alert.id);
+    alert.enabled = false;
+    this.disabled = { at: new Date(this.now()).toISOString(), reason };
+  }
+
+  async setArmState(alert, armed) {
+    alert.armed = armed;
+  }
+}
+
+/**
+ * Stand-in for SupabaseService covering the writes AlertManager makes while
+ * checking alerts
+ */
+const readOnlyStore = {
+  async updateAlertLastTriggered() {},
+  async updateAlert() {},
+  async updateAlertArmState() {},
+  async updateAlertHighWaterMark() {},
+};
+
+module.exports = AlertBacktester;
@@ -1,22 +1,69 @@
+const crypto = require("crypto");
 const logger = require("../utils/logger");
+const config = require("../config");
+const indicators = require("../utils/indicators");
+const compoundRules = require("../utils/compoundRules");
+const derivedValues = require("../utils/derivedValues");
+const priceRanges = require("../utils/priceRanges");
+
+// Fields that decide when an alert fires. Updates that change none of them,
+// such as notes, channels or the manager's own state writes, keep what has
+// been evaluated for the alert.
+const CONDITION_FIELDS = [
+  "symbol",
+  "target_value",
+  "direction",
+  "percent_move",
+  "reference_type",
+  "reference_window_minutes",
+  "rearm_band",
+  "trail_amount",
+  "trail_percent",
+  "trail_side",
+  "condition_type",
+  "params",
+];
 
 class AlertManager {
   constructor(
     supabaseService,
-    finnhubService,
-    discordService,
-    teamsService = null
+    marketDataProvider,
+    notificationRouter,
+    candleAggregator = null,
+    exchangeCalendar = null,
+    quietHoursService = null,
+    n8nService = null,
+    notificationOutbox = null
   ) {
     this.supabaseService = supabaseService;
-    this.finnhubService = finnhubService;
-    this.discordService = discordService;
-    this.teamsService = teamsService;
+    this.marketDataProvider = marketDataProvider;
+    this.notificationRouter = notificationRouter;
+    this.candleAggregator = candleAggregator;
+    this.exchangeCalendar = exchangeCalendar;
+    this.quietHoursService = quietHoursService;
+    this.n8nService = n8nService;
+    this.notificationOutbox = notificationOutbox;
     this.activeAlerts = new Map(); // symbol -> array of alerts
     this.priceCache = new Map(); // symbol -> latest price
+    this.dayOpens = new Map(); // symbol -> { day, price } open of the UTC day
+    this.priceHistory = new Map(); // symbol -> [{ price, timestamp }] for rolling windows
+    this.armStates = new Map(); // alert id -> armed flag for re-arm band alerts
+    this.trailMarks = new Map(); // alert id -> highest (lowest for shorts) price for trailing stops
+    this.trailMarkWrites = new Map(); // alert id -> whether a newer mark is waiting to be written
+    this.subscriptions = new Map(); // symbol -> market data subscription handle
+    this.indicatorValues = new Map(); // alert id -> last indicator evaluation
+    this.activityStats = new Map(); // alert id -> last activity window statistics
+    this.ruleEvaluations = new Map(); // alert id -> last compound rule evaluation
+    this.derivedValues = new Map(); // alert id -> last ratio or spread evaluation
+    this.rangeStates = new Map(); // alert id -> { zone, crossing } last band position of range alerts
+    this.firingAlerts = new Set(); // alert ids whose trigger is being handled
     this.isRunning = false;
 
     // Bind methods to preserve 'this' context
     this.handlePriceUpdate = this.handlePriceUpdate.bind(this);
+    this.handleCandleClose = this.handleCandleClose.bind(this);
+    this.handleActivityUpdate = this.handleActivityUpdate.bind(this);
+    this.handleHeldRelease = this.handleHeldRelease.bind(this);
   }
 
   /**
@@ -32,6 +79,18 @@ class AlertManager {
       // Subscribe to price updates for all symbols with active alerts
       await this.subscribeToActiveSymbols();
 
+      // Indicator alerts are evaluated when candles close, activity alerts
+      // once each trade has been added to its candle
+      if (this.candleAggregator) {
+        this.candleAggregator.on("candle", this.handleCandleClose);
+        this.candleAggregator.on("update", this.handleActivityUpdate);
+      }
+
+      // Alerts held during quiet hours are sent as a summary afterwards
+      if (this.quietHoursService) {
+        this.quietHoursService.on("release", this.handleHeldRelease);
+      }
+
       // Set up periodic refresh of alerts
       this.setupPeriodicRefresh();
 
@@ -56,12 +115,31 @@ class AlertManager {
       }
 
       // Unsubscribe from all symbols
-      for (const symbol of this.activeAlerts.keys()) {
-        this.finnhubService.removeCallback(symbol);
+      for (const handle of this.subscriptions.values()) {
+        handle.unsubscribe();
+      }
+      this.subscriptions.clear();
+
+      if (this.candleAggregator) {
+        this.candleAggregator.off("candle", this.handleCandleClose);
+        this.candleAggregator.off("update", this.handleActivityUpdate);
+      }
+
+      if (this.quietHoursService) {
+        this.quietHoursService.off("release", this.handleHeldRelease);
       }
 
       this.activeAlerts.clear();
       this.priceCache.clear();
+      this.dayOpens.clear();
+      this.priceHistory.clear();
+      this.armStates.clear();
+      this.trailMarks.clear();
+      this.indicatorValues.clear();
+      this.activityStats.clear();
+      this.ruleEvaluations.clear();
+      this.derivedValues.clear();
+      this.rangeStates.clear();
       this.isRunning = false;
 
       logger.info("Alert Manager stopped");
@@ -81,20 +159,59 @@ class AlertManager {
       // Clear existing alerts
       this.activeAlerts.clear();
 
-      // Group alerts by symbol
+      // Drop arm states, trailing marks and band positions for alerts that
+      // are no longer active
+      const loadedIds = new Set(alerts.map((alert) => alert.id));
+      for (const states of [
+        this.armStates,
+        this.trailMarks,
+        this.rangeStates,
+      ]) {
+        for (const alertId of states.keys()) {
+          if (!loadedIds.has(alertId)) {
+            states.delete(alertId);
+          }
+        }
+      }
+
+      // Group alerts by symbol; compound alerts are listed under each of
+      // their symbols
+      let expiredCount = 0;
       for (const alert of alerts) {
-        const symbol = alert.symbol.toUpperCase();
+        // Expired alerts are switched off instead of monitored
+        if (this.isExpired(alert)) {
+          expiredCount++;
+          this.disableAlert(alert, "expired");
+          continue;
+        }
 
-        if (!this.activeAlerts.has(symbol)) {
-          this.activeAlerts.set(symbol, []);
+        // In-memory arm state wins over a database write that may still be pending
+        if (this.armStates.has(alert.id)) {
+          alert.armed = this.armStates.get(alert.id);
+        }
+        if (this.trailMarks.has(alert.id)) {
+          alert.high_water_mark = this.trailMarks.get(alert.id);
         }
 
-        this.activeAlerts.get(symbol).push(alert);
+        for (const symbol of this.getAlertSymbols(alert)) {
+          if (!this.activeAlerts.has(symbol)) {
+            this.activeAlerts.set(symbol, []);
+          }
+
+          this.activeAlerts.get(symbol).push(alert);
+        }
+        this.loadCandleHistory(alert);
       }
 
       logger.info(
-        `Loaded ${alerts.length} active alerts for ${this.activeAlerts.size} symbols`
+        `Loaded ${alerts.length - expiredCount} active alerts for ${
+          this.activeAlerts.size
+        } symbols`
       );
+
+      if (expiredCount > 0) {
+        logger.info(`Disabled ${expiredCount} expired alerts`);
+      }
     } catch (error) {
       logger.error("Failed to load active alerts:", error);
       throw error;
@@ -107,8 +224,14 @@ class AlertManager {
   async subscribeToActiveSymbols() {
     try {
       for (const symbol of this.activeAlerts.keys()) {
-        this.finnhubService.onPriceUpdate(symbol, this.handlePriceUpdate);
-        logger.debug(`Subscribed to price updates for ${symbol}`);
+        this.subscribeToSymbol(symbol);
+      }
+
+      // Release symbols whose alerts were removed since the last load
+      for (const symbol of [...this.subscriptions.keys()]) {
+        if (!this.activeAlerts.has(symbol)) {
+          this.unsubscribeFromSymbol(symbol);
+        }
       }
 
       logger.info(`Subscribed to ${this.activeAlerts.size} symbols`);
@@ -119,7 +242,35 @@ class AlertManager {
   }
 
   /**
-   * Handle incoming price updates from Finnhub
+   * Register this manager's price listener for a symbol once
+   * @param {string} symbol - Symbol to monitor
+   */
+  subscribeToSymbol(symbol) {
+    if (this.subscriptions.has(symbol)) {
+      return;
+    }
+
+    this.subscriptions.set(
+      symbol,
+      this.marketDataProvider.subscribe(symbol, this.handlePriceUpdate)
+    );
+    logger.debug(`Subscribed to price updates for ${symbol}`);
+  }
+
+  /**
+   * Release this manager's price listener for a symbol
+   * @param {string} symbol - Symbol to stop monitoring
+   */
+  unsubscribeFromSymbol(symbol) {
+    const handle = this.subscriptions.get(symbol);
+    if (handle) {
+      handle.unsubscribe();
+      this.subscriptions.delete(symbol);
+    }
+  }
+
+  /**
+   * Handle incoming price updates from the market data provider
    * @param {string} symbol - Symbol that was updated
    * @param {number} price - New price
    * @param {number} timestamp - Price timestamp
@@ -146,7 +297,15 @@ class AlertManager {
         return;
       }
 
-      for (const alert of symbolAlerts) {
+      // Track reference prices used by percent-move alerts
+      this.recordReferencePrices(symbol, price, timestamp, symbolAlerts);
+
+      // Iterate over a copy since one-shot and expired alerts remove themselves
+      for (const alert of [...symbolAlerts]) {
+        // Indicator and activity alerts are checked from candle updates
+        if (this.isIndicatorAlert(alert) || this.isActivityAlert(alert)) {
+          continue;
+        }
         await this.checkAlert(alert, price, timestamp);
       }
     } catch (error) {
@@ -154,6 +313,39 @@ class AlertManager {
     }
   }
 
+  /**
+   * Check indicator alerts when a candle they use closes
+   * @param {Object} candle - Closed candle from the candle aggregator
+   */
+  async handleCandleClose(candle) {
+    try {
+      const symbolAlerts = this.activeAlerts.get(candle.symbol);
+      if (!symbolAlerts || symbolAlerts.length === 0) {
+        return;
+      }
+
+      for (const alert of [...symbolAlerts]) {
+        if (
+          !this.isIndicatorAlert(alert) ||
+          this.getConditionParams(alert).interval !== candle.interval
+        ) {
+          continue;
+        }
+
+        await this.checkAlert(
+          alert,
+          candle.close,
+          new Date(candle.close_time).getTime()
+        );
+      }
+    } catch (error) {
+      logger.error(
+        `Error handling ${candle.interval} candle for ${candle.symbol}:`,
+        error
+      );
+    }
+  }
+
   /**
    * Check if an alert should be triggered
    * @param {Object} alert - Alert to check
@@ -162,7 +354,45 @@ class AlertManager {
    */
   async checkAlert(alert, currentPrice, timestamp) {
     try {
-      const { id, symbol, target_value, direction, last_triggered_at } = alert;
+      const { id, symbol, direction, last_triggered_at } = alert;
+
+      // Trades keep arriving while a trigger is handled; a disabled alert
+      // may still be in a loop over a copy of the symbol's alerts
+      if (alert.enabled === false || this.firingAlerts.has(id)) {
+        return;
+      }
+
+      if (this.isExpired(alert)) {
+        await this.disableAlert(alert, "expired");
+        return;
+      }
+
+      // Scheduled alerts are only evaluated inside their daily window
+      if (!this.isWithinActiveWindow(alert)) {
+        return;
+      }
+
+      // Equity alerts can be limited to some market sessions
+      if (!this.isInAllowedSession(alert)) {
+        return;
+      }
+
+      // Ratio and spread alerts compare their computed value, not a price
+      if (this.isDerivedAlert(alert)) {
+        currentPrice = this.updateDerivedValue(alert);
+        if (currentPrice === null) {
+          return;
+        }
+      }
+
+      // Disarmed alerts wait for price to retreat past the re-arm band
+      if (this.usesRearmBand(alert) && alert.armed === false) {
+        if (this.hasRetreatedPastBand(alert, currentPrice)) {
+          logger.debug(`Alert ${id} re-armed at $${currentPrice}`);
+          await this.setArmState(alert, true);
+        }
+        return;
+      }
 
       // Check if alert conditions are met
       const shouldTrigger = this.shouldTriggerAlert(alert, currentPrice);
@@ -174,8 +404,8 @@ class AlertManager {
       // Check cooldown period (prevent spam)
       if (last_triggered_at) {
         const lastTriggered = new Date(last_triggered_at);
-        const cooldownPeriod = 5 * 60 * 1000; // 5 minutes
-        const timeSinceLastTrigger = Date.now() - lastTriggered.getTime();
+        const cooldownPeriod = this.getCooldownMs(alert);
+        const timeSinceLastTrigger = this.now() - lastTriggered.getTime();
 
         if (timeSinceLastTrigger < cooldownPeriod) {
           logger.debug(`Alert ${id} is in cooldown period`);
@@ -184,22 +414,360 @@ class AlertManager {
       }
 
       logger.info(
-        `Alert triggered: ${symbol} ${direction} $${target_value} (current: $${currentPrice})`
+        `Alert triggered: ${symbol} ${direction} ${this.describeThreshold(
+          alert
+        )} (current: $${currentPrice})`
       );
 
-      // Send notification
-      await this.sendAlertNotification(alert, currentPrice, timestamp);
+      // Mark the alert fired before anything is awaited, so trades that
+      // arrive while the notification is sent cannot trigger it again
+      this.firingAlerts.add(id);
+      alert.last_triggered_at = new Date(this.now()).toISOString();
 
-      // Update last triggered timestamp
-      await this.supabaseService.updateAlertLastTriggered(id);
-
-      // Update local cache
-      alert.last_triggered_at = new Date().toISOString();
+      try {
+        await this.handleTrigger(alert, currentPrice, timestamp);
+      } finally {
+        this.firingAlerts.delete(id);
+      }
     } catch (error) {
       logger.error(`Error checking alert ${alert.id}:`, error);
     }
   }
 
+  /**
+   * Notify, record and persist a trigger, then disable, disarm or re-trail
+   * the alert. Runs while the alert is marked as firing.
+   * @param {Object} alert - Alert that was triggered
+   * @param {number} currentPrice - Current price
+   * @param {number} timestamp - Price timestamp
+   */
+  async handleTrigger(alert, currentPrice, timestamp) {
+    // Send notification
+    const delivery = await this.sendAlertNotification(
+      alert,
+      currentPrice,
+      timestamp
+    );
+
+    // Record the trigger in alert history
+    await this.recordAlertEvent(alert, currentPrice, timestamp, delivery);
+
+    // Update last triggered timestamp
+    await this.supabaseService.updateAlertLastTriggered(alert.id);
+
+    // One-shot alerts are done after their first trigger
+    if (alert.trigger_mode === "once") {
+      await this.disableAlert(alert, "one-shot alert fired");
+      return;
+    }
+
+    // Fire once per crossing until price retreats past the band
+    if (this.usesRearmBand(alert)) {
+      await this.setArmState(alert, false);
+    }
+
+    // A fired trailing stop starts trailing again from the current price
+    if (this.isTrailingAlert(alert)) {
+      this.setTrailMark(alert, currentPrice);
+    }
+  }
+
+  /**
+   * Current time from the market data provider, so replays evaluate
+   * cooldowns and schedules against the recorded time
+   * @returns {number} Time in milliseconds
+   */
+  now() {
+    return this.marketDataProvider.now();
+  }
+
+  /**
+   * Check whether an alert has passed its expires_at time
+   * @param {Object} alert - Alert configuration
+   * @param {Date} [now] - Time to check against
+   * @returns {boolean} Whether the alert has expired
+   */
+  isExpired(alert, now = new Date(this.now())) {
+    return !!alert.expires_at && new Date(alert.expires_at) <= now;
+  }
+
+  /**
+   * Check whether the current UTC time is inside an alert's daily window
+   * @param {Object} alert - Alert configuration
+   * @param {Date} [now] - Time to check against
+   * @returns {boolean} Whether the alert should be evaluated
+   */
+  isWithinActiveWindow(alert, now = new Date(this.now())) {
+    const { active_from, active_until } = alert;
+    if (!active_from || !active_until) {
+      return true;
+    }
+
+    const toMinutes = (time) => {
+      const [hours, minutes] = time.split(":").map(Number);
+      return hours * 60 + minutes;
+    };
+
+    const from = toMinutes(active_from);
+    const until = toMinutes(active_until);
+    const current = now.getUTCHours() * 60 + now.getUTCMinutes();
+
+    // Windows such as 22:00-06:00 wrap past midnight
+    if (from <= until) {
+      return current >= from && current < until;
+    }
+    return current >= from || current < until;
+  }
+
+  /**
+   * Check whether every symbol of an alert is in one of the market sessions
+   * the alert is limited to. Around-the-clock symbols always are.
+   * @param {Object} alert - Alert configuration
+   * @param {Date} [now] - Time to check against
+   * @returns {boolean} Whether the alert should be evaluated
+   */
+  isInAllowedSession(alert, now = new Date(this.now())) {
+    const { sessions } = alert;
+    if (
+      !this.exchangeCalendar ||
+      !Array.isArray(sessions) ||
+      sessions.length === 0
+    ) {
+      return true;
+    }
+
+    return this.getAlertSymbols(alert).every(
+      (symbol) =>
+        this.exchangeCalendar.isAroundTheClock(symbol) ||
+        sessions.includes(this.exchangeCalendar.getSession(symbol, now))
+    );
+  }
+
+  /**
+   * Stop monitoring an alert and disable it in the database
+   * @param {Object} alert - Alert to disable
+   * @param {string} reason - Why the alert is being disabled
+   */
+  async disableAlert(alert, reason) {
+    const symbolAlerts = this.activeAlerts.get(alert.symbol.toUpperCase());
+    if (symbolAlerts && symbolAlerts.some((item) => item.id === alert.id)) {
+      this.removeAlert(alert.id);
+    }
+    alert.enabled = false;
+
+    try {
+      await this.supabaseService.updateAlert(alert.id, { enabled: false });
+      logger.info(`Disabled alert ${alert.id} (${reason})`);
+    } catch (error) {
+      logger.error(`Failed to disable alert ${alert.id}:`, error);
+    }
+  }
+
+  /**
+   * Get the minimum time between triggers for an alert
+   * @param {Object} alert - Alert configuration
+   * @returns {number} Cooldown in milliseconds
+   */
+  getCooldownMs(alert) {
+    if (
+      alert.cooldown_seconds !== null &&
+      alert.cooldown_seconds !== undefined
+    ) {
+      return alert.cooldown_seconds * 1000;
+    }
+    return config.alerts.cooldownMinutes * 60 * 1000;
+  }
+
+  /**
+   * Check whether an alert uses re-arm band semantics
+   * @param {Object} alert - Alert configuration
+   * @returns {boolean} Whether the alert has a rearm_band
+   */
+  usesRearmBand(alert) {
+    return alert.rearm_band !== null && alert.rearm_band !== undefined;
+  }
+
+  /**
+   * Check if price has retreated far enough from the threshold to re-arm
+   * @param {Object} alert - Alert configuration
+   * @param {number} currentPrice - Current price
+   * @returns {boolean} Whether the alert should re-arm
+   */
+  hasRetreatedPastBand(alert, currentPrice) {
+    const { direction, rearm_band } = alert;
+
+    // Percent-move alerts measure the band in percentage points of the move
+    if (this.isPercentMoveAlert(alert)) {
+      const movePercent = this.getMovePercent(alert, currentPrice);
+      if (movePercent === null) {
+        return false;
+      }
+
+      const rearmLevel = alert.percent_move - rearm_band;
+      switch (direction) {
+        case "above":
+          return movePercent <= rearmLevel;
+        case "below":
+          return movePercent >= -rearmLevel;
+        case "either":
+          return Math.abs(movePercent) <= rearmLevel;
+        default:
+          return false;
+      }
+    }
+
+    const { target_value } = alert;
+    const bandWidth = target_value * (rearm_band / 100);
+
+    switch (direction) {
+      case "above":
+        return currentPrice <= target_value - bandWidth;
+      case "below":
+        return currentPrice >= target_value + bandWidth;
+      case "either":
+        return Math.abs(currentPrice - target_value) >= bandWidth;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Arm or disarm an alert and persist the state
+   * @param {Object} alert - Alert configuration
+   * @param {boolean} armed - New arm state
+   */
+  async setArmState(alert, armed) {
+    alert.armed = armed;
+    this.armStates.set(alert.id, armed);
+
+    try {
+      await this.supabaseService.updateAlertArmState(alert.id, armed);
+    } catch (error) {
+      logger.error(`Failed to persist arm state for alert ${alert.id}:`, error);
+    }
+  }
+
+  /**
+   * Forget the in-memory arm state so the stored value is used again
+   * @param {string} alertId - Alert ID
+   */
+  clearArmState(alertId) {
+    this.armStates.delete(alertId);
+  }
+
+  /**
+   * Check whether an alert is a trailing stop
+   * @param {Object} alert - Alert configuration
+   * @returns {boolean} Whether the alert has the trailing direction
+   */
+  isTrailingAlert(alert) {
+    return alert.direction === "trailing";
+  }
+
+  /**
+   * Get the running high-water mark of a trailing stop (the low-water mark
+   * for shorts)
+   * @param {Object} alert - Alert configuration
+   * @returns {number|null} Mark, or null before the first price
+   */
+  getTrailMark(alert) {
+    if (this.trailMarks.has(alert.id)) {
+      return this.trailMarks.get(alert.id);
+    }
+    return alert.high_water_mark ?? null;
+  }
+
+  /**
+   * Get the price at which a trailing stop fires
+   * @param {Object} alert - Alert configuration
+   * @returns {number|null} Effective stop level, or null before the first price
+   */
+  getTrailingStop(alert) {
+    const mark = this.getTrailMark(alert);
+    if (mark === null) {
+      return null;
+    }
+
+    const isShort = alert.trail_side === "short";
+    const offset =
+      alert.trail_percent !== null && alert.trail_percent !== undefined
+        ? mark * (alert.trail_percent / 100)
+        : alert.trail_amount;
+    return isShort ? mark + offset : mark - offset;
+  }
+
+  /**
+   * Move a trailing stop's mark and persist it
+   * @param {Object} alert - Alert configuration
+   * @param {number} mark - New high-water (or low-water) mark
+   */
+  setTrailMark(alert, mark) {
+    alert.high_water_mark = mark;
+    this.trailMarks.set(alert.id, mark);
+    this.persistTrailMark(alert);
+  }
+
+  /**
+   * Write a trailing stop's mark to the database. Only one write per alert
+   * is in flight; marks set meanwhile are written once it finishes.
+   * @param {Object} alert - Alert configuration
+   * @returns {Promise<void>}
+   */
+  async persistTrailMark(alert) {
+    if (this.trailMarkWrites.has(alert.id)) {
+      this.trailMarkWrites.set(alert.id, true);
+      return;
+    }
+
+    try {
+      do {
+        this.trailMarkWrites.set(alert.id, false);
+        await this.supabaseService.updateAlertHighWaterMark(
+          alert.id,
+          this.getTrailMark(alert)
+        );
+      } while (this.trailMarkWrites.get(alert.id));
+    } catch (error) {
+      logger.error(
+        `Failed to persist high-water mark for alert ${alert.id}:`,
+        error
+      );
+    } finally {
+      this.trailMarkWrites.delete(alert.id);
+    }
+  }
+
+  /**
+   * Forget the in-memory trailing mark so the stored value is used again
+   * @param {string} alertId - Alert ID
+   */
+  clearTrailMark(alertId) {
+    this.trailMarks.delete(alertId);
+  }
+
+  /**
+   * Follow the best price since the alert was armed and check whether the
+   * price has fallen back to the stop (risen, for shorts)
+   * @param {Object} alert - Alert configuration
+   * @param {number} currentPrice - Current price
+   * @returns {boolean} Whether the stop was hit
+   */
+  checkTrailingStop(alert, currentPrice) {
+    const isShort = alert.trail_side === "short";
+    const mark = this.getTrailMark(alert);
+
+    if (
+      mark === null ||
+      (isShort ? currentPrice < mark : currentPrice > mark)
+    ) {
+      this.setTrailMark(alert, currentPrice);
+      return false;
+    }
+
+    const stop = this.getTrailingStop(alert);
+    return isShort ? currentPrice >= stop : currentPrice <= stop;
+  }
+
   /**
    * Determine if an alert should trigger based on current price
    * @param {Object} alert - Alert configuration
@@ -209,7 +777,29 @@ class AlertManager {
   shouldTriggerAlert(alert, currentPrice) {
     const { target_value, direction } = alert;
 
+    if (this.isIndicatorAlert(alert)) {
+      return this.checkIndicatorCondition(alert);
+    }
+
+    if (this.isActivityAlert(alert)) {
+      return this.checkActivitySpike(alert);
+    }
+
+    if (this.isCompoundAlert(alert)) {
+      return this.checkCompoundRule(alert);
+    }
+
+    if (this.isRangeAlert(alert)) {
+      return this.checkRangeCrossing(alert, currentPrice);
+    }
+
+    if (this.isPercentMoveAlert(alert)) {
+      return this.checkPercentMove(alert, currentPrice);
+    }
+
     switch (direction) {
+      case "trailing":
+        return this.checkTrailingStop(alert, currentPrice);
       case "above":
         return currentPrice >= target_value;
       case "below":
@@ -232,15 +822,17 @@ class AlertManager {
    */
   checkEitherDirection(alert, currentPrice) {
     const { target_value, symbol, id } = alert;
-    const cached = this.priceCache.get(symbol);
+
+    // Derived alerts cross on their own previous value
+    const previousPrice = this.isDerivedAlert(alert)
+      ? this.derivedValues.get(id)?.previousValue
+      : this.priceCache.get(symbol)?.previousPrice;
 
     // If no previous price data, don't trigger yet
-    if (!cached || cached.previousPrice === undefined) {
+    if (previousPrice === undefined) {
       return false;
     }
 
-    const previousPrice = cached.previousPrice;
-
     // Check if we've crossed the target value in either direction
     const previousAboveTarget = previousPrice >= target_value;
     const currentAboveTarget = currentPrice >= target_value;
@@ -258,28 +850,753 @@ class AlertManager {
   }
 
   /**
-   * Send alert notification via Discord and Teams
-   * @param {Object} alert - Alert that was triggered
+   * Track which side of its band a range alert's price is on and check for
+   * a crossing of the kind the alert is waiting for
+   * @param {Object} alert - Alert configuration
    * @param {number} currentPrice - Current price
-   * @param {number} timestamp - Price timestamp
+   * @returns {boolean} Whether alert should trigger
    */
-  async sendAlertNotification(alert, currentPrice, timestamp) {
-    try {
-      const {
-        symbol,
-        target_value,
-        direction,
-        alert_type,
-        notes,
-        prompt,
-        user_id,
-      } = alert;
+  checkRangeCrossing(alert, currentPrice) {
+    const params = this.getConditionParams(alert);
+    const zone = priceRanges.getRangeZone(currentPrice, params);
+    const previous = this.rangeStates.get(alert.id);
+
+    // The first price only tells us where the band starts from
+    if (!previous || previous.zone === zone) {
+      this.rangeStates.set(alert.id, {
+        zone,
+        crossing: previous?.crossing ?? null,
+      });
+      return false;
+    }
 
-      const priceData = this.priceCache.get(symbol);
-      const priceChange = this.calculatePriceChange(symbol, currentPrice);
+    const crossing = {
+      ...priceRanges.describeCrossing(previous.zone, zone, params),
+      fromZone: previous.zone,
+      toZone: zone,
+    };
+    this.rangeStates.set(alert.id, { zone, crossing });
+
+    logger.debug(
+      `Range alert ${alert.id}: ${crossing.event} through ${crossing.boundary} ${crossing.boundaryValue} (${previous.zone} -> ${zone})`
+    );
+
+    return params.event === "both" || params.event === crossing.event;
+  }
+
+  /**
+   * Forget a range alert's band position so the next price starts over
+   * @param {string} alertId - Alert ID
+   */
+  clearRangeState(alertId) {
+    this.rangeStates.delete(alertId);
+  }
+
+  /**
+   * Check volume and trade-count alerts after a trade reaches its candle
+   * @param {Object} update - Trade update from the candle aggregator
+   */
+  async handleActivityUpdate({ symbol, price, timestamp }) {
+    try {
+      const symbolAlerts = this.activeAlerts.get(symbol);
+      if (!symbolAlerts || symbolAlerts.length === 0) {
+        return;
+      }
+
+      for (const alert of [...symbolAlerts]) {
+        if (this.isActivityAlert(alert)) {
+          await this.checkAlert(alert, price, timestamp);
+        }
+      }
+    } catch (error) {
+      logger.error(`Error checking activity alerts for ${symbol}:`, error);
+    }
+  }
+
+  /**
+   * Check whether an alert uses a technical-indicator condition
+   * @param {Object} alert - Alert configuration
+   * @returns {boolean} Whether the alert has an indicator condition_type
+   */
+  isIndicatorAlert(alert) {
+    return !!indicators.INDICATOR_DEFAULTS[alert.condition_type];
+  }
+
+  /**
+   * Check whether an alert uses a volume or trade-count spike condition
+   * @param {Object} alert - Alert configuration
+   * @returns {boolean} Whether the alert has an activity condition_type
+   */
+  isActivityAlert(alert) {
+    return !!indicators.ACTIVITY_DEFAULTS[alert.condition_type];
+  }
+
+  /**
+   * Check whether an alert combines price conditions with AND/OR
+   * @param {Object} alert - Alert configuration
+   * @returns {boolean} Whether the alert has a compound condition_type
+   */
+  isCompoundAlert(alert) {
+    return alert.condition_type === "compound";
+  }
+
+  /**
+   * Check whether an alert watches the ratio or spread of two symbols
+   * @param {Object} alert - Alert configuration
+   * @returns {boolean} Whether the alert has a derived condition_type
+   */
+  isDerivedAlert(alert) {
+    return !!derivedValues.DERIVED_DEFAULTS[alert.condition_type];
+  }
+
+  /**
+   * Check whether an alert watches a price band
+   * @param {Object} alert - Alert configuration
+   * @returns {boolean} Whether the alert has a range condition_type
+   */
+  isRangeAlert(alert) {
+    return !!priceRanges.RANGE_DEFAULTS[alert.condition_type];
+  }
+
+  /**
+   * Get the symbols an alert has to be checked for
+   * @param {Object} alert - Alert configuration
+   * @returns {Array<string>} Upper-case symbols
+   */
+  getAlertSymbols(alert) {
+    if (this.isCompoundAlert(alert)) {
+      return compoundRules.getRuleSymbols(this.getConditionParams(alert));
+    }
+    if (this.isDerivedAlert(alert)) {
+      const { symbol_a, symbol_b } = this.getConditionParams(alert);
+      return [symbol_a, symbol_b];
+    }
+    return [alert.symbol.toUpperCase()];
+  }
+
+  /**
+   * Compute a ratio or spread alert's value from the price cache. Quotes
+   * older than max_age_seconds are not used.
+   * @param {Object} alert - Alert configuration
+   * @returns {Object} Instrument label, value (null if a leg is missing or stale) and legs
+   */
+  evaluateDerived(alert) {
+    const params = this.getConditionParams(alert);
+    const now = this.now();
+
+    const legs = [params.symbol_a, params.symbol_b].map((symbol) => {
+      const cached = this.priceCache.get(symbol);
+      if (!cached) {
+        return { symbol, price: null, ageSeconds: null, stale: true };
+      }
+
+      const quotedAt = cached.timestamp || cached.updatedAt.getTime();
+      const ageSeconds = Math.max(0, (now - quotedAt) / 1000);
+      return {
+        symbol,
+        price: cached.price,
+        ageSeconds: parseFloat(ageSeconds.toFixed(1)),
+        stale: ageSeconds > params.max_age_seconds,
+      };
+    });
+
+    const value = legs.some((leg) => leg.stale)
+      ? null
+      : derivedValues.computeDerivedValue(
+          alert.condition_type,
+          legs[0].price,
+          legs[1].price
+        );
+
+    return {
+      conditionType: alert.condition_type,
+      label: derivedValues.describeDerived(alert.condition_type, params),
+      value,
+      maxAgeSeconds: params.max_age_seconds,
+      legs,
+    };
+  }
+
+  /**
+   * Recompute a ratio or spread alert's value and remember it, along with
+   * the previous value for "either" crossings
+   * @param {Object} alert - Alert configuration
+   * @returns {number|null} Current value, or null if it cannot be used
+   */
+  updateDerivedValue(alert) {
+    const evaluation = this.evaluateDerived(alert);
+    if (evaluation.value === null) {
+      logger.debug(
+        `Skipping alert ${alert.id}: ${evaluation.label} has a missing or stale leg`
+      );
+      return null;
+    }
+
+    const previous = this.derivedValues.get(alert.id);
+    this.derivedValues.set(alert.id, {
+      ...evaluation,
+      previousValue: previous?.value,
+    });
+    return evaluation.value;
+  }
+
+  /**
+   * Evaluate a compound alert's rule against the price cache and remember
+   * every leg's value for the notification
+   * @param {Object} alert - Alert configuration
+   * @returns {boolean} Whether the rule matches
+   */
+  checkCompoundRule(alert) {
+    const evaluation = compoundRules.evaluateRule(
+      this.getConditionParams(alert),
+      (symbol) => this.getLatestPrice(symbol)
+    );
+
+    this.ruleEvaluations.set(alert.id, evaluation);
+    return evaluation.matched;
+  }
+
+  /**
+   * Get a non-price alert's params with defaults filled in
+   * @param {Object} alert - Alert configuration
+   * @returns {Object} Condition params (interval, period, ...)
+   */
+  getConditionParams(alert) {
+    let params = alert.params || {};
+    if (typeof params === "string") {
+      try {
+        params = JSON.parse(params);
+      } catch (error) {
+        logger.warn(`Alert ${alert.id} has unreadable params: ${params}`);
+        params = {};
+      }
+    }
+
+    return {
+      ...(indicators.INDICATOR_DEFAULTS[alert.condition_type] ||
+        indicators.ACTIVITY_DEFAULTS[alert.condition_type] ||
+        derivedValues.DERIVED_DEFAULTS[alert.condition_type] ||
+        priceRanges.RANGE_DEFAULTS[alert.condition_type]),
+      ...params,
+    };
+  }
+
+  /**
+   * Get the display name of an alert's indicator, e.g. "RSI(14)"
+   * @param {Object} alert - Alert configuration
+   * @returns {string} Indicator label
+   */
+  getIndicatorLabel(alert) {
+    const { period, std_dev } = this.getConditionParams(alert);
+
+    switch (alert.condition_type) {
+      case "sma_cross":
+        return `SMA(${period})`;
+      case "ema_cross":
+        return `EMA(${period})`;
+      case "rsi":
+        return `RSI(${period})`;
+      case "bollinger":
+        return `Bollinger(${period}, ${std_dev})`;
+      default:
+        return alert.condition_type;
+    }
+  }
+
+  /**
+   * Evaluate an indicator alert on the closed candles for its interval and
+   * remember the values for the notification
+   * @param {Object} alert - Alert configuration
+   * @returns {boolean} Whether the indicator condition is met
+   */
+  checkIndicatorCondition(alert) {
+    const snapshot = this.evaluateIndicator(alert);
+    if (!snapshot) {
+      return false;
+    }
+
+    this.indicatorValues.set(alert.id, snapshot);
+    return snapshot.triggered;
+  }
+
+  /**
+   * Calculate an alert's indicator from closed candles
+   * @param {Object} alert - Alert configuration
+   * @returns {Object|null} Indicator snapshot, or null until enough candles have closed
+   */
+  evaluateIndicator(alert) {
+    if (!this.candleAggregator) {
+      return null;
+    }
+
+    const params = this.getConditionParams(alert);
+    const closes = this.candleAggregator
+      .getClosedCandles(alert.symbol, params.interval)
+      .map((candle) => candle.close);
+    if (closes.length < 2) {
+      return null;
+    }
+
+    const { direction } = alert;
+    const label = this.getIndicatorLabel(alert);
+    const close = closes[closes.length - 1];
+    const formatPrice = (value) => `$${value.toFixed(2)}`;
+    const snapshot = {
+      conditionType: alert.condition_type,
+      label,
+      interval: params.interval,
+    };
+
+    switch (alert.condition_type) {
+      case "sma_cross":
+      case "ema_cross": {
+        const average =
+          alert.condition_type === "sma_cross"
+            ? indicators.sma
+            : indicators.ema;
+        const current = average(closes, params.period);
+        const previous = average(closes.slice(0, -1), params.period);
+        if (current === null || previous === null) {
+          return null;
+        }
+
+        // A cross needs the previous close on the other side of the average
+        const previousClose = closes[closes.length - 2];
+        const crossedAbove = previousClose <= previous && close > current;
+        const crossedBelow = previousClose >= previous && close < current;
+
+        return {
+          ...snapshot,
+          values: {
+            close,
+            average: current,
+            previousClose,
+            previousAverage: previous,
+          },
+          summary: `Close ${formatPrice(close)} ${
+            crossedAbove
+              ? "crossed above"
+              : crossedBelow
+              ? "crossed below"
+              : "vs"
+          } ${label} ${formatPrice(current)}`,
+          triggered:
+            (direction !== "below" && crossedAbove) ||
+            (direction !== "above" && crossedBelow),
+        };
+      }
+      case "rsi": {
+        const value = indicators.rsi(closes, params.period);
+        if (value === null) {
+          return null;
+        }
+
+        return {
+          ...snapshot,
+          values: { close, rsi: value, threshold: params.threshold },
+          summary: `${label} ${value.toFixed(2)} (threshold ${
+            params.threshold
+          })`,
+          triggered:
+            direction === "below"
+              ? value <= params.threshold
+              : value >= params.threshold,
+        };
+      }
+      case "bollinger": {
+        const bands = indicators.bollinger(
+          closes,
+          params.period,
+          params.std_dev
+        );
+        if (bands === null) {
+          return null;
+        }
+
+        return {
+          ...snapshot,
+          values: { close, ...bands },
+          summary: `Close ${formatPrice(close)} vs bands ${formatPrice(
+            bands.lower
+          )} / ${formatPrice(bands.middle)} / ${formatPrice(bands.upper)}`,
+          triggered:
+            (direction !== "below" && close > bands.upper) ||
+            (direction !== "above" && close < bands.lower),
+        };
+      }
+      default:
+        logger.warn(`Unknown condition_type: ${alert.condition_type}`);
+        return null;
+    }
+  }
+
+  /**
+   * Evaluate a volume or trade-count spike alert and remember the window
+   * statistics for the notification
+   * @param {Object} alert - Alert configuration
+   * @returns {boolean} Whether activity exceeds the multiplier
+   */
+  checkActivitySpike(alert) {
+    const stats = this.evaluateActivity(alert);
+    if (!stats) {
+      return false;
+    }
+
+    this.activityStats.set(alert.id, stats);
+    return stats.triggered;
+  }
+
+  /**
+   * Compare the latest window of 1m candles with its trailing average
+   * @param {Object} alert - Alert configuration
+   * @returns {Object|null} Window statistics, or null until the baseline is covered
+   */
+  evaluateActivity(alert) {
+    if (!this.candleAggregator) {
+      return null;
+    }
+
+    const { window_minutes, baseline_windows, multiplier } =
+      this.getConditionParams(alert);
+    const isVolume = alert.condition_type === "volume_spike";
+
+    // The window ends with the minute that is still trading
+    const openCandle = this.candleAggregator.getOpenCandle(alert.symbol, "1m");
+    if (!openCandle) {
+      return null;
+    }
+
+    const stats = indicators.windowActivity(
+      [
+        ...this.candleAggregator.getClosedCandles(alert.symbol, "1m"),
+        openCandle,
+      ],
+      isVolume ? "volume" : "trade_count",
+      new Date(openCandle.close_time).getTime(),
+      window_minutes,
+      baseline_windows
+    );
+    if (!stats) {
+      return null;
+    }
+
+    return {
+      conditionType: alert.condition_type,
+      label: isVolume ? "Volume spike" : "Trade count spike",
+      metric: isVolume ? "volume" : "trades",
+      windowMinutes: window_minutes,
+      baselineWindows: baseline_windows,
+      multiplier,
+      ...stats,
+      triggered: stats.ratio !== null && stats.ratio >= multiplier,
+    };
+  }
+
+  /**
+   * Seed the candle ring with stored candles for an indicator or activity
+   * alert
+   * @param {Object} alert - Alert configuration
+   */
+  loadCandleHistory(alert) {
+    if (!this.isIndicatorAlert(alert) && !this.isActivityAlert(alert)) {
+      return;
+    }
+
+    if (!this.candleAggregator) {
+      logger.warn(
+        `Alert ${alert.id} will not be evaluated: no candle aggregator`
+      );
+      return;
+    }
+
+    const { interval } = this.getConditionParams(alert);
+    this.candleAggregator.loadHistory(alert.symbol, interval).catch((error) => {
+      logger.error(
+        `Failed to load ${interval} candle history for ${alert.symbol}:`,
+        error
+      );
+    });
+  }
+
+  /**
+   * Check whether an alert is a percent-move alert
+   * @param {Object} alert - Alert configuration
+   * @returns {boolean} Whether the alert uses percent_move
+   */
+  isPercentMoveAlert(alert) {
+    return alert.percent_move !== null && alert.percent_move !== undefined;
+  }
+
+  /**
+   * Check if a percent-move alert should trigger
+   * @param {Object} alert - Alert configuration
+   * @param {number} currentPrice - Current price
+   * @returns {boolean} Whether alert should trigger
+   */
+  checkPercentMove(alert, currentPrice) {
+    const { percent_move, direction, id } = alert;
+    const movePercent = this.getMovePercent(alert, currentPrice);
+
+    // Without a reference price there is nothing to compare against yet
+    if (movePercent === null) {
+      return false;
+    }
+
+    let hasMoved;
+    switch (direction) {
+      case "above":
+        hasMoved = movePercent >= percent_move;
+        break;
+      case "below":
+        hasMoved = movePercent <= -percent_move;
+        break;
+      case "either":
+        hasMoved = Math.abs(movePercent) >= percent_move;
+        break;
+      default:
+        logger.warn(`Unknown alert direction: ${direction}`);
+        return false;
+    }
+
+    if (hasMoved) {
+      logger.debug(
+        `Percent move alert ${id}: moved ${movePercent.toFixed(
+          2
+        )}% from reference ${this.getReferencePrice(alert)}`
+      );
+    }
+
+    return hasMoved;
+  }
+
+  /**
+   * Calculate the percent move from a percent-move alert's reference price
+   * @param {Object} alert - Alert configuration
+   * @param {number} currentPrice - Current price
+   * @returns {number|null} Percent move, or null if no reference price yet
+   */
+  getMovePercent(alert, currentPrice) {
+    const referencePrice = this.getReferencePrice(alert);
+    if (!referencePrice) {
+      return null;
+    }
+    return ((currentPrice - referencePrice) / referencePrice) * 100;
+  }
+
+  /**
+   * Get the reference price a percent-move alert is measured against
+   * @param {Object} alert - Alert configuration
+   * @returns {number|null} Reference price, or null if not yet known
+   */
+  getReferencePrice(alert) {
+    const symbol = alert.symbol.toUpperCase();
+
+    switch (alert.reference_type) {
+      case "day_open": {
+        const dayOpen = this.dayOpens.get(symbol);
+        return dayOpen ? dayOpen.price : null;
+      }
+      case "rolling": {
+        const history = this.priceHistory.get(symbol);
+        if (!history || history.length === 0) {
+          return null;
+        }
+
+        // Oldest sample inside the window is the price N minutes ago
+        const windowStart =
+          history[history.length - 1].timestamp -
+          alert.reference_window_minutes * 60 * 1000;
+        const sample = history.find((entry) => entry.timestamp >= windowStart);
+        return sample ? sample.price : null;
+      }
+      case "creation":
+      default:
+        return alert.reference_price || null;
+    }
+  }
+
+  /**
+   * Update day-open, rolling-window and creation reference prices
+   * @param {string} symbol - Symbol that was updated
+   * @param {number} price - New price
+   * @param {number} timestamp - Price timestamp in milliseconds
+   * @param {Array<Object>} symbolAlerts - Active alerts for the symbol
+   */
+  recordReferencePrices(symbol, price, timestamp, symbolAlerts) {
+    // Until the day's first candle is loaded, the first trade seen on the
+    // current UTC day stands in for the day open
+    const day = new Date(timestamp).toISOString().slice(0, 10);
+    const dayOpen = this.dayOpens.get(symbol);
+    if (!dayOpen || dayOpen.day !== day) {
+      this.dayOpens.set(symbol, { day, price });
+      this.loadDayOpen(symbol, day);
+    }
+
+    const percentAlerts = symbolAlerts.filter((alert) =>
+      this.isPercentMoveAlert(alert)
+    );
+    if (percentAlerts.length === 0) {
+      return;
+    }
+
+    // Keep one sample per second, trimmed to the longest rolling window
+    const maxWindowMinutes = Math.max(
+      0,
+      ...percentAlerts
+        .filter((alert) => alert.reference_type === "rolling")
+        .map((alert) => alert.reference_window_minutes || 0)
+    );
+    if (maxWindowMinutes > 0) {
+      if (!this.priceHistory.has(symbol)) {
+        this.priceHistory.set(symbol, []);
+      }
+
+      const history = this.priceHistory.get(symbol);
+      const last = history[history.length - 1];
+      if (
+        last &&
+        Math.floor(last.timestamp / 1000) === Math.floor(timestamp / 1000)
+      ) {
+        last.price = price;
+      } else {
+        history.push({ price, timestamp });
+      }
+
+      const windowStart = timestamp - maxWindowMinutes * 60 * 1000;
+      while (history.length > 1 && history[1].timestamp <= windowStart) {
+        history.shift();
+      }
+    } else {
+      this.priceHistory.delete(symbol);
+    }
+
+    // Alerts created before any price was seen take the first price as reference
+    for (const alert of percentAlerts) {
+      if (
+        (alert.reference_type || "creation") === "creation" &&
+        !alert.reference_price
+      ) {
+        alert.reference_price = price;
+        this.supabaseService
+          .updateAlert(alert.id, { reference_price: price })
+          .catch((error) => {
+            logger.error(
+              `Failed to store reference price for alert ${alert.id}:`,
+              error
+            );
+          });
+      }
+    }
+  }
+
+  /**
+   * Take a symbol's day open from the first 1h candle of the UTC day, so it
+   * is the day's first trade even when this process started later or the
+   * symbol was not watched all day
+   * @param {string} symbol - Symbol
+   * @param {string} day - UTC day (YYYY-MM-DD)
+   */
+  async loadDayOpen(symbol, day) {
+    if (!this.candleAggregator) {
+      return;
+    }
+
+    try {
+      const [candle] = await this.candleAggregator.getCandles(symbol, "1h", {
+        from: new Date(`${day}T00:00:00.000Z`),
+        limit: 1,
+      });
+      if (
+        candle &&
+        candle.open_time.slice(0, 10) === day &&
+        this.dayOpens.get(symbol)?.day === day
+      ) {
+        this.dayOpens.set(symbol, { day, price: candle.open });
+      }
+    } catch (error) {
+      logger.error(`Failed to load the day open for ${symbol}:`, error);
+    }
+  }
+
+  /**
+   * Describe an alert's threshold for log messages
+   * @param {Object} alert - Alert configuration
+   * @returns {string} Human readable threshold
+   */
+  describeThreshold(alert) {
+    if (this.isIndicatorAlert(alert)) {
+      const { interval, threshold } = this.getConditionParams(alert);
+      return `${this.getIndicatorLabel(alert)}${
+        alert.condition_type === "rsi" ? ` ${threshold}` : ""
+      } on ${interval} candles`;
+    }
+
+    if (this.isCompoundAlert(alert)) {
+      return compoundRules.describeRule(this.getConditionParams(alert));
+    }
+
+    if (this.isDerivedAlert(alert)) {
+      return `${derivedValues.describeDerived(
+        alert.condition_type,
+        this.getConditionParams(alert)
+      )} ${alert.condition_type} ${alert.target_value}`;
+    }
+
+    if (this.isRangeAlert(alert)) {
+      const params = this.getConditionParams(alert);
+      return `range $${priceRanges.describeRange(params)} (${params.event})`;
+    }
+
+    if (this.isActivityAlert(alert)) {
+      const { multiplier, window_minutes } = this.getConditionParams(alert);
+      return `${multiplier}x average ${
+        alert.condition_type === "volume_spike" ? "volume" : "trade count"
+      } over ${window_minutes}m`;
+    }
+
+    if (this.isTrailingAlert(alert)) {
+      const trail =
+        alert.trail_percent !== null && alert.trail_percent !== undefined
+          ? `${alert.trail_percent}%`
+          : `$${alert.trail_amount}`;
+      return `${trail} trailing stop at $${this.getTrailingStop(alert)}`;
+    }
+
+    if (this.isPercentMoveAlert(alert)) {
+      return `${alert.percent_move}% from ${
+        alert.reference_type || "creation"
+      }`;
+    }
+    return `$${alert.target_value}`;
+  }
+
+  /**
+   * Send alert notification to the channels the alert names
+   * @param {Object} alert - Alert that was triggered
+   * @param {number} currentPrice - Current price
+   * @param {number} timestamp - Price timestamp
+   * @returns {Promise<Object>} Delivery result per channel
+   */
+  async sendAlertNotification(alert, currentPrice, timestamp) {
+    try {
+      const {
+        symbol,
+        target_value,
+        direction,
+        alert_type,
+        notes,
+        prompt,
+        user_id,
+      } = alert;
+
+      const priceData = this.priceCache.get(symbol);
+      const priceChange = this.calculatePriceChange(symbol, currentPrice);
 
       const notification = {
         alert,
+        // Kept with the notification in the outbox, so retries carry the
+        // same ID and receivers can drop duplicates
+        deliveryId: crypto.randomUUID(),
         currentPrice,
         targetPrice: target_value,
         direction,
@@ -293,36 +1610,229 @@ class AlertManager {
         userId: user_id,
       };
 
-      // Send notifications to all configured services
-      const notificationPromises = [];
+      // Percent-move alerts report the reference price instead of a target
+      if (this.isPercentMoveAlert(alert)) {
+        const referencePrice = this.getReferencePrice(alert);
+        notification.referencePrice = referencePrice;
+        notification.referenceType = alert.reference_type || "creation";
+        notification.percentThreshold = alert.percent_move;
+        notification.percentMove = parseFloat(
+          this.getMovePercent(alert, currentPrice).toFixed(2)
+        );
+      }
+
+      // Indicator alerts report the values that met the condition
+      if (this.isIndicatorAlert(alert)) {
+        notification.indicator = this.indicatorValues.get(alert.id) || null;
+      }
 
-      // Always send to Discord (required service)
-      notificationPromises.push(
-        this.discordService.sendAlert(notification).catch((error) => {
-          logger.error(`Failed to send Discord alert for ${symbol}:`, error);
-        })
-      );
+      // Activity alerts report the window statistics that met the condition
+      if (this.isActivityAlert(alert)) {
+        notification.activity = this.activityStats.get(alert.id) || null;
+      }
+
+      // Trailing stops report the stop level and the mark it follows
+      if (this.isTrailingAlert(alert)) {
+        notification.targetPrice = this.getTrailingStop(alert);
+        notification.trailing = {
+          side: alert.trail_side || "long",
+          mark: this.getTrailMark(alert),
+          stop: notification.targetPrice,
+          trailAmount: alert.trail_amount ?? null,
+          trailPercent: alert.trail_percent ?? null,
+        };
+      }
+
+      // Range alerts report the band and the boundary that was crossed
+      if (this.isRangeAlert(alert)) {
+        const { lower, upper } = this.getConditionParams(alert);
+        const crossing = this.rangeStates.get(alert.id)?.crossing;
+        notification.targetPrice = crossing ? crossing.boundaryValue : null;
+        notification.range = { lower, upper, ...crossing };
+      }
+
+      // Ratio and spread alerts report both legs and the computed value
+      if (this.isDerivedAlert(alert)) {
+        const { previousValue, ...derived } =
+          this.derivedValues.get(alert.id) || this.evaluateDerived(alert);
+        notification.symbol = derived.label;
+        notification.priceChange = null;
+        notification.volume = undefined;
+        notification.derived = derived;
+      }
+
+      // Compound alerts report every leg instead of a single price
+      if (this.isCompoundAlert(alert)) {
+        const evaluation = this.ruleEvaluations.get(alert.id);
+        notification.symbol = this.getAlertSymbols(alert).join(", ");
+        notification.priceChange = null;
+        notification.volume = undefined;
+        notification.rule = {
+          expression: this.describeThreshold(alert),
+          legs: evaluation ? evaluation.legs : [],
+        };
+      }
 
-      // Send to Teams if service is available
-      if (this.teamsService) {
-        notificationPromises.push(
-          this.teamsService.sendAlert(notification).catch((error) => {
-            logger.error(`Failed to send Teams alert for ${symbol}:`, error);
-          })
+      // Quiet hours hold or drop alerts below high priority
+      let quietHoursAction = "deliver";
+      if (this.quietHoursService) {
+        const { action, timezone } =
+          await this.quietHoursService.getDeliveryAction(
+            alert,
+            new Date(this.now())
+          );
+        notification.timezone = timezone;
+        quietHoursAction = action;
+      }
+
+      // Workflows are automation rather than notifications, so they run
+      // during quiet hours too
+      const workflow = this.triggerWorkflow(alert, notification);
+
+      if (quietHoursAction !== "deliver") {
+        if (quietHoursAction === "hold") {
+          this.quietHoursService.hold(user_id, notification);
+        }
+        logger.info(
+          `Alert notification for ${symbol} ${
+            quietHoursAction === "hold" ? "held" : "dropped"
+          } during quiet hours`
         );
+        return {
+          quiet_hours: { success: false, action: quietHoursAction },
+          ...(await workflow),
+        };
       }
 
-      // Wait for all notifications to complete
-      await Promise.allSettled(notificationPromises);
+      // Send notifications to the channels the alert names, through the
+      // outbox when there is one so failed deliveries are retried
+      const [channelDelivery, workflowDelivery] = await Promise.all([
+        (this.notificationOutbox || this.notificationRouter).sendAlert(
+          notification
+        ),
+        workflow,
+      ]);
+      const delivery = { ...channelDelivery, ...workflowDelivery };
 
       logger.info(`Alert notification sent for ${symbol}`, {
-        services: {
-          discord: true,
-          teams: !!this.teamsService,
-        },
+        services: delivery,
       });
+
+      return delivery;
     } catch (error) {
       logger.error(`Failed to send alert notification:`, error);
+      return {};
+    }
+  }
+
+  /**
+   * Start the n8n workflow an alert names
+   * @param {Object} alert - Alert that was triggered
+   * @param {Object} notification - Alert notification data
+   * @returns {Promise<Object>} n8n delivery result, or nothing when the alert has no workflow
+   */
+  async triggerWorkflow(alert, notification) {
+    const workflowId = alert.n8n_workflow_id;
+    if (!workflowId) {
+      return {};
+    }
+
+    // Warnings and errors also reach the debug Discord log
+    if (!this.n8nService) {
+      logger.warn(
+        `Alert ${alert.id} names n8n workflow ${workflowId} but N8N_WEBHOOK_URL is not set`
+      );
+      return {
+        n8n: {
+          success: false,
+          workflow_id: workflowId,
+          error: "n8n is not configured",
+        },
+      };
+    }
+
+    try {
+      const execution = await this.n8nService.triggerWorkflow(
+        workflowId,
+        notification
+      );
+      logger.info(`n8n workflow ${workflowId} ran for alert ${alert.id}`);
+      return {
+        n8n: { success: true, workflow_id: workflowId, ...execution },
+      };
+    } catch (error) {
+      // n8n explains failed executions in the body's message
+      const status = error.response?.status ?? null;
+      const message = error.response?.data?.message || error.message;
+      logger.error(
+        `n8n workflow ${workflowId} failed for alert ${alert.id}: ${
+          status ? `${status} - ` : ""
+        }${message}`
+      );
+      return {
+        n8n: {
+          success: false,
+          workflow_id: workflowId,
+          status,
+          error: message,
+        },
+      };
+    }
+  }
+
+  /**
+   * Send the alerts held during a user's quiet hours as one summary
+   * @param {Object} summary - Released alerts from the quiet hours service
+   */
+  async handleHeldRelease(summary) {
+    try {
+      const delivery = await (
+        this.notificationOutbox || this.notificationRouter
+      ).sendSummary(summary);
+      logger.info(`Quiet hours summary sent for user ${summary.userId}`, {
+        services: delivery,
+      });
+    } catch (error) {
+      logger.error(
+        `Failed to send quiet hours summary for user ${summary.userId}:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Write a trigger to the alert_events history table
+   * @param {Object} alert - Alert that was triggered
+   * @param {number} currentPrice - Price that triggered the alert
+   * @param {number} timestamp - Price timestamp
+   * @param {Object} delivery - Delivery result per channel
+   */
+  async recordAlertEvent(alert, currentPrice, timestamp, delivery) {
+    try {
+      const priceData = this.priceCache.get(alert.symbol.toUpperCase());
+
+      // A compound alert may be triggered by a trade in another of its
+      // symbols, so record the price of the stored symbol
+      const price = this.isCompoundAlert(alert)
+        ? priceData?.price ?? currentPrice
+        : currentPrice;
+
+      await this.supabaseService.createAlertEvent({
+        alert_id: alert.id,
+        user_id: alert.user_id,
+        symbol: alert.symbol.toUpperCase(),
+        price,
+        previous_price: priceData?.previousPrice ?? null,
+        volume: priceData?.volume ?? null,
+        direction: alert.direction,
+        target_value: alert.target_value ?? null,
+        channels: Object.keys(delivery),
+        delivery,
+        triggered_at: new Date(timestamp).toISOString(),
+      });
+    } catch (error) {
+      // History is best effort and must not block the trigger itself
+      logger.error(`Failed to record event for alert ${alert.id}:`, error);
     }
   }
 
@@ -351,59 +1861,218 @@ class AlertManager {
     };
   }
 
+  /**
+   * Get the latest cached price for a symbol
+   * @param {string} symbol - Symbol
+   * @returns {number|null} Latest price, or null if none received yet
+   */
+  getLatestPrice(symbol) {
+    const cached = this.priceCache.get(symbol.toUpperCase());
+    return cached ? cached.price : null;
+  }
+
   /**
    * Add a new alert to monitoring
    * @param {Object} alert - New alert to monitor
    */
   addAlert(alert) {
     try {
-      const symbol = alert.symbol.toUpperCase();
+      if (this.isExpired(alert)) {
+        logger.info(`Skipping expired alert ${alert.id}`);
+        return;
+      }
 
-      if (!this.activeAlerts.has(symbol)) {
-        this.activeAlerts.set(symbol, []);
-        // Subscribe to price updates for this new symbol
-        this.finnhubService.onPriceUpdate(symbol, this.handlePriceUpdate);
-        logger.info(`Started monitoring new symbol: ${symbol}`);
+      const symbols = this.getAlertSymbols(alert);
+      for (const symbol of symbols) {
+        if (!this.activeAlerts.has(symbol)) {
+          this.activeAlerts.set(symbol, []);
+          // Subscribe to price updates for this new symbol
+          this.subscribeToSymbol(symbol);
+          logger.info(`Started monitoring new symbol: ${symbol}`);
+        }
+
+        this.activeAlerts.get(symbol).push(alert);
       }
 
-      this.activeAlerts.get(symbol).push(alert);
-      logger.info(`Added alert ${alert.id} for ${symbol}`);
+      this.loadCandleHistory(alert);
+      logger.info(`Added alert ${alert.id} for ${symbols.join(", ")}`);
     } catch (error) {
       logger.error(`Error adding alert ${alert.id}:`, error);
     }
   }
 
+  /**
+   * Swap in a changed record of a monitored alert. Prices, day opens and
+   * rolling windows are kept for the symbols the alert still watches;
+   * removing and adding it again would drop them when it is the symbol's
+   * only alert. Arm state, trailing mark, band position and the last
+   * indicator and activity values are kept unless the condition changed.
+   * @param {Object} alert - Updated alert record
+   */
+  replaceAlert(alert) {
+    try {
+      const current = this.findAlert(alert.id);
+      if (!current) {
+        if (alert.enabled) {
+          this.addAlert(alert);
+        }
+        return;
+      }
+
+      if (!alert.enabled || this.isExpired(alert)) {
+        this.removeAlert(alert.id);
+        return;
+      }
+
+      if (this.hasConditionChanged(current, alert)) {
+        this.clearAlertState(alert.id);
+      } else {
+        // In-memory state wins over a database write that may still be pending
+        if (this.armStates.has(alert.id)) {
+          alert.armed = this.armStates.get(alert.id);
+        }
+        if (this.trailMarks.has(alert.id)) {
+          alert.high_water_mark = this.trailMarks.get(alert.id);
+        }
+        if (
+          current.last_triggered_at &&
+          (!alert.last_triggered_at ||
+            new Date(current.last_triggered_at) >
+              new Date(alert.last_triggered_at))
+        ) {
+          alert.last_triggered_at = current.last_triggered_at;
+        }
+        alert.reference_price =
+          alert.reference_price ?? current.reference_price ?? null;
+      }
+
+      const symbols = this.getAlertSymbols(alert);
+      for (const symbol of symbols) {
+        if (!this.activeAlerts.has(symbol)) {
+          this.activeAlerts.set(symbol, []);
+          this.subscribeToSymbol(symbol);
+          logger.info(`Started monitoring new symbol: ${symbol}`);
+        }
+
+        const alerts = this.activeAlerts.get(symbol);
+        const alertIndex = alerts.findIndex((item) => item.id === alert.id);
+        if (alertIndex === -1) {
+          alerts.push(alert);
+        } else {
+          alerts[alertIndex] = alert;
+        }
+      }
+
+      for (const symbol of this.getAlertSymbols(current)) {
+        if (!symbols.includes(symbol)) {
+          this.removeFromSymbol(symbol, alert.id);
+        }
+      }
+
+      this.loadCandleHistory(alert);
+      logger.info(`Updated alert ${alert.id} for ${symbols.join(", ")}`);
+    } catch (error) {
+      logger.error(`Error updating alert ${alert.id}:`, error);
+    }
+  }
+
+  /**
+   * Check whether an update changed when an alert fires
+   * @param {Object} current - Monitored alert
+   * @param {Object} alert - Updated alert record
+   * @returns {boolean} Whether any condition field differs
+   */
+  hasConditionChanged(current, alert) {
+    return CONDITION_FIELDS.some(
+      (field) =>
+        JSON.stringify(current[field] ?? null) !==
+        JSON.stringify(alert[field] ?? null)
+    );
+  }
+
+  /**
+   * Find a monitored alert
+   * @param {string} alertId - Alert ID
+   * @returns {Object|null} Alert, or null if it is not monitored
+   */
+  findAlert(alertId) {
+    for (const alerts of this.activeAlerts.values()) {
+      const alert = alerts.find((item) => item.id === alertId);
+      if (alert) {
+        return alert;
+      }
+    }
+    return null;
+  }
+
   /**
    * Remove an alert from monitoring
    * @param {string} alertId - Alert ID to remove
    */
   removeAlert(alertId) {
     try {
-      for (const [symbol, alerts] of this.activeAlerts.entries()) {
-        const alertIndex = alerts.findIndex((alert) => alert.id === alertId);
-
-        if (alertIndex !== -1) {
-          alerts.splice(alertIndex, 1);
-          logger.info(`Removed alert ${alertId} for ${symbol}`);
-
-          // If no more alerts for this symbol, unsubscribe
-          if (alerts.length === 0) {
-            this.activeAlerts.delete(symbol);
-            this.finnhubService.removeCallback(symbol);
-            this.priceCache.delete(symbol);
-            logger.info(`Stopped monitoring symbol: ${symbol}`);
-          }
-
-          return;
+      // Compound alerts are listed under several symbols
+      let found = false;
+      for (const symbol of [...this.activeAlerts.keys()]) {
+        if (this.removeFromSymbol(symbol, alertId)) {
+          found = true;
         }
       }
 
-      logger.warn(`Alert ${alertId} not found for removal`);
+      if (!found) {
+        logger.warn(`Alert ${alertId} not found for removal`);
+        return;
+      }
+
+      this.clearAlertState(alertId);
     } catch (error) {
       logger.error(`Error removing alert ${alertId}:`, error);
     }
   }
 
+  /**
+   * Stop checking an alert for one symbol, and stop monitoring the symbol
+   * when no other alert uses it
+   * @param {string} symbol - Symbol
+   * @param {string} alertId - Alert ID
+   * @returns {boolean} Whether the alert was listed under the symbol
+   */
+  removeFromSymbol(symbol, alertId) {
+    const alerts = this.activeAlerts.get(symbol) || [];
+    const alertIndex = alerts.findIndex((alert) => alert.id === alertId);
+    if (alertIndex === -1) {
+      return false;
+    }
+
+    alerts.splice(alertIndex, 1);
+    logger.info(`Removed alert ${alertId} for ${symbol}`);
+
+    // If no more alerts for this symbol, unsubscribe
+    if (alerts.length === 0) {
+      this.activeAlerts.delete(symbol);
+      this.unsubscribeFromSymbol(symbol);
+      this.priceCache.delete(symbol);
+      this.dayOpens.delete(symbol);
+      this.priceHistory.delete(symbol);
+      logger.info(`Stopped monitoring symbol: ${symbol}`);
+    }
+    return true;
+  }
+
+  /**
+   * Forget everything evaluated for an alert
+   * @param {string} alertId - Alert ID
+   */
+  clearAlertState(alertId) {
+    this.armStates.delete(alertId);
+    this.trailMarks.delete(alertId);
+    this.indicatorValues.delete(alertId);
+    this.activityStats.delete(alertId);
+    this.ruleEvaluations.delete(alertId);
+    this.derivedValues.delete(alertId);
+    this.rangeStates.delete(alertId);
+  }
+
   /**
    * Setup periodic refresh of alerts from database
    */
@@ -425,13 +2094,18 @@ class AlertManager {
    * @returns {Object} Status information
    */
   getStatus() {
+    const activeSymbols = Array.from(this.activeAlerts.keys());
+    const now = new Date(this.now());
+
     return {
       isRunning: this.isRunning,
-      activeSymbols: Array.from(this.activeAlerts.keys()),
-      totalAlerts: Array.from(this.activeAlerts.values()).reduce(
-        (sum, alerts) => sum + alerts.length,
-        0
-      ),
+      activeSymbols,
+      // Compound alerts are listed under several symbols but count once
+      totalAlerts: new Set(
+        Array.from(this.activeAlerts.values()).flatMap((alerts) =>
+          alerts.map((alert) => alert.id)
+        )
+      ).size,
       priceCache: Object.fromEntries(
         Array.from(this.priceCache.entries()).map(([symbol, data]) => [
           symbol,
@@ -442,7 +2116,15 @@ class AlertManager {
           },
         ])
       ),
-      finnhubConnectionStatus: this.finnhubService.getConnectionStatus(),
+      marketSessions: this.exchangeCalendar
+        ? Object.fromEntries(
+            activeSymbols.map((symbol) => [
+              symbol,
+              this.exchangeCalendar.getSessionState(symbol, now),
+            ])
+          )
+        : {},
+      finnhubConnectionStatus: this.marketDataProvider.getConnectionStatus(),
     };
   }
 
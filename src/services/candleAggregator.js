@@ -0,0 +1,401 @@
+const EventEmitter = require("events");
+const logger = require("../utils/logger");
+
+// Supported candle intervals in milliseconds
+const INTERVALS = {
+  "1m": 60 * 1000,
+  "5m": 5 * 60 * 1000,
+  "1h": 60 * 60 * 1000,
+};
+
+/**
+ * Builds OHLCV candles from the trades of a market data provider.
+ *
+ * One candle per symbol and interval is open at a time. A candle closes when
+ * a trade lands in a later bucket or, for quiet symbols, when the periodic
+ * flush sees its bucket has ended. Closed candles go into a bounded
+ * in-memory ring per symbol and interval and are written to the store in
+ * batches. Buckets follow trade timestamps; the flush uses the provider
+ * clock so replays close candles on recorded time.
+ *
+ * Emits "candle" with the stored row shape whenever a candle closes, and
+ * "update" ({ symbol, price, timestamp, volume }) after each trade has been
+ * added.
+ */
+class CandleAggregator extends EventEmitter {
+  /**
+   * @param {MarketDataProvider} marketDataProvider - Source of trades
+   * @param {SupabaseService|null} store - Candle store, or null to keep candles in memory only
+   * @param {Object} [options] - Aggregator options
+   * @param {number} [options.ringSize] - Closed candles kept per symbol and interval
+   * @param {number} [options.flushIntervalMs] - How often to close and persist candles
+   * @param {number} [options.maxPending] - Unsaved candles kept while the store is failing
+   */
+  constructor(marketDataProvider, store, options = {}) {
+    super();
+    this.marketDataProvider = marketDataProvider;
+    this.store = store;
+    this.ringSize = options.ringSize || 500;
+    this.flushIntervalMs = options.flushIntervalMs || 5000;
+    this.maxPending = options.maxPending || 5000;
+    this.openCandles = new Map(); // "symbol|interval" -> open candle
+    this.rings = new Map(); // "symbol|interval" -> closed candles, oldest first
+    this.latestTrades = new Map(); // symbol -> latest trade
+    this.pendingCandles = []; // closed candles not yet persisted
+    this.flushTimer = null;
+    this.isFlushing = false;
+
+    this.handleTrade = this.handleTrade.bind(this);
+  }
+
+  /**
+   * Supported interval names
+   * @returns {Array<string>} Interval names, shortest first
+   */
+  getIntervals() {
+    return Object.keys(INTERVALS);
+  }
+
+  /**
+   * Start aggregating trades
+   */
+  start() {
+    this.marketDataProvider.on("trade", this.handleTrade);
+    this.flushTimer = setInterval(() => this.flush(), this.flushIntervalMs);
+    logger.info(
+      `Candle aggregator started (${this.getIntervals().join(", ")})`
+    );
+  }
+
+  /**
+   * Stop aggregating and persist any candles that have already closed
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.marketDataProvider.off("trade", this.handleTrade);
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    await this.flush();
+    logger.info("Candle aggregator stopped");
+  }
+
+  /**
+   * Add a trade to the open candle of every interval
+   * @param {Object} trade - Trade event from the provider
+   */
+  handleTrade({ symbol, price, timestamp, volume }) {
+    const tradeTime = timestamp || this.marketDataProvider.now();
+    const tradeVolume = volume || 0;
+
+    const latest = this.latestTrades.get(symbol);
+    if (!latest || tradeTime >= latest.timestamp) {
+      this.latestTrades.set(symbol, {
+        price,
+        volume: tradeVolume,
+        timestamp: tradeTime,
+      });
+    }
+
+    for (const [interval, intervalMs] of Object.entries(INTERVALS)) {
+      const key = `${symbol}|${interval}`;
+      const openTime = Math.floor(tradeTime / intervalMs) * intervalMs;
+      let candle = this.openCandles.get(key);
+
+      if (candle && openTime < candle.openTime) {
+        // Late trade for a candle that has already closed
+        logger.debug(`Ignoring late ${symbol} trade for ${interval} candle`);
+        continue;
+      }
+
+      if (candle && openTime > candle.openTime) {
+        this.closeCandle(key, candle);
+        candle = null;
+      }
+
+      if (!candle) {
+        this.openCandles.set(key, {
+          symbol,
+          interval,
+          openTime,
+          open: price,
+          high: price,
+          low: price,
+          close: price,
+          volume: tradeVolume,
+          tradeCount: 1,
+          firstTradeTime: tradeTime,
+          lastTradeTime: tradeTime,
+        });
+        continue;
+      }
+
+      // Trades can arrive out of order within a bucket
+      if (tradeTime < candle.firstTradeTime) {
+        candle.open = price;
+        candle.firstTradeTime = tradeTime;
+      }
+      if (tradeTime >= candle.lastTradeTime) {
+        candle.close = price;
+        candle.lastTradeTime = tradeTime;
+      }
+      candle.high = Math.max(candle.high, price);
+      candle.low = Math.min(candle.low, price);
+      candle.volume += tradeVolume;
+      candle.tradeCount++;
+    }
+
+    this.emit("update", {
+      symbol,
+      price,
+      timestamp: tradeTime,
+      volume: tradeVolume,
+    });
+  }
+
+  /**
+   * Move a candle from the open set into its ring and the pending batch
+   * @param {string} key - "symbol|interval" key
+   * @param {Object} candle - Open candle
+   */
+  closeCandle(key, candle) {
+    this.openCandles.delete(key);
+    const row = this.toRow(candle);
+
+    if (!this.rings.has(key)) {
+      this.rings.set(key, []);
+    }
+    const ring = this.rings.get(key);
+    ring.push(row);
+    if (ring.length > this.ringSize) {
+      ring.shift();
+    }
+
+    if (this.store) {
+      this.pendingCandles.push(row);
+    }
+
+    this.emit("candle", row);
+  }
+
+  /**
+   * Get the most recent closed candles for a symbol from memory
+   * @param {string} symbol - Symbol
+   * @param {string} interval - Interval name
+   * @param {number} [count] - Maximum number of candles
+   * @returns {Array<Object>} Closed candles, oldest first
+   */
+  getClosedCandles(symbol, interval, count = this.ringSize) {
+    const ring = this.rings.get(`${symbol.toUpperCase()}|${interval}`) || [];
+    return ring.slice(-count);
+  }
+
+  /**
+   * Get the candle still being built for a symbol
+   * @param {string} symbol - Symbol
+   * @param {string} interval - Interval name
+   * @returns {Object|null} Candle row, or null if no trade has arrived for it yet
+   */
+  getOpenCandle(symbol, interval) {
+    const candle = this.openCandles.get(`${symbol.toUpperCase()}|${interval}`);
+    return candle ? this.toRow(candle) : null;
+  }
+
+  /**
+   * Fill a symbol's ring with stored candles so indicators do not have to
+   * wait for new candles to close after a restart
+   * @param {string} symbol - Symbol
+   * @param {string} interval - Interval name
+   * @returns {Promise<void>}
+   */
+  async loadHistory(symbol, interval) {
+    const key = `${symbol.toUpperCase()}|${interval}`;
+    if (
+      !this.store ||
+      this.getClosedCandles(symbol, interval).length >= this.ringSize
+    ) {
+      return;
+    }
+
+    const stored = await this.store.getCandles(symbol, interval, {
+      limit: this.ringSize,
+      latest: true,
+    });
+
+    // Candles that closed while loading win over stored copies
+    const candles = new Map(); // open_time -> candle
+    for (const candle of [...stored, ...(this.rings.get(key) || [])]) {
+      candles.set(candle.open_time, candle);
+    }
+
+    this.rings.set(
+      key,
+      [...candles.values()]
+        .sort((a, b) => (a.open_time < b.open_time ? -1 : 1))
+        .slice(-this.ringSize)
+    );
+    logger.debug(
+      `Loaded ${stored.length} stored ${interval} candles for ${symbol}`
+    );
+  }
+
+  /**
+   * Close candles whose bucket has ended and persist pending candles
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    const now = this.marketDataProvider.now();
+    for (const [key, candle] of [...this.openCandles.entries()]) {
+      if (candle.openTime + INTERVALS[candle.interval] <= now) {
+        this.closeCandle(key, candle);
+      }
+    }
+
+    if (!this.store || this.isFlushing || this.pendingCandles.length === 0) {
+      return;
+    }
+
+    this.isFlushing = true;
+    const batch = this.pendingCandles;
+    this.pendingCandles = [];
+
+    try {
+      await this.store.saveCandles(batch);
+      logger.debug(`Saved ${batch.length} candles`);
+    } catch (error) {
+      logger.error(`Failed to save ${batch.length} candles, will retry`);
+
+      // Keep the newest candles for the next attempt
+      this.pendingCandles = [...batch, ...this.pendingCandles];
+      const dropped = this.pendingCandles.length - this.maxPending;
+      if (dropped > 0) {
+        this.pendingCandles.splice(0, dropped);
+        logger.warn(`Dropped ${dropped} unsaved candles`);
+      }
+    } finally {
+      this.isFlushing = false;
+    }
+  }
+
+  /**
+   * Convert a candle being built to the stored row shape
+   * @param {Object} candle - Candle being built
+   * @returns {Object} Candle row
+   */
+  toRow(candle) {
+    return {
+      symbol: candle.symbol,
+      interval: candle.interval,
+      open_time: new Date(candle.openTime).toISOString(),
+      close_time: new Date(
+        candle.openTime + INTERVALS[candle.interval]
+      ).toISOString(),
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      volume: candle.volume,
+      trade_count: candle.tradeCount,
+    };
+  }
+
+  /**
+   * Get candles for a symbol, oldest first. Recent candles come from the
+   * ring; older ones are read from the store. The open candle is included
+   * last with closed: false when it falls inside the range. Without from,
+   * the newest candles up to limit are returned.
+   * @param {string} symbol - Symbol
+   * @param {string} interval - Interval name
+   * @param {Object} [options] - Query options
+   * @param {Date} [options.from] - Earliest open time (inclusive)
+   * @param {Date} [options.to] - Latest open time (inclusive)
+   * @param {number} [options.limit=500] - Maximum number of candles
+   * @returns {Promise<Array<Object>>} Candles
+   */
+  async getCandles(symbol, interval, options = {}) {
+    const { from, to, limit = 500 } = options;
+    const key = `${symbol.toUpperCase()}|${interval}`;
+    const fromIso = from ? from.toISOString() : null;
+    const toIso = to ? to.toISOString() : null;
+    const inRange = (candle) =>
+      (!fromIso || candle.open_time >= fromIso) &&
+      (!toIso || candle.open_time <= toIso);
+
+    const ring = this.rings.get(key) || [];
+    const candles = new Map(); // open_time -> candle
+
+    // Only go to the store when the range starts before the ring does
+    const ringStart = ring.length > 0 ? ring[0].open_time : null;
+    if (this.store && (!ringStart || !fromIso || fromIso < ringStart)) {
+      const stored = await this.store.getCandles(symbol, interval, {
+        from: fromIso,
+        to: toIso,
+        limit,
+        latest: !fromIso,
+      });
+      for (const candle of stored) {
+        candles.set(candle.open_time, { ...candle, closed: true });
+      }
+    }
+
+    for (const candle of ring.filter(inRange)) {
+      candles.set(candle.open_time, { ...candle, closed: true });
+    }
+
+    const openCandle = this.openCandles.get(key);
+    if (openCandle) {
+      const row = this.toRow(openCandle);
+      if (inRange(row)) {
+        candles.set(row.open_time, { ...row, closed: false });
+      }
+    }
+
+    const sorted = [...candles.values()].sort((a, b) =>
+      a.open_time < b.open_time ? -1 : 1
+    );
+
+    // With from, return the first candles of the range so callers can page
+    // forward by moving from past the last open_time; without it, the newest
+    return fromIso ? sorted.slice(0, limit) : sorted.slice(-limit);
+  }
+
+  /**
+   * Get the latest trade seen for a symbol
+   * @param {string} symbol - Symbol
+   * @returns {Object|null} Latest trade, or null if none seen
+   */
+  getLatest(symbol) {
+    const formattedSymbol = symbol.toUpperCase();
+    const latest = this.latestTrades.get(formattedSymbol);
+    if (!latest) {
+      return null;
+    }
+
+    return {
+      symbol: formattedSymbol,
+      price: latest.price,
+      volume: latest.volume,
+      timestamp: new Date(latest.timestamp).toISOString(),
+    };
+  }
+
+  /**
+   * Get aggregator statistics
+   * @returns {Object} Statistics object
+   */
+  getStatistics() {
+    return {
+      symbols: this.latestTrades.size,
+      openCandles: this.openCandles.size,
+      ringSize: this.ringSize,
+      pendingCandles: this.pendingCandles.length,
+      persistent: !!this.store,
+    };
+  }
+}
+
+CandleAggregator.INTERVALS = INTERVALS;
+
+module.exports = CandleAggregator;
@@ -0,0 +1,94 @@
+const logger = require("../utils/logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Emails a summary of the previous day's alert triggers once a day.
+ *
+ * The summary covers every user's triggers in the 24 hours before the
+ * configured UTC hour and goes to the global email channel's recipients.
+ * Runs missed while the server was down are not caught up.
+ */
+class DailySummaryService {
+  /**
+   * @param {SupabaseService} supabaseService - Alert history store
+   * @param {EmailService} emailService - Channel the summary is sent through
+   * @param {Object} options - Summary options
+   * @param {number} options.hour - UTC hour (0-23) to send the summary at
+   */
+  constructor(supabaseService, emailService, options) {
+    this.supabaseService = supabaseService;
+    this.emailService = emailService;
+    this.hour = options.hour;
+    this.timer = null;
+  }
+
+  /**
+   * Schedule the next summary
+   */
+  start() {
+    const next = this.getNextRun(new Date());
+    this.timer = setTimeout(async () => {
+      await this.send(next);
+      this.start();
+    }, next.getTime() - Date.now());
+
+    logger.info(`Daily summary email scheduled for ${next.toISOString()}`);
+  }
+
+  /**
+   * Cancel the next summary
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Get the next time the summary is due
+   * @param {Date} now - Current time
+   * @returns {Date} Next run, after now
+   */
+  getNextRun(now) {
+    const next = new Date(now);
+    next.setUTCHours(this.hour, 0, 0, 0);
+    if (next <= now) {
+      next.setUTCDate(next.getUTCDate() + 1);
+    }
+    return next;
+  }
+
+  /**
+   * Send the summary of the 24 hours before a time
+   * @param {Date} to - End of the period
+   * @returns {Promise<boolean>} Whether the summary was sent
+   */
+  async send(to) {
+    const from = new Date(to.getTime() - DAY_MS);
+
+    let events;
+    try {
+      events = await this.supabaseService.getAlertEventsBetween(
+        from.toISOString(),
+        to.toISOString()
+      );
+    } catch (error) {
+      logger.error("Failed to load alert events for daily summary:", error);
+      return false;
+    }
+
+    try {
+      await this.emailService.sendDailySummary({ from, to, events });
+      this.emailService.recordDelivery();
+      return true;
+    } catch (error) {
+      this.emailService.recordDelivery(error);
+      logger.error("Failed to send daily summary email:", error);
+      return false;
+    }
+  }
+}
+
+module.exports = DailySummaryService;
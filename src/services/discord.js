@@ -1,7 +1,25 @@
 const axios = require("axios");
-
-class DiscordService {
+const NotificationChannel = require("./notificationChannel");
+const {
+  getAlertColor,
+  describeAlert,
+  formatSummaryLine,
+} = require("../utils/notificationFormat");
+
+// Embed color per alert direction or range crossing
+const ALERT_COLORS = {
+  above: 0x00ff00, // Green
+  below: 0xff0000, // Red
+  either: 0xffa500, // Orange
+  trailing: 0xff4500, // Red-orange
+  exit: 0xffa500, // Orange
+  enter: 0x0099ff, // Blue
+  other: 0x808080, // Gray
+};
+
+class DiscordService extends NotificationChannel {
   constructor(webhookUrl, debugWebhookUrl = null) {
+    super("discord");
     this.webhookUrl = webhookUrl;
     this.debugWebhookUrl = debugWebhookUrl;
 
@@ -22,6 +40,14 @@ class DiscordService {
     };
   }
 
+  /**
+   * Deliver an alert notification (NotificationChannel interface)
+   * @param {Object} notification - Alert notification data
+   */
+  async send(notification) {
+    await this.sendAlert(notification);
+  }
+
   /**
    * Send alert notification to Discord
    * @param {Object} notification - Alert notification data
@@ -53,143 +79,12 @@ class DiscordService {
    * @returns {Object} Discord embed object
    */
   createAlertEmbed(notification) {
-    const {
-      symbol,
-      currentPrice,
-      targetPrice,
-      direction,
-      timestamp,
-      priceChange,
-      volume,
-      alertType,
-      notes,
-      prompt,
-    } = notification;
-
-    // Determine color based on direction
-    let color;
-    switch (direction) {
-      case "above":
-        color = 0x00ff00; // Green
-        break;
-      case "below":
-        color = 0xff0000; // Red
-        break;
-      case "either":
-        color = 0xffa500; // Orange
-        break;
-      default:
-        color = 0x808080; // Gray
-    }
-
-    // Format price change
-    let priceChangeText = "";
-    if (priceChange) {
-      const changeEmoji = priceChange.change >= 0 ? "📈" : "📉";
-      priceChangeText = `${changeEmoji} ${priceChange.change >= 0 ? "+" : ""}$${
-        priceChange.change
-      } (${priceChange.changePercent >= 0 ? "+" : ""}${
-        priceChange.changePercent
-      }%)`;
-    }
-
-    // Create title and description based on direction
-    let directionEmoji, title, description;
-
-    switch (direction) {
-      case "above":
-        directionEmoji = "⬆️";
-        title = `${directionEmoji} Price Alert: ${symbol}`;
-        description = `**${symbol}** has risen above your target price!`;
-        break;
-      case "below":
-        directionEmoji = "⬇️";
-        title = `${directionEmoji} Price Alert: ${symbol}`;
-        description = `**${symbol}** has fallen below your target price!`;
-        break;
-      case "either":
-        directionEmoji = "🔄";
-        title = `${directionEmoji} Price Alert: ${symbol}`;
-        const crossedDirection =
-          currentPrice >= targetPrice ? "above" : "below";
-        description = `**${symbol}** has crossed your target price (now ${crossedDirection} target)!`;
-        break;
-      default:
-        directionEmoji = "🔔";
-        title = `${directionEmoji} Price Alert: ${symbol}`;
-        description = `**${symbol}** price alert triggered!`;
-    }
-
-    // Create fields
-    const fields = [
-      {
-        name: "💰 Current Price",
-        value: `$${currentPrice.toFixed(2)}`,
-        inline: true,
-      },
-      {
-        name: "🎯 Target Price",
-        value: `$${targetPrice.toFixed(2)}`,
-        inline: true,
-      },
-      {
-        name: "📊 Direction",
-        value: direction.charAt(0).toUpperCase() + direction.slice(1),
-        inline: true,
-      },
-    ];
-
-    // Add price change if available
-    if (priceChangeText) {
-      fields.push({
-        name: "📈 Price Change",
-        value: priceChangeText,
-        inline: false,
-      });
-    }
-
-    // Add volume if available
-    if (volume) {
-      fields.push({
-        name: "📦 Volume",
-        value: volume.toLocaleString(),
-        inline: true,
-      });
-    }
-
-    // Add alert type if specified
-    if (alertType) {
-      fields.push({
-        name: "🔔 Alert Type",
-        value: alertType,
-        inline: true,
-      });
-    }
-
-    // Add timestamp
-    fields.push({
-      name: "⏰ Time",
-      value: `<t:${Math.floor(timestamp.getTime() / 1000)}:F>`,
-      inline: false,
+    const { symbol, timestamp } = notification;
+    const { title, description, fields } = describeAlert(notification, {
+      bold: (text) => `**${text}**`,
+      formatTime: (time) => `<t:${Math.floor(time.getTime() / 1000)}:F>`,
     });
-
-    // Add notes if provided
-    if (notes) {
-      fields.push({
-        name: "📝 Notes",
-        value: notes.length > 1000 ? notes.substring(0, 1000) + "..." : notes,
-        inline: false,
-      });
-    }
-
-    // Add AI prompt if provided
-    if (prompt) {
-      fields.push({
-        name: "🤖 AI Context",
-        value: prompt.length > 500 ? prompt.substring(0, 500) + "..." : prompt,
-        inline: false,
-      });
-    }
+    const color = getAlertColor(notification, ALERT_COLORS);
 
     return {
       title,
@@ -208,6 +103,63 @@ class DiscordService {
     };
   }
 
+  /**
+   * Send the alerts held during a user's quiet hours as one message
+   * @param {Object} summary - Released alerts (userId, timezone, notifications, dropped)
+   */
+  async sendSummary(summary) {
+    try {
+      await this.checkRateLimit();
+
+      const payload = {
+        embeds: [this.createSummaryEmbed(summary)],
+        username: "Price Alert Bot",
+        avatar_url:
+          "https://cdn.discordapp.com/attachments/placeholder/price-bot-avatar.png",
+      };
+
+      await this.sendWebhook(payload);
+      console.log(`Discord quiet hours summary sent for ${summary.userId}`);
+    } catch (error) {
+      console.error("Failed to send Discord quiet hours summary:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create Discord embed for alerts held during quiet hours
+   * @param {Object} summary - Released alerts
+   * @returns {Object} Discord embed object
+   */
+  createSummaryEmbed(summary) {
+    const { notifications, dropped } = summary;
+
+    // Discord embeds hold at most 25 fields; show the latest alerts
+    const shown = notifications.slice(-20);
+    const notShown = notifications.length - shown.length + dropped;
+
+    return {
+      title: "🌙 Quiet Hours Summary",
+      description: `${notifications.length + dropped} alert${
+        notifications.length + dropped === 1 ? "" : "s"
+      } triggered during your quiet hours${
+        notShown > 0 ? ` (${notShown} older not shown)` : ""
+      }.`,
+      color: 0x5865f2, // Blurple
+      fields: shown.map((notification) => ({
+        name: notification.symbol,
+        value: `${formatSummaryLine(notification)} <t:${Math.floor(
+          notification.timestamp.getTime() / 1000
+        )}:f>`,
+        inline: false,
+      })),
+      timestamp: new Date().toISOString(),
+      footer: {
+        text: "Price Tracker Bot",
+      },
+    };
+  }
+
   /**
    * Get icon URL for a symbol (placeholder implementation)
    * @param {string} symbol - Asset symbol
@@ -629,6 +581,14 @@ class DiscordService {
     this.debugRateLimit.requests++;
   }
 
+  /**
+   * Send a test message (NotificationChannel interface)
+   * @returns {Promise<boolean>} Whether the test message was delivered
+   */
+  async test() {
+    return this.testWebhook();
+  }
+
   /**
    * Test webhook connectivity
    * @returns {Promise<boolean>} Whether webhook is accessible
@@ -0,0 +1,78 @@
+const logger = require("../utils/logger");
+const AlertManager = require("./alertManager");
+
+/**
+ * AlertManager for replays that should not touch production. Alerts are
+ * read from the database and evaluated as usual, but triggers are only
+ * logged: no notification, workflow or trigger history is sent or written,
+ * and alert state (last trigger, arm state, trailing mark, disabling) is
+ * kept in memory.
+ */
+class DryRunAlertManager extends AlertManager {
+  /**
+   * @param {SupabaseService} supabaseService - Source of the active alerts
+   * @param {MarketDataProvider} marketDataProvider - Replay provider
+   * @param {CandleAggregator} [candleAggregator] - Candles for indicator alerts
+   * @param {ExchangeCalendar} [exchangeCalendar] - Market sessions
+   */
+  constructor(
+    supabaseService,
+    marketDataProvider,
+    candleAggregator = null,
+    exchangeCalendar = null
+  ) {
+    super(
+      createReadOnlyStore(supabaseService),
+      marketDataProvider,
+      null,
+      candleAggregator,
+      exchangeCalendar
+    );
+  }
+
+  async sendAlertNotification(alert, currentPrice, timestamp) {
+    logger.info(
+      `[dry run] Alert ${alert.id} for ${alert.symbol} would fire at ${currentPrice}`,
+      {
+        threshold: this.describeThreshold(alert),
+        tradeTime: timestamp ? new Date(timestamp).toISOString() : null,
+      }
+    );
+    return {};
+  }
+
+  async recordAlertEvent() {}
+
+  async disableAlert(alert, reason) {
+    const symbolAlerts = this.activeAlerts.get(alert.symbol.toUpperCase());
+    if (symbolAlerts && symbolAlerts.some((item) => item.id === alert.id)) {
+      this.removeAlert(alert.id);
+    }
+    alert.enabled = false;
+    logger.info(`[dry run] Alert ${alert.id} would be disabled (${reason})`);
+  }
+
+  async setArmState(alert, armed) {
+    alert.armed = armed;
+    this.armStates.set(alert.id, armed);
+  }
+}
+
+/**
+ * Stand-in for SupabaseService that reads active alerts and ignores the
+ * writes AlertManager makes while checking alerts
+ * @param {SupabaseService} supabaseService - Service to read alerts from
+ * @returns {Object} Read-only store
+ */
+function createReadOnlyStore(supabaseService) {
+  return {
+    getActiveAlerts: () => supabaseService.getActiveAlerts(),
+    async updateAlertLastTriggered() {},
+    async updateAlert() {},
+    async updateAlertArmState() {},
+    async updateAlertHighWaterMark() {},
+    async createAlertEvent() {},
+  };
+}
+
+module.exports = DryRunAlertManager;
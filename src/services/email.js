@@ -0,0 +1,342 @@
+const nodemailer = require("nodemailer");
+const NotificationChannel = require("./notificationChannel");
+const {
+  getAlertColor,
+  describeAlert,
+  formatSummaryLine,
+} = require("../utils/notificationFormat");
+
+// Header color per alert direction or range crossing
+const ALERT_COLORS = {
+  above: "#00a000", // Green
+  below: "#d00000", // Red
+  either: "#ffa500", // Orange
+  trailing: "#ff4500", // Red-orange
+  exit: "#ffa500", // Orange
+  enter: "#0099ff", // Blue
+  other: "#808080", // Gray
+};
+
+class EmailService extends NotificationChannel {
+  /**
+   * @param {Object} options - SMTP and address settings
+   * @param {string} options.host - SMTP host
+   * @param {number} [options.port] - SMTP port (1025 for MailHog)
+   * @param {boolean} [options.secure] - Use TLS from the start (port 465)
+   * @param {string} [options.user] - SMTP user; no authentication without one
+   * @param {string} [options.pass] - SMTP password
+   * @param {string} options.from - Sender address
+   * @param {Array<string>} options.to - Recipient addresses
+   */
+  constructor(options = {}) {
+    super("email");
+    this.from = options.from;
+    this.to = options.to || [];
+
+    if (!options.host) {
+      throw new Error("SMTP host is required");
+    }
+
+    if (this.to.length === 0) {
+      throw new Error("At least one email recipient is required");
+    }
+
+    this.transporter = nodemailer.createTransport({
+      host: options.host,
+      port: options.port,
+      secure: !!options.secure,
+      auth: options.user
+        ? { user: options.user, pass: options.pass }
+        : undefined,
+    });
+  }
+
+  /**
+   * Deliver an alert notification (NotificationChannel interface)
+   * @param {Object} notification - Alert notification data
+   */
+  async send(notification) {
+    await this.sendAlert(notification);
+  }
+
+  /**
+   * Send alert notification email
+   * @param {Object} notification - Alert notification data
+   */
+  async sendAlert(notification) {
+    try {
+      await this.sendMail(this.createAlertEmail(notification));
+      console.log(`Alert email sent for ${notification.symbol}`);
+    } catch (error) {
+      console.error("Failed to send alert email:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create the subject, HTML and plain-text bodies for an alert
+   * @param {Object} notification - Notification data
+   * @returns {{subject: string, html: string, text: string}} Email content
+   */
+  createAlertEmail(notification) {
+    const { title, description, fields } = describeAlert(notification, {
+      formatTime,
+    });
+    const color = getAlertColor(notification, ALERT_COLORS);
+
+    return {
+      subject: title,
+      html: renderHtml({ title, description, color, fields }),
+      text: renderText({ title, description, fields }),
+    };
+  }
+
+  /**
+   * Send the alerts held during a user's quiet hours as one email
+   * @param {Object} summary - Released alerts (userId, timezone, notifications, dropped)
+   */
+  async sendSummary(summary) {
+    try {
+      const { notifications, dropped, timezone } = summary;
+      const total = notifications.length + dropped;
+      const title = "🌙 Quiet Hours Summary";
+      const description = `${total} alert${
+        total === 1 ? "" : "s"
+      } triggered during your quiet hours${
+        dropped > 0 ? ` (${dropped} older not shown)` : ""
+      }.`;
+      const fields = notifications.map((notification) => ({
+        name: notification.symbol,
+        value: `${formatSummaryLine(notification)} (${formatTime(
+          notification.timestamp,
+          timezone
+        )})`,
+      }));
+
+      await this.sendMail({
+        subject: title,
+        html: renderHtml({ title, description, color: "#5865f2", fields }),
+        text: renderText({ title, description, fields }),
+      });
+      console.log(`Quiet hours summary email sent for ${summary.userId}`);
+    } catch (error) {
+      console.error("Failed to send quiet hours summary email:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send the alerts triggered over a day as one email
+   * @param {Object} summary - Day summary
+   * @param {Date} summary.from - Start of the period
+   * @param {Date} summary.to - End of the period
+   * @param {Array<AlertEvent>} summary.events - Triggers in the period, oldest first
+   */
+  async sendDailySummary(summary) {
+    try {
+      const { from, to, events } = summary;
+      const symbols = new Set(events.map((event) => event.symbol));
+      const failed = events.filter((event) =>
+        Object.values(event.delivery || {}).some((result) => !result.success)
+      );
+
+      const title = `📅 Daily Alert Summary: ${to.toISOString().slice(0, 10)}`;
+      const description = `${events.length} alert${
+        events.length === 1 ? "" : "s"
+      } triggered on ${symbols.size} symbol${
+        symbols.size === 1 ? "" : "s"
+      } between ${formatTime(from)} and ${formatTime(to)}.`;
+
+      const fields = [
+        {
+          name: "⚠️ Failed Deliveries",
+          value: String(failed.length),
+        },
+        // The email lists the latest 100 triggers
+        ...events.slice(-100).map((event) => ({
+          name: event.symbol,
+          value: `$${Number(event.price).toFixed(2)} ${event.direction}${
+            event.target_value !== null && event.target_value !== undefined
+              ? ` $${Number(event.target_value).toFixed(2)}`
+              : ""
+          } (${formatTime(event.triggered_at)})`,
+        })),
+      ];
+
+      await this.sendMail({
+        subject: title,
+        html: renderHtml({ title, description, color: "#0099ff", fields }),
+        text: renderText({ title, description, fields }),
+      });
+      console.log("Daily summary email sent");
+    } catch (error) {
+      console.error("Failed to send daily summary email:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send system status email
+   * @param {Object} status - System status data
+   */
+  async sendStatusNotification(status) {
+    try {
+      const title = "🤖 Price Tracker Status";
+      const fields = [
+        {
+          name: "🔄 Status",
+          value: status.isRunning ? "✅ Running" : "❌ Stopped",
+        },
+        {
+          name: "📊 Active Symbols",
+          value: status.activeSymbols.length.toString(),
+        },
+        {
+          name: "🔔 Total Alerts",
+          value: status.totalAlerts.toString(),
+        },
+        {
+          name: "🌐 Finnhub Connection",
+          value: status.finnhubConnectionStatus
+            ? "✅ Connected"
+            : "❌ Disconnected",
+        },
+      ];
+
+      await this.sendMail({
+        subject: `${title}: ${status.isRunning ? "running" : "stopped"}`,
+        html: renderHtml({
+          title,
+          description: "System status update",
+          color: status.isRunning ? "#00a000" : "#d00000",
+          fields,
+        }),
+        text: renderText({
+          title,
+          description: "System status update",
+          fields,
+        }),
+      });
+      console.log("Status email sent");
+    } catch (error) {
+      console.error("Failed to send status email:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a message to the configured recipients
+   * @param {Object} message - subject, html and text
+   */
+  async sendMail(message) {
+    await this.transporter.sendMail({
+      from: this.from,
+      to: this.to,
+      ...message,
+    });
+  }
+
+  /**
+   * Send a test message (NotificationChannel interface)
+   * @returns {Promise<boolean>} Whether the test message was delivered
+   */
+  async test() {
+    try {
+      const title = "✅ Email Test";
+      const description =
+        "This is a test message to verify email delivery from the Price Tracker.";
+
+      await this.sendMail({
+        subject: "🧪 Price Tracker email test",
+        html: renderHtml({ title, description, color: "#00a000", fields: [] }),
+        text: renderText({ title, description, fields: [] }),
+      });
+      return true;
+    } catch (error) {
+      console.error("Email test failed:", error);
+      return false;
+    }
+  }
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Render the HTML body of an email
+ * @param {Object} content - title, description, color and fields ({ name, value })
+ * @returns {string} HTML document
+ */
+function renderHtml({ title, description, color, fields }) {
+  const rows = fields
+    .map(
+      ({ name, value }) => `
+        <tr>
+          <td style="padding:6px 12px 6px 0;font-weight:bold;white-space:nowrap;vertical-align:top">${escapeHtml(
+            name
+          )}</td>
+          <td style="padding:6px 0;white-space:pre-wrap">${escapeHtml(
+            value
+          )}</td>
+        </tr>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:16px;background:#f4f4f5;font-family:Arial,Helvetica,sans-serif;color:#1f2328">
+    <div style="max-width:600px;margin:0 auto;background:#ffffff;border-left:6px solid ${color};padding:16px 20px">
+      <h2 style="margin:0 0 8px">${escapeHtml(title)}</h2>
+      <p style="margin:0 0 16px">${escapeHtml(description)}</p>
+      <table style="border-collapse:collapse;font-size:14px">${rows}
+      </table>
+      <p style="margin:16px 0 0;font-size:12px;color:#6e7781">Price Tracker Bot</p>
+    </div>
+  </body>
+</html>`;
+}
+
+/**
+ * Render the plain-text body of an email
+ * @param {Object} content - title, description and fields ({ name, value })
+ * @returns {string} Plain text
+ */
+function renderText({ title, description, fields }) {
+  return [
+    title,
+    "",
+    description,
+    "",
+    ...fields.map(({ name, value }) => `${name}: ${value}`),
+    "",
+    "-- ",
+    "Price Tracker Bot",
+  ].join("\n");
+}
+
+/**
+ * Format a time, in a user's timezone when known
+ * @param {Date|string} time - Time to format
+ * @param {string|null} [timezone] - IANA timezone
+ * @returns {string} Human readable time with its timezone
+ */
+function formatTime(time, timezone) {
+  return new Date(time).toLocaleString("en-US", {
+    timeZone: timezone || "UTC",
+    dateStyle: "medium",
+    timeStyle: "long",
+  });
+}
+
+module.exports = EmailService;
@@ -0,0 +1,159 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+
+// US equity sessions in exchange time, as [start, end) minutes after midnight
+const SESSION_HOURS = {
+  pre_market: [4 * 60, 9 * 60 + 30],
+  regular: [9 * 60 + 30, 16 * 60],
+  after_hours: [16 * 60, 20 * 60],
+};
+
+// On early-close days the regular session ends at 13:00 and after-hours at 17:00
+const EARLY_CLOSE_HOURS = {
+  ...SESSION_HOURS,
+  regular: [9 * 60 + 30, 13 * 60],
+  after_hours: [13 * 60, 17 * 60],
+};
+
+const EXCHANGE_TIMEZONE = "America/New_York";
+
+const exchangeTimeFormat = new Intl.DateTimeFormat("en-US", {
+  timeZone: EXCHANGE_TIMEZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  weekday: "short",
+  hour: "2-digit",
+  minute: "2-digit",
+  hourCycle: "h23",
+});
+
+/**
+ * Knows when US equities trade.
+ *
+ * Plain tickers such as AAPL are treated as US equities with pre-market,
+ * regular and after-hours sessions on weekdays, except for the holidays and
+ * early closes in the calendar file. Symbols with an exchange prefix, such as
+ * BINANCE:BTCUSDT, trade around the clock.
+ */
+class ExchangeCalendar {
+  /**
+   * @param {Object} [options] - Calendar options
+   * @param {string} [options.calendarFile] - Path to a JSON file with holidays and earlyCloses
+   * @param {Object} [options.calendar] - Calendar data, used instead of calendarFile
+   */
+  constructor(options = {}) {
+    const calendar =
+      options.calendar || this.loadCalendar(options.calendarFile);
+    this.holidays = new Map(Object.entries(calendar.holidays || {})); // "YYYY-MM-DD" -> name
+    this.earlyCloses = new Map(Object.entries(calendar.earlyCloses || {})); // "YYYY-MM-DD" -> name
+  }
+
+  /**
+   * Read and parse a calendar file. Without one every weekday is a full
+   * trading day.
+   * @param {string} calendarFile - Path to the JSON file
+   * @returns {Object} Calendar data
+   */
+  loadCalendar(calendarFile) {
+    if (!calendarFile) {
+      return {};
+    }
+
+    const resolvedPath = path.resolve(calendarFile);
+    try {
+      const calendar = JSON.parse(fs.readFileSync(resolvedPath, "utf8"));
+      logger.info(`Loaded market calendar from ${resolvedPath}`);
+      return calendar;
+    } catch (error) {
+      logger.error(
+        `Failed to load market calendar ${resolvedPath}, holidays will be ignored:`,
+        error
+      );
+      return {};
+    }
+  }
+
+  /**
+   * Check whether a symbol trades around the clock
+   * @param {string} symbol - Symbol
+   * @returns {boolean} True for symbols with an exchange prefix
+   */
+  isAroundTheClock(symbol) {
+    return symbol.includes(":");
+  }
+
+  /**
+   * Convert a time to the exchange's local date and time of day
+   * @param {Date|number} time - Time to convert
+   * @returns {{date: string, weekday: string, minutes: number}} Local date, short weekday and minutes after midnight
+   */
+  getExchangeTime(time) {
+    const parts = Object.fromEntries(
+      exchangeTimeFormat
+        .formatToParts(new Date(time))
+        .map((part) => [part.type, part.value])
+    );
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      weekday: parts.weekday,
+      minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    };
+  }
+
+  /**
+   * Get the session a symbol is trading in
+   * @param {string} symbol - Symbol
+   * @param {Date|number} time - Time to check
+   * @returns {string} "pre_market", "regular", "after_hours" or "closed"; always "regular" for around-the-clock symbols
+   */
+  getSession(symbol, time) {
+    if (this.isAroundTheClock(symbol)) {
+      return "regular";
+    }
+
+    const { date, weekday, minutes } = this.getExchangeTime(time);
+    if (weekday === "Sat" || weekday === "Sun" || this.holidays.has(date)) {
+      return "closed";
+    }
+
+    const hours = this.earlyCloses.has(date)
+      ? EARLY_CLOSE_HOURS
+      : SESSION_HOURS;
+    for (const [session, [start, end]] of Object.entries(hours)) {
+      if (minutes >= start && minutes < end) {
+        return session;
+      }
+    }
+    return "closed";
+  }
+
+  /**
+   * Describe a symbol's market and current session
+   * @param {string} symbol - Symbol
+   * @param {Date|number} time - Time to check
+   * @returns {Object} Market, session, whether it is open and any holiday or early close that day
+   */
+  getSessionState(symbol, time) {
+    const session = this.getSession(symbol, time);
+    if (this.isAroundTheClock(symbol)) {
+      return { market: "24/7", session, open: true };
+    }
+
+    const { date } = this.getExchangeTime(time);
+    return {
+      market: "us_equity",
+      session,
+      open: session !== "closed",
+      holiday: this.holidays.get(date) || null,
+      earlyClose: this.earlyCloses.get(date) || null,
+    };
+  }
+}
+
+// Sessions an alert can be limited to
+ExchangeCalendar.SESSIONS = Object.keys(SESSION_HOURS);
+
+module.exports = ExchangeCalendar;
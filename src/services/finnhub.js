@@ -1,23 +1,16 @@
 const WebSocket = require("ws");
 const logger = require("../utils/logger");
+const MarketDataProvider = require("./marketDataProvider");
 
-class FinnhubWebSocketService {
+class FinnhubWebSocketService extends MarketDataProvider {
   constructor(apiKey) {
+    super("finnhub");
     this.apiKey = apiKey;
     this.ws = null;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 5000; // 5 seconds
-    this.subscribedSymbols = new Set();
-    this.isConnected = false;
-    this.priceCallbacks = new Map(); // symbol -> callback function
-
-    // Message tracking for monitoring
-    this.messageCount = 0;
-    this.lastMessageTime = null;
-    this.recentMessages = [];
-    this.maxRecentMessages = 50;
-    this.messageListeners = new Set();
+    this.recorder = null;
 
     if (!this.apiKey) {
       throw new Error("Finnhub API key is required");
@@ -36,15 +29,15 @@ class FinnhubWebSocketService {
 
         this.ws.on("open", () => {
           logger.info("Connected to Finnhub WebSocket");
-          this.isConnected = true;
+          this.setConnected(true);
           this.reconnectAttempts = 0;
 
-          // Resubscribe to symbols if reconnecting
-          if (this.subscribedSymbols.size > 0) {
-            logger.info(
-              `Resubscribing to ${this.subscribedSymbols.size} symbols`
-            );
-            for (const symbol of this.subscribedSymbols) {
+          // Subscribe to every symbol with listeners, including those
+          // registered before the connection was open
+          this.subscribedSymbols.clear();
+          if (this.priceListeners.size > 0) {
+            logger.info(`Resubscribing to ${this.priceListeners.size} symbols`);
+            for (const symbol of this.priceListeners.keys()) {
               this.subscribeToSymbol(symbol);
             }
           }
@@ -63,7 +56,7 @@ class FinnhubWebSocketService {
 
         this.ws.on("error", (error) => {
           logger.error("Finnhub WebSocket error:", error);
-          this.isConnected = false;
+          this.setConnected(false);
           if (this.reconnectAttempts === 0) {
             reject(error);
           }
@@ -71,7 +64,7 @@ class FinnhubWebSocketService {
 
         this.ws.on("close", (code, reason) => {
           logger.warn(`Finnhub WebSocket closed: ${code} - ${reason}`);
-          this.isConnected = false;
+          this.setConnected(false);
           this.scheduleReconnect();
         });
       } catch (error) {
@@ -87,34 +80,13 @@ class FinnhubWebSocketService {
    */
   handleMessage(message) {
     // Track message for monitoring
-    this.messageCount++;
-    this.lastMessageTime = new Date();
-
-    // Store recent messages for debugging
-    const messageLog = {
-      type: message.type,
-      timestamp: this.lastMessageTime.toISOString(),
-      dataCount: Array.isArray(message.data)
-        ? message.data.length
-        : message.data
-        ? 1
-        : 0,
-    };
+    this.recordMessage(message);
 
-    this.recentMessages.push(messageLog);
-    if (this.recentMessages.length > this.maxRecentMessages) {
-      this.recentMessages.shift();
+    // Keep raw trades on disk so they can be replayed later
+    if (this.recorder && message.type === "trade") {
+      this.recorder.record(message);
     }
 
-    // Notify message listeners
-    this.messageListeners.forEach((listener) => {
-      try {
-        listener(messageLog);
-      } catch (error) {
-        logger.error("Error in message listener:", error);
-      }
-    });
-
     if (
       message.type === "trade" &&
       message.data &&
@@ -124,19 +96,7 @@ class FinnhubWebSocketService {
         const { s: symbol, p: price, t: timestamp, v: volume } = trade;
 
         if (symbol && price !== undefined) {
-          logger.debug(
-            `Price update: ${symbol} = $${price} (volume: ${volume})`
-          );
-
-          // Call registered callbacks for this symbol
-          const callback = this.priceCallbacks.get(symbol);
-          if (callback) {
-            try {
-              callback(symbol, price, timestamp, volume);
-            } catch (error) {
-              logger.error(`Error in price callback for ${symbol}:`, error);
-            }
-          }
+          this.dispatchTrade(symbol, price, timestamp, volume);
         }
       }
     } else if (message.type === "ping") {
@@ -145,13 +105,22 @@ class FinnhubWebSocketService {
     }
   }
 
+  /**
+   * Record raw trade messages to disk
+   * @param {TradeRecorder|null} recorder - Recorder, or null to stop recording
+   */
+  setRecorder(recorder) {
+    this.recorder = recorder;
+  }
+
   /**
    * Subscribe to a symbol for real-time price updates
    * @param {string} symbol - Symbol to subscribe to
    */
   subscribeToSymbol(symbol) {
     if (!this.isConnected) {
-      logger.warn(`Cannot subscribe to ${symbol}: WebSocket not connected`);
+      // Symbols with listeners are subscribed when the connection opens
+      logger.debug(`Deferring ${symbol} subscription until connected`);
       return;
     }
 
@@ -177,13 +146,17 @@ class FinnhubWebSocketService {
    * @param {string} symbol - Symbol to unsubscribe from
    */
   unsubscribeFromSymbol(symbol) {
+    const formattedSymbol = symbol.toUpperCase();
+
     if (!this.isConnected) {
-      logger.warn(`Cannot unsubscribe from ${symbol}: WebSocket not connected`);
+      // Nothing to send; just make sure a reconnect does not resubscribe
+      this.subscribedSymbols.delete(formattedSymbol);
+      logger.debug(
+        `Dropped ${formattedSymbol} subscription while WebSocket not connected`
+      );
       return;
     }
 
-    const formattedSymbol = symbol.toUpperCase();
-
     if (!this.subscribedSymbols.has(formattedSymbol)) {
       logger.debug(`Not subscribed to ${formattedSymbol}`);
       return;
@@ -196,37 +169,9 @@ class FinnhubWebSocketService {
 
     this.send(unsubscribeMessage);
     this.subscribedSymbols.delete(formattedSymbol);
-    this.priceCallbacks.delete(formattedSymbol);
     logger.info(`Unsubscribed from ${formattedSymbol}`);
   }
 
-  /**
-   * Register a callback for price updates on a symbol
-   * @param {string} symbol - Symbol to monitor
-   * @param {Function} callback - Callback function (symbol, price, timestamp, volume) => void
-   */
-  onPriceUpdate(symbol, callback) {
-    const formattedSymbol = symbol.toUpperCase();
-    this.priceCallbacks.set(formattedSymbol, callback);
-
-    // Subscribe to the symbol if not already subscribed
-    if (!this.subscribedSymbols.has(formattedSymbol)) {
-      this.subscribeToSymbol(formattedSymbol);
-    }
-  }
-
-  /**
-   * Remove price update callback for a symbol
-   * @param {string} symbol - Symbol to stop monitoring
-   */
-  removeCallback(symbol) {
-    const formattedSymbol = symbol.toUpperCase();
-    this.priceCallbacks.delete(formattedSymbol);
-
-    // Unsubscribe if no callback exists
-    this.unsubscribeFromSymbol(formattedSymbol);
-  }
-
   /**
    * Send a message through the WebSocket
    * @param {Object} message - Message to send
@@ -270,75 +215,22 @@ class FinnhubWebSocketService {
       logger.info("Disconnecting from Finnhub WebSocket");
       this.ws.close();
       this.ws = null;
-      this.isConnected = false;
+      this.setConnected(false);
       this.subscribedSymbols.clear();
-      this.priceCallbacks.clear();
+      this.priceListeners.clear();
     }
   }
 
-  /**
-   * Get connection status
-   * @returns {boolean} Connection status
-   */
-  getConnectionStatus() {
-    return this.isConnected;
-  }
-
-  /**
-   * Get list of subscribed symbols
-   * @returns {Array<string>} Array of subscribed symbols
-   */
-  getSubscribedSymbols() {
-    return Array.from(this.subscribedSymbols);
-  }
-
-  /**
-   * Get recent messages for monitoring
-   * @returns {Array} Array of recent message logs
-   */
-  getRecentMessages() {
-    return [...this.recentMessages];
-  }
-
-  /**
-   * Add a message listener for monitoring
-   * @param {Function} listener - Callback function for messages
-   */
-  addMessageListener(listener) {
-    this.messageListeners.add(listener);
-  }
-
-  /**
-   * Remove a message listener
-   * @param {Function} listener - Callback function to remove
-   */
-  removeMessageListener(listener) {
-    this.messageListeners.delete(listener);
-  }
-
   /**
    * Get WebSocket statistics
    * @returns {Object} Statistics object
    */
   getStatistics() {
     return {
-      messageCount: this.messageCount,
-      lastMessageTime: this.lastMessageTime,
+      ...super.getStatistics(),
       reconnectAttempts: this.reconnectAttempts,
-      subscribedSymbolsCount: this.subscribedSymbols.size,
-      isConnected: this.isConnected,
-      recentMessagesCount: this.recentMessages.length,
     };
   }
-
-  /**
-   * Reset statistics
-   */
-  resetStatistics() {
-    this.messageCount = 0;
-    this.lastMessageTime = null;
-    this.recentMessages = [];
-  }
 }
 
 module.exports = FinnhubWebSocketService;
@@ -0,0 +1,174 @@
+const fs = require("fs");
+const readline = require("readline");
+const logger = require("../utils/logger");
+const FinnhubWebSocketService = require("./finnhub");
+
+/**
+ * Replays a trade recording made by TradeRecorder.
+ *
+ * Messages are fed through FinnhubWebSocketService.handleMessage, so
+ * listeners see exactly what they would have seen live. Speed is 1 for real
+ * time, N for N times faster, or "max" to replay without delays. now()
+ * returns the recorded receive time of the message being replayed.
+ */
+class FinnhubReplayService extends FinnhubWebSocketService {
+  /**
+   * @param {Object} options - Replay options
+   * @param {string} options.file - NDJSON recording to replay
+   * @param {number|string} [options.speed=1] - Speed multiplier or "max"
+   */
+  constructor(options = {}) {
+    // The API key is never used: a replay does not open a socket
+    super("replay");
+    this.name = "replay";
+    this.file = options.file;
+    this.speed = options.speed === "max" ? "max" : Number(options.speed) || 1;
+    this.replayTime = null;
+    this.replayedCount = 0;
+    this.isReplaying = false;
+    this.stopRequested = false;
+    this.replayPromise = null;
+
+    if (!this.file) {
+      throw new Error("Replay file is required");
+    }
+  }
+
+  /**
+   * Open the recording. Playback starts once the first symbol is subscribed
+   * so listeners registered during startup do not miss early trades.
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    await fs.promises.access(this.file, fs.constants.R_OK);
+
+    logger.info(`Replaying ${this.file} at ${this.describeSpeed()}`);
+    this.setConnected(true);
+
+    for (const symbol of this.priceListeners.keys()) {
+      this.subscribeToSymbol(symbol);
+    }
+  }
+
+  /**
+   * Mark a symbol subscribed and start playback on first use
+   * @param {string} symbol - Symbol to subscribe to
+   */
+  subscribeToSymbol(symbol) {
+    super.subscribeToSymbol(symbol);
+
+    if (this.isConnected && !this.replayPromise) {
+      // Wait a tick so every symbol subscribed in the same pass is included
+      this.replayPromise = new Promise((resolve) => setImmediate(resolve))
+        .then(() => this.replay())
+        .catch((error) => {
+          logger.error(`Replay of ${this.file} failed:`, error);
+        });
+    }
+  }
+
+  /**
+   * Feed every recorded message through handleMessage
+   * @returns {Promise<void>}
+   */
+  async replay() {
+    this.isReplaying = true;
+    const startedAt = Date.now();
+    let previousReceivedAt = null;
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.file, "utf8"),
+      crlfDelay: Infinity,
+    });
+
+    for await (const line of lines) {
+      if (this.stopRequested) break;
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        logger.warn(`Skipping unreadable replay line: ${error.message}`);
+        continue;
+      }
+
+      const { receivedAt, message } = entry;
+
+      if (this.speed === "max") {
+        // Yield so async listeners can run between messages
+        await new Promise((resolve) => setImmediate(resolve));
+      } else if (previousReceivedAt !== null) {
+        const delay = (receivedAt - previousReceivedAt) / this.speed;
+        if (delay > 0) {
+          await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+      }
+
+      previousReceivedAt = receivedAt;
+      this.replayTime = receivedAt;
+      this.handleMessage(message);
+      this.replayedCount++;
+    }
+
+    lines.close();
+    this.isReplaying = false;
+    logger.info(
+      `Replay of ${this.file} finished: ${this.replayedCount} messages in ${
+        Date.now() - startedAt
+      }ms`
+    );
+    this.emit("replayComplete", { replayedCount: this.replayedCount });
+  }
+
+  /**
+   * Replays never send frames upstream
+   * @param {Object} message - Message that would have been sent
+   */
+  send(message) {
+    logger.debug(`Replay ignoring outbound ${message.type} message`);
+  }
+
+  /**
+   * Stop playback
+   */
+  disconnect() {
+    this.stopRequested = true;
+    this.setConnected(false);
+    this.subscribedSymbols.clear();
+    this.priceListeners.clear();
+  }
+
+  /**
+   * Recorded time of the message being replayed
+   * @returns {number} Time in milliseconds
+   */
+  now() {
+    return this.replayTime ?? Date.now();
+  }
+
+  /**
+   * Describe the replay speed for logs
+   * @returns {string} Speed description
+   */
+  describeSpeed() {
+    return this.speed === "max" ? "max speed" : `${this.speed}x speed`;
+  }
+
+  /**
+   * Get replay statistics
+   * @returns {Object} Statistics object
+   */
+  getStatistics() {
+    return {
+      ...super.getStatistics(),
+      file: this.file,
+      speed: this.speed,
+      isReplaying: this.isReplaying,
+      replayedCount: this.replayedCount,
+      replayTime: this.replayTime ? new Date(this.replayTime) : null,
+    };
+  }
+}
+
+module.exports = FinnhubReplayService;
@@ -0,0 +1,281 @@
+const EventEmitter = require("events");
+const logger = require("../utils/logger");
+
+/**
+ * Base class for market data providers.
+ *
+ * Subclasses implement connect(), disconnect(), subscribeToSymbol() and
+ * unsubscribeFromSymbol(), and call recordMessage()/dispatchTrade() for every
+ * message they receive. Consumers register price listeners with subscribe()
+ * and may also listen for these events:
+ *   - "trade"  ({ symbol, price, timestamp, volume })
+ *   - "status" ({ provider, connected })
+ */
+class MarketDataProvider extends EventEmitter {
+  constructor(name) {
+    super();
+    this.name = name;
+    this.isConnected = false;
+    this.subscribedSymbols = new Set();
+    this.priceListeners = new Map(); // symbol -> Set of listener handles
+    this.nextListenerId = 1;
+
+    // Message tracking for monitoring
+    this.messageCount = 0;
+    this.lastMessageTime = null;
+    this.recentMessages = [];
+    this.maxRecentMessages = 50;
+    this.messageListeners = new Set();
+  }
+
+  /**
+   * Connect to the data source
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    throw new Error(`${this.name} provider does not implement connect()`);
+  }
+
+  /**
+   * Disconnect from the data source
+   */
+  disconnect() {
+    throw new Error(`${this.name} provider does not implement disconnect()`);
+  }
+
+  /**
+   * Start receiving trades for a symbol from the data source
+   * @param {string} symbol - Symbol to subscribe to
+   */
+  subscribeToSymbol(symbol) {
+    throw new Error(
+      `${this.name} provider does not implement subscribeToSymbol()`
+    );
+  }
+
+  /**
+   * Stop receiving trades for a symbol from the data source
+   * @param {string} symbol - Symbol to unsubscribe from
+   */
+  unsubscribeFromSymbol(symbol) {
+    throw new Error(
+      `${this.name} provider does not implement unsubscribeFromSymbol()`
+    );
+  }
+
+  /**
+   * Current time as seen by this provider. Live providers use the wall
+   * clock; replays return the time the replayed message was received.
+   * @returns {number} Time in milliseconds
+   */
+  now() {
+    return Date.now();
+  }
+
+  /**
+   * Update connection state and emit a status event when it changes
+   * @param {boolean} connected - Whether the provider is connected
+   */
+  setConnected(connected) {
+    if (this.isConnected === connected) {
+      return;
+    }
+
+    this.isConnected = connected;
+    this.emit("status", { provider: this.name, connected });
+  }
+
+  /**
+   * Register a listener for price updates on a symbol. Any number of
+   * listeners can share a symbol; the upstream subscription is opened for the
+   * first one and closed when the last one unsubscribes.
+   * @param {string} symbol - Symbol to monitor
+   * @param {Function} callback - Callback function (symbol, price, timestamp, volume) => void
+   * @returns {{id: number, symbol: string, unsubscribe: Function}} Subscription handle
+   */
+  subscribe(symbol, callback) {
+    const formattedSymbol = symbol.toUpperCase();
+
+    if (typeof callback !== "function") {
+      throw new Error("Price listener callback must be a function");
+    }
+
+    const handle = {
+      id: this.nextListenerId++,
+      symbol: formattedSymbol,
+      callback,
+      unsubscribe: () => this.unsubscribe(handle),
+    };
+
+    if (!this.priceListeners.has(formattedSymbol)) {
+      this.priceListeners.set(formattedSymbol, new Set());
+    }
+    this.priceListeners.get(formattedSymbol).add(handle);
+
+    // Subscribe to the symbol if not already subscribed
+    if (!this.subscribedSymbols.has(formattedSymbol)) {
+      this.subscribeToSymbol(formattedSymbol);
+    }
+
+    return handle;
+  }
+
+  /**
+   * Remove a price listener. Unsubscribes upstream only when it was the last
+   * listener for its symbol.
+   * @param {Object} handle - Handle returned by subscribe()
+   * @returns {boolean} Whether the handle was still registered
+   */
+  unsubscribe(handle) {
+    const listeners = handle && this.priceListeners.get(handle.symbol);
+    if (!listeners || !listeners.delete(handle)) {
+      return false;
+    }
+
+    if (listeners.size === 0) {
+      this.priceListeners.delete(handle.symbol);
+      this.unsubscribeFromSymbol(handle.symbol);
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the number of listeners registered for a symbol
+   * @param {string} symbol - Symbol
+   * @returns {number} Listener count
+   */
+  getListenerCount(symbol) {
+    const listeners = this.priceListeners.get(symbol.toUpperCase());
+    return listeners ? listeners.size : 0;
+  }
+
+  /**
+   * Deliver a trade to every listener registered for its symbol
+   * @param {string} symbol - Symbol traded
+   * @param {number} price - Trade price
+   * @param {number} timestamp - Trade timestamp in milliseconds
+   * @param {number} volume - Trade volume
+   */
+  dispatchTrade(symbol, price, timestamp, volume) {
+    logger.debug(`Price update: ${symbol} = $${price} (volume: ${volume})`);
+
+    // Copy first so a listener can unsubscribe from inside its callback
+    const listeners = this.priceListeners.get(symbol);
+    if (listeners) {
+      for (const handle of [...listeners]) {
+        try {
+          handle.callback(symbol, price, timestamp, volume);
+        } catch (error) {
+          logger.error(`Error in price callback for ${symbol}:`, error);
+        }
+      }
+    }
+
+    this.emit("trade", { symbol, price, timestamp, volume });
+  }
+
+  /**
+   * Track a raw message for monitoring and notify message listeners
+   * @param {Object} message - Provider message with type and data
+   */
+  recordMessage(message) {
+    this.messageCount++;
+    this.lastMessageTime = new Date();
+
+    // Store recent messages for debugging
+    const messageLog = {
+      type: message.type,
+      timestamp: this.lastMessageTime.toISOString(),
+      dataCount: Array.isArray(message.data)
+        ? message.data.length
+        : message.data
+        ? 1
+        : 0,
+    };
+
+    this.recentMessages.push(messageLog);
+    if (this.recentMessages.length > this.maxRecentMessages) {
+      this.recentMessages.shift();
+    }
+
+    // Notify message listeners
+    this.messageListeners.forEach((listener) => {
+      try {
+        listener(messageLog);
+      } catch (error) {
+        logger.error("Error in message listener:", error);
+      }
+    });
+  }
+
+  /**
+   * Get connection status
+   * @returns {boolean} Connection status
+   */
+  getConnectionStatus() {
+    return this.isConnected;
+  }
+
+  /**
+   * Get list of subscribed symbols
+   * @returns {Array<string>} Array of subscribed symbols
+   */
+  getSubscribedSymbols() {
+    return Array.from(this.subscribedSymbols);
+  }
+
+  /**
+   * Get recent messages for monitoring
+   * @returns {Array} Array of recent message logs
+   */
+  getRecentMessages() {
+    return [...this.recentMessages];
+  }
+
+  /**
+   * Add a message listener for monitoring
+   * @param {Function} listener - Callback function for messages
+   */
+  addMessageListener(listener) {
+    this.messageListeners.add(listener);
+  }
+
+  /**
+   * Remove a message listener
+   * @param {Function} listener - Callback function to remove
+   */
+  removeMessageListener(listener) {
+    this.messageListeners.delete(listener);
+  }
+
+  /**
+   * Get provider statistics
+   * @returns {Object} Statistics object
+   */
+  getStatistics() {
+    return {
+      provider: this.name,
+      messageCount: this.messageCount,
+      lastMessageTime: this.lastMessageTime,
+      subscribedSymbolsCount: this.subscribedSymbols.size,
+      listenerCount: Array.from(this.priceListeners.values()).reduce(
+        (sum, listeners) => sum + listeners.size,
+        0
+      ),
+      isConnected: this.isConnected,
+      recentMessagesCount: this.recentMessages.length,
+    };
+  }
+
+  /**
+   * Reset statistics
+   */
+  resetStatistics() {
+    this.messageCount = 0;
+    this.lastMessageTime = null;
+    this.recentMessages = [];
+  }
+}
+
+module.exports = MarketDataProvider;
@@ -0,0 +1,115 @@
+const axios = require("axios");
+
+// Longest execution response kept in alert history, in characters of JSON
+const MAX_RESPONSE_LENGTH = 10000;
+
+/**
+ * Starts n8n workflows for alerts that name one.
+ *
+ * A workflow is called through its Webhook trigger node; the URL comes from
+ * a template such as http://localhost:5678/webhook/{workflowId}, with the
+ * alert's n8n_workflow_id in place of {workflowId} (or appended when the
+ * template has no placeholder). The request body is the full notification
+ * context, and whatever the workflow responds with is returned for alert
+ * history.
+ */
+class N8nService {
+  /**
+   * @param {Object} options - n8n settings
+   * @param {string} options.webhookUrl - Webhook URL template
+   * @param {string} [options.authHeader] - Header for n8n's Header Auth
+   * @param {string} [options.authValue] - Value of the auth header; no auth without one
+   * @param {number} [options.timeoutMs] - How long to wait for the workflow to respond
+   */
+  constructor(options = {}) {
+    this.webhookUrl = options.webhookUrl;
+    this.authHeader = options.authHeader || "Authorization";
+    this.authValue = options.authValue || null;
+    this.timeoutMs = options.timeoutMs || 30000;
+
+    if (!this.webhookUrl) {
+      throw new Error("n8n webhook URL is required");
+    }
+  }
+
+  /**
+   * Call a workflow with an alert's notification
+   * @param {string} workflowId - Alert's n8n_workflow_id
+   * @param {Object} notification - Alert notification data
+   * @returns {Promise<{status: number, response: *}>} HTTP status and the workflow's response
+   */
+  async triggerWorkflow(workflowId, notification) {
+    const headers = {
+      "Content-Type": "application/json",
+    };
+    if (this.authValue) {
+      headers[this.authHeader] = this.authValue;
+    }
+
+    const response = await axios.post(
+      this.getWorkflowUrl(workflowId),
+      this.createPayload(workflowId, notification),
+      {
+        headers,
+        timeout: this.timeoutMs,
+      }
+    );
+
+    return {
+      status: response.status,
+      response: limitResponse(response.data),
+    };
+  }
+
+  /**
+   * Get the webhook URL of a workflow
+   * @param {string} workflowId - Workflow ID or webhook path
+   * @returns {string} URL to POST to
+   */
+  getWorkflowUrl(workflowId) {
+    const id = encodeURIComponent(workflowId);
+
+    return this.webhookUrl.includes("{workflowId}")
+      ? this.webhookUrl.replace("{workflowId}", id)
+      : `${this.webhookUrl.replace(/\/+$/, "")}/${id}`;
+  }
+
+  /**
+   * Create the request body for a workflow
+   * @param {string} workflowId - Workflow ID
+   * @param {Object} notification - Alert notification data
+   * @returns {Object} Payload with the alert and everything its notification shows
+   */
+  createPayload(workflowId, notification) {
+    const { alert, timestamp, ...context } = notification;
+
+    return {
+      event: "alert.triggered",
+      workflow_id: workflowId,
+      alert,
+      notification: {
+        ...context,
+        timestamp: new Date(timestamp).toISOString(),
+      },
+      sent_at: new Date().toISOString(),
+    };
+  }
+}
+
+/**
+ * Keep a workflow response small enough for alert history
+ * @param {*} data - Response body
+ * @returns {*} The body, or its JSON cut short when too long
+ */
+function limitResponse(data) {
+  if (data === undefined || data === "") {
+    return null;
+  }
+
+  const json = JSON.stringify(data);
+  return json.length > MAX_RESPONSE_LENGTH
+    ? `${json.substring(0, MAX_RESPONSE_LENGTH)}...`
+    : data;
+}
+
+module.exports = N8nService;
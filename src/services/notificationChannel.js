@@ -0,0 +1,83 @@
+/**
+ * Base class for notification channels.
+ *
+ * Subclasses implement send() and test(), and may override sendSummary(),
+ * which otherwise sends each held notification on its own. Channels are
+ * registered with a NotificationChannelRegistry, which records the outcome
+ * of every delivery so that health() can report on the channel without
+ * sending anything.
+ */
+class NotificationChannel {
+  constructor(name) {
+    this.name = name;
+    this.deliveryStats = {
+      sent: 0,
+      failed: 0,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null,
+    };
+  }
+
+  /**
+   * Deliver an alert notification
+   * @param {Object} notification - Alert notification data
+   * @returns {Promise<void>} Rejects if the notification was not delivered
+   */
+  async send(notification) {
+    throw new Error(`${this.name} channel does not implement send()`);
+  }
+
+  /**
+   * Deliver the alerts held during a user's quiet hours
+   * @param {Object} summary - Released alerts (userId, timezone, notifications, dropped)
+   * @returns {Promise<void>} Rejects if the summary was not delivered
+   */
+  async sendSummary(summary) {
+    for (const notification of summary.notifications) {
+      await this.send(notification);
+    }
+  }
+
+  /**
+   * Send a test message to check the channel's configuration
+   * @returns {Promise<boolean>} Whether the test message was delivered
+   */
+  async test() {
+    throw new Error(`${this.name} channel does not implement test()`);
+  }
+
+  /**
+   * Record the outcome of a delivery or test
+   * @param {Error|null} [error] - Why delivery failed, or null if it succeeded
+   */
+  recordDelivery(error = null) {
+    const now = new Date().toISOString();
+
+    if (error) {
+      this.deliveryStats.failed++;
+      this.deliveryStats.lastFailureAt = now;
+      this.deliveryStats.lastError = error.message || String(error);
+    } else {
+      this.deliveryStats.sent++;
+      this.deliveryStats.lastSuccessAt = now;
+    }
+  }
+
+  /**
+   * Report the channel's health from its recent deliveries
+   * @returns {Object} Name, whether the last delivery succeeded and delivery counts
+   */
+  health() {
+    const { lastSuccessAt, lastFailureAt } = this.deliveryStats;
+
+    return {
+      name: this.name,
+      healthy:
+        !lastFailureAt || (!!lastSuccessAt && lastSuccessAt >= lastFailureAt),
+      ...this.deliveryStats,
+    };
+  }
+}
+
+module.exports = NotificationChannel;
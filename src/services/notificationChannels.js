@@ -0,0 +1,164 @@
+const logger = require("../utils/logger");
+const NotificationChannel = require("./notificationChannel");
+
+/**
+ * The notification channels alerts are delivered to, by name.
+ *
+ * Deliveries fan out to every registered channel (or the named ones) in
+ * parallel; one channel failing does not stop the others, and the result
+ * reports success or the error per channel.
+ */
+class NotificationChannelRegistry {
+  constructor() {
+    this.channels = new Map(); // name -> NotificationChannel
+  }
+
+  /**
+   * Add a channel
+   * @param {NotificationChannel} channel - Channel to add
+   * @param {string} [name] - Name to register it under (default: the channel's name)
+   * @returns {NotificationChannelRegistry} This registry
+   */
+  register(channel, name = channel.name) {
+    if (!(channel instanceof NotificationChannel)) {
+      throw new Error("Notification channels must extend NotificationChannel");
+    }
+
+    if (this.channels.has(name)) {
+      throw new Error(`Notification channel ${name} is already registered`);
+    }
+
+    this.channels.set(name, channel);
+    logger.debug(`Registered ${name} notification channel`);
+    return this;
+  }
+
+  /**
+   * Get a channel by name
+   * @param {string} name - Channel name
+   * @returns {NotificationChannel|null} Channel, or null if not registered
+   */
+  get(name) {
+    return this.channels.get(name) || null;
+  }
+
+  /**
+   * Get the names of all registered channels
+   * @returns {Array<string>} Channel names in registration order
+   */
+  getNames() {
+    return [...this.channels.keys()];
+  }
+
+  /**
+   * Deliver an alert notification
+   * @param {Object} notification - Alert notification data
+   * @param {Array<string>} [names] - Channels to use (default: all)
+   * @returns {Promise<Object<string, {success: boolean, error?: string}>>} Delivery result per channel
+   */
+  async sendAlert(notification, names = this.getNames()) {
+    return this.deliver(names, (channel) => channel.send(notification), {
+      description: `alert for ${notification.symbol}`,
+    });
+  }
+
+  /**
+   * Deliver the alerts held during a user's quiet hours
+   * @param {Object} summary - Released alerts (userId, timezone, notifications, dropped)
+   * @param {Array<string>} [names] - Channels to use (default: all)
+   * @returns {Promise<Object<string, {success: boolean, error?: string}>>} Delivery result per channel
+   */
+  async sendSummary(summary, names = this.getNames()) {
+    return this.deliver(names, (channel) => channel.sendSummary(summary), {
+      description: `quiet hours summary for user ${summary.userId}`,
+    });
+  }
+
+  /**
+   * Send a test message through one channel
+   * @param {string} name - Channel name
+   * @returns {Promise<boolean>} Whether the test message was delivered
+   */
+  async test(name) {
+    const channel = this.get(name);
+    if (!channel) {
+      throw new Error(`Notification channel ${name} is not registered`);
+    }
+
+    let delivered;
+    try {
+      delivered = await channel.test();
+    } catch (error) {
+      logger.error(`${name} channel test failed:`, error);
+      delivered = false;
+    }
+
+    channel.recordDelivery(delivered ? null : new Error("Test message failed"));
+    return delivered;
+  }
+
+  /**
+   * Report every channel's health
+   * @returns {Object<string, Object>} Health per channel name
+   */
+  getHealth() {
+    return Object.fromEntries(
+      [...this.channels.entries()].map(([name, channel]) => [
+        name,
+        channel.health(),
+      ])
+    );
+  }
+
+  /**
+   * Check whether every channel's last delivery succeeded
+   * @returns {boolean} Whether all channels are healthy
+   */
+  isHealthy() {
+    return [...this.channels.values()].every(
+      (channel) => channel.health().healthy
+    );
+  }
+
+  /**
+   * Run a delivery on several channels and record each outcome
+   * @param {Array<string>} names - Channel names
+   * @param {Function} sendTo - (channel) => Promise for one channel
+   * @param {Object} options - description of what is delivered, for logging
+   * @returns {Promise<Object>} Delivery result per channel
+   */
+  async deliver(names, sendTo, { description }) {
+    const channels = names.map((name) => this.get(name));
+    const results = await Promise.allSettled(
+      channels.map((channel) =>
+        channel
+          ? sendTo(channel)
+          : Promise.reject(new Error("Channel is not registered"))
+      )
+    );
+
+    const delivery = {};
+    results.forEach((result, index) => {
+      const name = names[index];
+      const channel = channels[index];
+
+      if (result.status === "fulfilled") {
+        channel.recordDelivery();
+        delivery[name] = { success: true };
+      } else {
+        if (channel) {
+          channel.recordDelivery(result.reason);
+        }
+        logger.error(`Failed to send ${name} ${description}:`, result.reason);
+        delivery[name] = {
+          success: false,
+          error: result.reason?.message || String(result.reason),
+        };
+      }
+    });
+
+    return delivery;
+  }
+}
+
+module.exports = NotificationChannelRegistry;
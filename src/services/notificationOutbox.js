@@ -0,0 +1,383 @@
+const logger = require("../utils/logger");
+
+/**
+ * Delivers notifications through the notification_outbox table so failed
+ * deliveries are retried instead of lost.
+ *
+ * Each notification is written as one message per channel before it is
+ * sent, and a message is removed once its channel has it. A failed message
+ * is retried with exponential backoff and jitter; after maxAttempts
+ * failures it moves to the dead-letter list (status "dead") until an
+ * operator retries it. When the outbox cannot be written, notifications
+ * are still sent, just without retries.
+ *
+ * A message is claimed (status "sending") for leaseMs before each attempt,
+ * with a conditional update, so the retry loop and operator retries never
+ * send it while another attempt is in flight. Messages left claimed by a
+ * crash are retried once their lease runs out.
+ */
+class NotificationOutbox {
+  /**
+   * @param {SupabaseService} supabaseService - Outbox store
+   * @param {NotificationRouter} notificationRouter - Delivers to channels and destinations
+   * @param {Object} [options] - Outbox options
+   * @param {number} [options.maxAttempts] - Attempts before a message is dead-lettered
+   * @param {number} [options.baseDelayMs] - Delay before the first retry, doubled for each one after
+   * @param {number} [options.maxDelayMs] - Longest delay between retries
+   * @param {number} [options.leaseMs] - How long a message is claimed for while it is sent
+   * @param {number} [options.pollIntervalMs] - How often due retries are checked for
+   * @param {number} [options.batchSize] - Messages retried per check
+   */
+  constructor(supabaseService, notificationRouter, options = {}) {
+    this.supabaseService = supabaseService;
+    this.notificationRouter = notificationRouter;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.baseDelayMs = options.baseDelayMs || 30 * 1000;
+    this.maxDelayMs = options.maxDelayMs || 60 * 60 * 1000;
+    this.leaseMs = options.leaseMs || 5 * 60 * 1000;
+    this.pollIntervalMs = options.pollIntervalMs || 15 * 1000;
+    this.batchSize = options.batchSize || 50;
+    this.pollTimer = null;
+    this.processing = false;
+  }
+
+  /**
+   * Start retrying due messages, including any left by a previous run
+   */
+  start() {
+    this.pollTimer = setInterval(() => this.processDue(), this.pollIntervalMs);
+    this.processDue();
+    logger.info("Notification outbox started");
+  }
+
+  /**
+   * Stop retrying. Pending messages stay in the outbox for the next run.
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+
+    logger.info("Notification outbox stopped");
+  }
+
+  /**
+   * Deliver an alert notification to the channels its alert names
+   * @param {Object} notification - Alert notification data
+   * @returns {Promise<Object>} Delivery result per channel name or destination ID
+   */
+  async sendAlert(notification) {
+    const alert = notification.alert || {};
+
+    return this.deliver("alert", notification, {
+      channels: this.notificationRouter.resolveChannels(alert.channels),
+      userId: alert.user_id,
+      alertId: alert.id,
+    });
+  }
+
+  /**
+   * Deliver the alerts held during a user's quiet hours
+   * @param {Object} summary - Released alerts (userId, timezone, notifications, dropped)
+   * @returns {Promise<Object>} Delivery result per channel name or destination ID
+   */
+  async sendSummary(summary) {
+    return this.deliver("summary", summary, {
+      channels: this.notificationRouter.resolveChannels(
+        this.notificationRouter.getSummaryChannels(summary)
+      ),
+      userId: summary.userId,
+      alertId: null,
+    });
+  }
+
+  /**
+   * Write a notification to the outbox, send it and settle each message
+   * @param {string} kind - alert or summary
+   * @param {Object} payload - Notification or summary
+   * @param {Object} target - channels, userId and alertId
+   * @returns {Promise<Object>} Delivery result per channel name or destination ID
+   */
+  async deliver(kind, payload, { channels, userId, alertId }) {
+    // Messages are written already claimed for the immediate attempt
+    const leaseUntil = this.getLeaseExpiry();
+
+    let messages = [];
+    try {
+      messages = await this.supabaseService.createOutboxMessages(
+        channels.map((channel) => ({
+          kind,
+          channel,
+          user_id: userId || null,
+          alert_id: alertId || null,
+          payload,
+          status: "sending",
+          attempts: 0,
+          next_attempt_at: leaseUntil,
+        }))
+      );
+    } catch (error) {
+      logger.error(
+        `Failed to write ${kind} to the notification outbox; sending without retries:`,
+        error
+      );
+    }
+
+    const delivery = await this.send(kind, payload, channels);
+    await this.settle(messages, delivery);
+    return delivery;
+  }
+
+  /**
+   * Retry every pending message that is due, and every message whose claim
+   * has run out
+   */
+  async processDue() {
+    // A slow batch must not overlap the next check
+    if (this.processing) {
+      return;
+    }
+    this.processing = true;
+
+    try {
+      const messages = await this.supabaseService.getDueOutboxMessages(
+        new Date().toISOString(),
+        this.batchSize
+      );
+
+      for (const message of messages) {
+        // Each message is claimed just before it is sent, so its lease
+        // covers only its own attempt
+        const claimed = await this.supabaseService.claimOutboxMessage(
+          message.id,
+          {
+            statuses: ["pending", "sending"],
+            dueBy: new Date().toISOString(),
+            leaseUntil: this.getLeaseExpiry(),
+          }
+        );
+
+        // Another instance or an operator retry got there first
+        if (claimed) {
+          await this.attempt(claimed);
+        }
+      }
+    } catch (error) {
+      logger.error("Failed to process the notification outbox:", error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Retry a dead-lettered message now, with a fresh set of attempts if it
+   * fails again. Messages that are not dead belong to the retry loop and
+   * are left alone.
+   * @param {string} messageId - Message ID
+   * @returns {Promise<{retried: boolean, delivered: boolean, message: Object|null}|null>} Whether it was retried, the outcome and the message as it is left (null once delivered), or null if there is no such message
+   */
+  async retry(messageId) {
+    const message = await this.supabaseService.getOutboxMessage(messageId);
+    if (!message) {
+      return null;
+    }
+
+    const claimed = await this.supabaseService.claimOutboxMessage(messageId, {
+      statuses: ["dead"],
+      leaseUntil: this.getLeaseExpiry(),
+    });
+    if (!claimed) {
+      return { retried: false, delivered: false, message };
+    }
+
+    logger.info(`Retrying outbox message ${messageId} to ${message.channel}`);
+    return {
+      retried: true,
+      ...(await this.attempt({ ...claimed, attempts: 0 })),
+    };
+  }
+
+  /**
+   * Get the dead-letter list
+   * @param {Object} options - channel, limit and offset
+   * @returns {Promise<{messages: Array, total: number}>} Page of messages and total count
+   */
+  async getDeadLetters(options) {
+    return this.supabaseService.getDeadOutboxMessages(options);
+  }
+
+  /**
+   * Send one message to its channel and settle it
+   * @param {Object} message - Outbox message
+   * @returns {Promise<{delivered: boolean, message: Object|null}>} Outcome and the message as it is left
+   */
+  async attempt(message) {
+    const delivery = await this.send(
+      message.kind,
+      revivePayload(message.kind, message.payload),
+      [message.channel]
+    );
+    const [settled] = await this.settle([message], delivery);
+    return {
+      delivered: !!delivery[message.channel]?.success,
+      message: settled,
+    };
+  }
+
+  /**
+   * Send a notification or summary to some channels
+   * @param {string} kind - alert or summary
+   * @param {Object} payload - Notification or summary
+   * @param {Array<string>} channels - Channel names and destination IDs
+   * @returns {Promise<Object>} Delivery result per channel
+   */
+  async send(kind, payload, channels) {
+    try {
+      return kind === "summary"
+        ? await this.notificationRouter.sendSummary(payload, channels)
+        : await this.notificationRouter.sendAlert(payload, channels);
+    } catch (error) {
+      // Routing itself failed; every channel is retried
+      logger.error(`Failed to send ${kind}:`, error);
+      return Object.fromEntries(
+        channels.map((channel) => [
+          channel,
+          { success: false, error: error.message },
+        ])
+      );
+    }
+  }
+
+  /**
+   * Remove delivered messages and schedule or dead-letter failed ones. Failed
+   * delivery results are marked as queued for retry.
+   * @param {Array<Object>} messages - Outbox messages
+   * @param {Object} delivery - Delivery result per channel
+   * @returns {Promise<Array<Object|null>>} Each message as it is left, null once delivered
+   */
+  async settle(messages, delivery) {
+    const delivered = messages.filter(
+      (message) => delivery[message.channel]?.success
+    );
+
+    if (delivered.length > 0) {
+      try {
+        await this.supabaseService.deleteOutboxMessages(
+          delivered.map((message) => message.id)
+        );
+      } catch (error) {
+        // They would be sent again; log so duplicates can be explained
+        logger.error("Failed to remove delivered outbox messages:", error);
+      }
+    }
+
+    return Promise.all(
+      messages.map(async (message) => {
+        const result = delivery[message.channel];
+        if (result?.success) {
+          return null;
+        }
+
+        const settled = await this.recordFailure(
+          message,
+          result?.error || "No delivery result"
+        );
+        if (result && settled) {
+          result.queued = settled.status === "pending";
+        }
+        return settled;
+      })
+    );
+  }
+
+  /**
+   * Count a failed attempt and schedule the next one, or dead-letter the
+   * message once it is out of attempts
+   * @param {Object} message - Outbox message
+   * @param {string} error - Why the attempt failed
+   * @returns {Promise<Object|null>} Updated message, or null if it could not be saved
+   */
+  async recordFailure(message, error) {
+    const attempts = message.attempts + 1;
+    const dead = attempts >= this.maxAttempts;
+
+    try {
+      const updated = await this.supabaseService.updateOutboxMessage(
+        message.id,
+        {
+          status: dead ? "dead" : "pending",
+          attempts,
+          last_error: error,
+          next_attempt_at: dead
+            ? null
+            : new Date(Date.now() + this.getRetryDelay(attempts)).toISOString(),
+        }
+      );
+
+      if (dead) {
+        // Errors also reach the debug Discord log
+        logger.error(
+          `Notification ${message.id} to ${message.channel} moved to the dead-letter list after ${attempts} attempts: ${error}`
+        );
+      } else {
+        logger.info(
+          `Notification ${message.id} to ${message.channel} failed (attempt ${attempts} of ${this.maxAttempts}); retry at ${updated.next_attempt_at}`
+        );
+      }
+
+      return updated;
+    } catch (updateError) {
+      logger.error(
+        `Failed to record delivery failure of outbox message ${message.id}:`,
+        updateError
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Get when a claim made now runs out
+   * @returns {string} Lease expiry time
+   */
+  getLeaseExpiry() {
+    return new Date(Date.now() + this.leaseMs).toISOString();
+  }
+
+  /**
+   * Get the delay before the next attempt: exponential backoff with jitter
+   * between half and all of it, so retries after an outage do not all
+   * arrive at once
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    const backoff = Math.min(
+      this.maxDelayMs,
+      this.baseDelayMs * 2 ** (attempts - 1)
+    );
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+  }
+}
+
+/**
+ * Restore the dates JSON storage turned into strings
+ * @param {string} kind - alert or summary
+ * @param {Object} payload - Stored notification or summary
+ * @returns {Object} Payload as the channels expect it
+ */
+function revivePayload(kind, payload) {
+  const reviveNotification = (notification) => ({
+    ...notification,
+    timestamp: new Date(notification.timestamp),
+  });
+
+  return kind === "summary"
+    ? {
+        ...payload,
+        notifications: payload.notifications.map(reviveNotification),
+      }
+    : reviveNotification(payload);
+}
+
+module.exports = NotificationOutbox;
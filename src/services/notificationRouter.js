@@ -0,0 +1,331 @@
+const config = require("../config");
+const logger = require("../utils/logger");
+const NotificationChannelRegistry = require("./notificationChannels");
+const DiscordService = require("./discord");
+const TeamsService = require("./teams");
+const SlackService = require("./slack");
+const WebhookService = require("./webhook");
+const EmailService = require("./email");
+const TelegramService = require("./telegram");
+const { generateWebhookSecret } = require("../utils/webhooks");
+
+// Channel for each destination type, created from the destination's config
+const DESTINATION_CHANNELS = {
+  discord: (config) => new DiscordService(config.url),
+  teams: (config) => new TeamsService(config.url),
+  slack: (config) => new SlackService(config.url),
+  // Webhooks retry failed requests themselves unless the outbox does
+  webhook: (destinationConfig) =>
+    new WebhookService(destinationConfig.url, {
+      secret: destinationConfig.secret,
+      maxRetries: config.outbox.enabled ? 0 : 3,
+    }),
+  // Email destinations send through the server's SMTP settings
+  email: (destinationConfig) =>
+    new EmailService({ ...config.email, to: destinationConfig.to }),
+  // Telegram destinations send through the server's bot
+  telegram: (destinationConfig) =>
+    new TelegramService(config.telegram.botToken, [destinationConfig.chat_id], {
+      apiUrl: config.telegram.apiUrl,
+    }),
+};
+
+// Server setting each destination type needs, for types that send through
+// the server's own account
+const DESTINATION_SETTINGS = {
+  email: { name: "SMTP_HOST", isSet: () => !!config.email.host },
+  telegram: {
+    name: "TELEGRAM_BOT_TOKEN",
+    isSet: () => !!config.telegram.botToken,
+  },
+};
+
+/**
+ * Routes alert notifications to the channels each alert names.
+ *
+ * An alert's channels list holds names of global channels (such as
+ * "discord") and IDs of its owner's notification destinations; alerts
+ * without a list go to every global channel. Each user's enabled
+ * destinations are loaded into a registry of their own, keyed by
+ * destination ID and cached for a short time. A destination's channel is
+ * kept across cache refreshes until the destination changes, so its rate
+ * limit and health carry over.
+ */
+class NotificationRouter {
+  /**
+   * @param {NotificationChannelRegistry} channelRegistry - Global channels
+   * @param {SupabaseService} supabaseService - Destination store
+   * @param {Object} [options] - Router options
+   * @param {number} [options.cacheTtlMs] - How long a user's destinations are cached
+   */
+  constructor(channelRegistry, supabaseService, options = {}) {
+    this.channels = channelRegistry;
+    this.supabaseService = supabaseService;
+    this.cacheTtlMs = options.cacheTtlMs || 60 * 1000;
+    this.userChannels = new Map(); // user id -> { destinations, registry, loadedAt }
+  }
+
+  /**
+   * Get the names of the global channels
+   * @returns {Array<string>} Channel names
+   */
+  getChannelNames() {
+    return this.channels.getNames();
+  }
+
+  /**
+   * Deliver an alert notification to the channels its alert names
+   * @param {Object} notification - Alert notification data
+   * @param {Array<string>|null} [channels] - Channels to use instead, e.g. for a retry
+   * @returns {Promise<Object<string, {success: boolean, error?: string}>>} Delivery result per channel name or destination ID
+   */
+  async sendAlert(notification, channels = notification.alert?.channels) {
+    const alert = notification.alert || {};
+
+    return this.route(channels, alert.user_id, (registry, names) =>
+      registry.sendAlert(notification, names)
+    );
+  }
+
+  /**
+   * Deliver the alerts held during a user's quiet hours
+   * @param {Object} summary - Released alerts (userId, timezone, notifications, dropped)
+   * @param {Array<string>|null} [channels] - Channels to use instead, e.g. for a retry
+   * @returns {Promise<Object<string, {success: boolean, error?: string}>>} Delivery result per channel name or destination ID
+   */
+  async sendSummary(summary, channels = this.getSummaryChannels(summary)) {
+    return this.route(channels, summary.userId, (registry, names) =>
+      registry.sendSummary(summary, names)
+    );
+  }
+
+  /**
+   * Get the channels a quiet hours summary goes to: every channel at least
+   * one of the held alerts would have used
+   * @param {Object} summary - Released alerts
+   * @returns {Array<string>|null} Channel names and destination IDs, or null for all global channels
+   */
+  getSummaryChannels(summary) {
+    const channelLists = summary.notifications.map(
+      (notification) => notification.alert?.channels
+    );
+
+    return channelLists.some((list) => !list || list.length === 0)
+      ? null
+      : [...new Set(channelLists.flat())];
+  }
+
+  /**
+   * Get the channel names and destination IDs a channels list delivers to
+   * @param {Array<string>|null} channels - Channels list, or null for all global channels
+   * @returns {Array<string>} Channel names and destination IDs
+   */
+  resolveChannels(channels) {
+    return channels && channels.length > 0
+      ? channels
+      : this.channels.getNames();
+  }
+
+  /**
+   * Send a test message to a destination, whether or not it is enabled
+   * @param {Object} destination - Destination (type and config)
+   * @returns {Promise<boolean>} Whether the test message was delivered
+   */
+  async testDestination(destination) {
+    await this.assignWebhookSecrets([destination]);
+    return this.createChannel(destination).test();
+  }
+
+  /**
+   * Forget a user's cached destinations after they change
+   * @param {string} userId - User ID
+   */
+  invalidate(userId) {
+    this.userChannels.delete(userId);
+  }
+
+  /**
+   * Split a channels list into global channels and destinations and deliver
+   * to both
+   * @param {Array<string>|null} channels - Channel names and destination IDs, or null for all global channels
+   * @param {string} userId - Owner of the destinations
+   * @param {Function} send - (registry, names) => Promise of delivery results
+   * @returns {Promise<Object>} Delivery result per channel name or destination ID
+   */
+  async route(channels, userId, send) {
+    if (!channels || channels.length === 0) {
+      return send(this.channels, this.resolveChannels(channels));
+    }
+
+    const globalNames = channels.filter((name) => this.channels.get(name));
+    const destinationIds = channels.filter((name) => !this.channels.get(name));
+
+    const deliveries = [];
+    if (globalNames.length > 0) {
+      deliveries.push(send(this.channels, globalNames));
+    }
+    if (destinationIds.length > 0) {
+      const registry = await this.getUserChannels(userId);
+      deliveries.push(send(registry, destinationIds));
+    }
+
+    const results = await Promise.all(deliveries);
+    return Object.assign({}, ...results);
+  }
+
+  /**
+   * Get the registry of a user's enabled destinations, from the cache when
+   * fresh
+   * @param {string} userId - User ID
+   * @returns {Promise<NotificationChannelRegistry>} Destinations by ID
+   */
+  async getUserChannels(userId) {
+    const cached = this.userChannels.get(userId);
+    if (cached && Date.now() - cached.loadedAt < this.cacheTtlMs) {
+      return cached.registry;
+    }
+
+    if (!userId) {
+      return new NotificationChannelRegistry();
+    }
+
+    try {
+      const destinations =
+        await this.supabaseService.getNotificationDestinations(userId);
+      await this.assignWebhookSecrets(destinations);
+      const registry = this.createRegistry(destinations, cached);
+      this.userChannels.set(userId, {
+        destinations,
+        registry,
+        loadedAt: Date.now(),
+      });
+      return registry;
+    } catch (error) {
+      // Alerts naming destinations report them as undelivered
+      logger.error(`Failed to load destinations for user ${userId}:`, error);
+      return cached ? cached.registry : new NotificationChannelRegistry();
+    }
+  }
+
+  /**
+   * Give webhook destinations saved without a signing secret (those created
+   * before requests were signed) a new one, so every request is signed. The
+   * user reads it from the destination's config. A destination whose secret
+   * cannot be saved is left without one and is not sent to.
+   * @param {Array<Object>} destinations - Destinations, updated in place
+   */
+  async assignWebhookSecrets(destinations) {
+    for (const destination of destinations) {
+      if (destination.type !== "webhook" || destination.config?.secret) {
+        continue;
+      }
+
+      try {
+        const updated =
+          await this.supabaseService.updateNotificationDestination(
+            destination.id,
+            {
+              config: {
+                ...destination.config,
+                secret: generateWebhookSecret(),
+              },
+            }
+          );
+        Object.assign(destination, updated);
+        logger.info(
+          `Generated a signing secret for webhook destination ${destination.id}`
+        );
+      } catch (error) {
+        logger.error(
+          `Failed to save a signing secret for webhook destination ${destination.id}:`,
+          error
+        );
+      }
+    }
+  }
+
+  /**
+   * Build a registry of enabled destinations, reusing the channels of
+   * destinations that have not changed since the last load
+   * @param {Array<Object>} destinations - The user's destinations
+   * @param {Object} [previous] - Previously cached destinations and registry
+   * @returns {NotificationChannelRegistry} Destinations by ID
+   */
+  createRegistry(destinations, previous) {
+    const registry = new NotificationChannelRegistry();
+
+    for (const destination of destinations) {
+      if (!destination.enabled) {
+        continue;
+      }
+
+      // Saved before the server setting was removed; alerts naming it
+      // report it as not registered
+      if (!NotificationRouter.isAvailable(destination.type)) {
+        logger.debug(
+          `Skipping ${destination.type} destination ${destination.id}: ${
+            DESTINATION_SETTINGS[destination.type].name
+          } is not set`
+        );
+        continue;
+      }
+
+      const unchanged = previous?.destinations.some(
+        (old) =>
+          old.id === destination.id && old.updated_at === destination.updated_at
+      );
+
+      try {
+        const channel =
+          (unchanged && previous.registry.get(destination.id)) ||
+          this.createChannel(destination);
+        registry.register(channel, destination.id);
+      } catch (error) {
+        logger.error(
+          `Skipping notification destination ${destination.id}:`,
+          error
+        );
+      }
+    }
+
+    return registry;
+  }
+
+  /**
+   * Create the channel for a destination
+   * @param {Object} destination - Destination (type and config)
+   * @returns {NotificationChannel} Channel
+   */
+  createChannel(destination) {
+    const create = DESTINATION_CHANNELS[destination.type];
+    if (!create) {
+      throw new Error(`Unknown destination type: ${destination.type}`);
+    }
+
+    return create(destination.config || {});
+  }
+}
+
+/**
+ * Check whether the server is set up for a destination type
+ * @param {string} type - Destination type
+ * @returns {boolean} Whether destinations of the type can be sent to
+ */
+NotificationRouter.isAvailable = (type) =>
+  !Object.hasOwn(DESTINATION_SETTINGS, type) ||
+  DESTINATION_SETTINGS[type].isSet();
+
+/**
+ * Get the server setting a destination type is missing
+ * @param {string} type - Destination type
+ * @returns {string|null} Name of the missing setting, or null if there is none
+ */
+NotificationRouter.getMissingSetting = (type) =>
+  NotificationRouter.isAvailable(type) ? null : DESTINATION_SETTINGS[type].name;
+
+// Destination types users can add
+NotificationRouter.DESTINATION_TYPES = Object.keys(DESTINATION_CHANNELS).filter(
+  NotificationRouter.isAvailable
+);
+
+module.exports = NotificationRouter;
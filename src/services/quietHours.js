@@ -0,0 +1,267 @@
+const EventEmitter = require("events");
+const logger = require("../utils/logger");
+
+// Alert priorities, lowest first; high-priority alerts ignore quiet hours
+const PRIORITIES = ["low", "normal", "high"];
+
+// What happens to other alerts during quiet hours
+const QUIET_HOURS_ACTIONS = ["hold", "drop"];
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+/**
+ * Applies each user's quiet hours to alert notifications.
+ *
+ * Preferences come from the user_preferences table and are cached for a
+ * short time. Quiet-hours windows are in the user's timezone; a window such
+ * as 22:00-07:00 wraps past midnight and its days are the days it starts on.
+ * During a window, alerts below high priority are held or dropped. Held
+ * notifications are kept in memory and emitted as one "release" event
+ * ({ userId, timezone, notifications, dropped }) once the user's quiet hours
+ * are over, so they do not survive a restart.
+ */
+class QuietHoursService extends EventEmitter {
+  /**
+   * @param {SupabaseService} supabaseService - Preference store
+   * @param {MarketDataProvider} marketDataProvider - Clock for releasing held alerts
+   * @param {Object} [options] - Quiet-hours options
+   * @param {number} [options.cacheTtlMs] - How long preferences are cached
+   * @param {number} [options.checkIntervalMs] - How often held alerts are checked for release
+   * @param {number} [options.maxHeldPerUser] - Held notifications kept per user; older ones are dropped
+   */
+  constructor(supabaseService, marketDataProvider, options = {}) {
+    super();
+    this.supabaseService = supabaseService;
+    this.marketDataProvider = marketDataProvider;
+    this.cacheTtlMs = options.cacheTtlMs || 60 * 1000;
+    this.checkIntervalMs = options.checkIntervalMs || 60 * 1000;
+    this.maxHeldPerUser = options.maxHeldPerUser || 50;
+    this.preferences = new Map(); // user id -> { preferences, loadedAt }
+    this.held = new Map(); // user id -> { notifications, dropped }
+    this.timeFormats = new Map(); // timezone -> Intl.DateTimeFormat
+    this.releaseTimer = null;
+  }
+
+  /**
+   * Start checking held alerts for release
+   */
+  start() {
+    this.releaseTimer = setInterval(
+      () => this.releaseHeld(),
+      this.checkIntervalMs
+    );
+    logger.info("Quiet hours service started");
+  }
+
+  /**
+   * Stop checking held alerts. Alerts still held are discarded.
+   */
+  stop() {
+    if (this.releaseTimer) {
+      clearInterval(this.releaseTimer);
+      this.releaseTimer = null;
+    }
+
+    const heldCount = [...this.held.values()].reduce(
+      (count, entry) => count + entry.notifications.length,
+      0
+    );
+    if (heldCount > 0) {
+      logger.warn(`Discarding ${heldCount} alerts held for quiet hours`);
+    }
+    this.held.clear();
+    this.preferences.clear();
+    logger.info("Quiet hours service stopped");
+  }
+
+  /**
+   * Get a user's preferences, from the cache when fresh
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Preferences, or null if the user has none or they cannot be read
+   */
+  async getPreferences(userId) {
+    const cached = this.preferences.get(userId);
+    if (cached && Date.now() - cached.loadedAt < this.cacheTtlMs) {
+      return cached.preferences;
+    }
+
+    try {
+      const preferences = await this.supabaseService.getUserPreferences(userId);
+      this.setPreferences(userId, preferences);
+      return preferences;
+    } catch (error) {
+      // Without preferences alerts are delivered as usual
+      logger.error(`Failed to load preferences for user ${userId}:`, error);
+      return cached ? cached.preferences : null;
+    }
+  }
+
+  /**
+   * Replace a user's cached preferences after they change
+   * @param {string} userId - User ID
+   * @param {Object|null} preferences - New preferences, or null if deleted
+   */
+  setPreferences(userId, preferences) {
+    this.preferences.set(userId, { preferences, loadedAt: Date.now() });
+  }
+
+  /**
+   * Decide what to do with an alert notification
+   * @param {Object} alert - Alert that was triggered
+   * @param {Date} now - Trigger time
+   * @returns {Promise<{action: string, timezone: string|null}>} "deliver", "hold" or "drop", and the user's timezone
+   */
+  async getDeliveryAction(alert, now) {
+    const preferences = alert.user_id
+      ? await this.getPreferences(alert.user_id)
+      : null;
+    const timezone = preferences?.timezone || null;
+
+    if (
+      !preferences ||
+      (alert.priority || "normal") === "high" ||
+      !this.isQuietTime(preferences, now)
+    ) {
+      return { action: "deliver", timezone };
+    }
+
+    return { action: preferences.quiet_hours_action || "hold", timezone };
+  }
+
+  /**
+   * Check whether a time falls in one of a user's quiet-hours windows
+   * @param {Object} preferences - timezone and quiet_hours
+   * @param {Date} now - Time to check
+   * @returns {boolean} Whether it is quiet time for the user
+   */
+  isQuietTime(preferences, now) {
+    const windows = preferences.quiet_hours || [];
+    if (windows.length === 0) {
+      return false;
+    }
+
+    const { weekday, minutes } = this.getLocalTime(
+      preferences.timezone || "UTC",
+      now
+    );
+    const previousDay = (weekday + 6) % 7;
+    const toMinutes = (time) => {
+      const [hours, mins] = time.split(":").map(Number);
+      return hours * 60 + mins;
+    };
+    const startsOn = (window, day) =>
+      !window.days || window.days.includes(WEEKDAYS[day]);
+
+    return windows.some((window) => {
+      const start = toMinutes(window.start);
+      const end = toMinutes(window.end);
+
+      if (start < end) {
+        return startsOn(window, weekday) && minutes >= start && minutes < end;
+      }
+
+      // Wrapping windows started either today or yesterday
+      return (
+        (startsOn(window, weekday) && minutes >= start) ||
+        (startsOn(window, previousDay) && minutes < end)
+      );
+    });
+  }
+
+  /**
+   * Get the weekday and time of day in a timezone
+   * @param {string} timezone - IANA timezone
+   * @param {Date} now - Time to convert
+   * @returns {{weekday: number, minutes: number}} Weekday (0 = Sunday) and minutes after midnight
+   */
+  getLocalTime(timezone, now) {
+    if (!this.timeFormats.has(timezone)) {
+      this.timeFormats.set(
+        timezone,
+        new Intl.DateTimeFormat("en-US", {
+          timeZone: timezone,
+          weekday: "short",
+          hour: "2-digit",
+          minute: "2-digit",
+          hourCycle: "h23",
+        })
+      );
+    }
+
+    const parts = Object.fromEntries(
+      this.timeFormats
+        .get(timezone)
+        .formatToParts(now)
+        .map((part) => [part.type, part.value])
+    );
+
+    return {
+      weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+      minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    };
+  }
+
+  /**
+   * Keep a notification until the user's quiet hours end
+   * @param {string} userId - User ID
+   * @param {Object} notification - Alert notification
+   */
+  hold(userId, notification) {
+    if (!this.held.has(userId)) {
+      this.held.set(userId, { notifications: [], dropped: 0 });
+    }
+
+    const entry = this.held.get(userId);
+    entry.notifications.push(notification);
+    if (entry.notifications.length > this.maxHeldPerUser) {
+      entry.notifications.shift();
+      entry.dropped++;
+    }
+  }
+
+  /**
+   * Emit a "release" event for every user whose quiet hours are over
+   * @param {Date} [now] - Time to check against
+   * @returns {Promise<void>}
+   */
+  async releaseHeld(now = new Date(this.marketDataProvider.now())) {
+    for (const [userId, entry] of [...this.held.entries()]) {
+      const preferences = await this.getPreferences(userId);
+      if (preferences && this.isQuietTime(preferences, now)) {
+        continue;
+      }
+
+      this.held.delete(userId);
+      logger.info(
+        `Releasing ${entry.notifications.length} alerts held for user ${userId}`
+      );
+      this.emit("release", {
+        userId,
+        timezone: preferences?.timezone || null,
+        notifications: entry.notifications,
+        dropped: entry.dropped,
+      });
+    }
+  }
+
+  /**
+   * Get quiet-hours statistics
+   * @returns {Object} Statistics object
+   */
+  getStatistics() {
+    return {
+      cachedUsers: this.preferences.size,
+      usersWithHeldAlerts: this.held.size,
+      heldAlerts: [...this.held.values()].reduce(
+        (count, entry) => count + entry.notifications.length,
+        0
+      ),
+    };
+  }
+}
+
+QuietHoursService.PRIORITIES = PRIORITIES;
+QuietHoursService.QUIET_HOURS_ACTIONS = QUIET_HOURS_ACTIONS;
+QuietHoursService.WEEKDAYS = WEEKDAYS;
+
+module.exports = QuietHoursService;
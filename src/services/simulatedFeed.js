@@ -0,0 +1,240 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const MarketDataProvider = require("./marketDataProvider");
+
+/**
+ * Offline market data provider that generates trades locally.
+ *
+ * Each symbol either follows a random walk or plays back a scripted list of
+ * prices. Symbols that are not in the config file use the "default" entry.
+ * Trades are delivered through the same listener path as Finnhub trades.
+ */
+class SimulatedFeedService extends MarketDataProvider {
+  /**
+   * @param {Object} options - Feed options
+   * @param {string} [options.configFile] - Path to a JSON feed definition
+   * @param {Object} [options.feedConfig] - Feed definition, used instead of configFile
+   */
+  constructor(options = {}) {
+    super("simulated");
+    this.configFile = options.configFile;
+    this.feedConfig = options.feedConfig || null;
+    this.timer = null;
+    this.symbolStates = new Map(); // symbol -> { price, scriptIndex, done }
+    this.random = Math.random;
+  }
+
+  /**
+   * Load the feed definition and start generating trades
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    if (!this.feedConfig) {
+      this.feedConfig = this.loadConfig(this.configFile);
+    }
+
+    if (this.feedConfig.seed !== undefined) {
+      this.random = createSeededRandom(this.feedConfig.seed);
+    }
+
+    const intervalMs = this.feedConfig.intervalMs || 1000;
+    this.timer = setInterval(() => this.tick(), intervalMs);
+
+    logger.info(`Simulated market data feed started (every ${intervalMs}ms)`);
+    this.setConnected(true);
+
+    for (const symbol of this.priceListeners.keys()) {
+      this.subscribeToSymbol(symbol);
+    }
+  }
+
+  /**
+   * Read and parse a feed definition file
+   * @param {string} configFile - Path to the JSON file
+   * @returns {Object} Feed definition
+   */
+  loadConfig(configFile) {
+    if (!configFile) {
+      return { symbols: {} };
+    }
+
+    const resolvedPath = path.resolve(configFile);
+    try {
+      const feedConfig = JSON.parse(fs.readFileSync(resolvedPath, "utf8"));
+      logger.info(`Loaded simulated feed config from ${resolvedPath}`);
+      return { symbols: {}, ...feedConfig };
+    } catch (error) {
+      logger.error(
+        `Failed to load simulated feed config ${resolvedPath}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Stop generating trades
+   */
+  disconnect() {
+    if (this.timer) {
+      logger.info("Stopping simulated market data feed");
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    this.setConnected(false);
+    this.subscribedSymbols.clear();
+    this.priceListeners.clear();
+    this.symbolStates.clear();
+  }
+
+  /**
+   * Start generating trades for a symbol
+   * @param {string} symbol - Symbol to subscribe to
+   */
+  subscribeToSymbol(symbol) {
+    const formattedSymbol = symbol.toUpperCase();
+
+    if (!this.isConnected || this.subscribedSymbols.has(formattedSymbol)) {
+      return;
+    }
+
+    const definition = this.getSymbolDefinition(formattedSymbol);
+    this.symbolStates.set(formattedSymbol, {
+      price:
+        definition.mode === "scripted"
+          ? definition.prices[0]
+          : definition.startPrice || 100,
+      scriptIndex: 0,
+      done: false,
+    });
+
+    this.subscribedSymbols.add(formattedSymbol);
+    logger.info(`Simulating ${definition.mode} trades for ${formattedSymbol}`);
+  }
+
+  /**
+   * Stop generating trades for a symbol
+   * @param {string} symbol - Symbol to unsubscribe from
+   */
+  unsubscribeFromSymbol(symbol) {
+    const formattedSymbol = symbol.toUpperCase();
+    this.subscribedSymbols.delete(formattedSymbol);
+    this.symbolStates.delete(formattedSymbol);
+    logger.info(`Stopped simulating ${formattedSymbol}`);
+  }
+
+  /**
+   * Get the feed definition for a symbol
+   * @param {string} symbol - Symbol
+   * @returns {Object} Symbol definition with mode set
+   */
+  getSymbolDefinition(symbol) {
+    const definition = this.feedConfig.symbols[symbol] ||
+      this.feedConfig.default || { mode: "random_walk" };
+
+    if (definition.mode === "scripted") {
+      if (!Array.isArray(definition.prices) || definition.prices.length === 0) {
+        throw new Error(`Scripted feed for ${symbol} needs a prices array`);
+      }
+      return definition;
+    }
+
+    return { ...definition, mode: "random_walk" };
+  }
+
+  /**
+   * Generate one trade for every subscribed symbol
+   */
+  tick() {
+    const now = Date.now();
+    const trades = [];
+
+    for (const [symbol, state] of this.symbolStates.entries()) {
+      if (state.done) continue;
+
+      const definition = this.getSymbolDefinition(symbol);
+      const price = this.nextPrice(definition, state);
+      if (price === null) {
+        logger.info(`Scripted simulated feed for ${symbol} finished`);
+        continue;
+      }
+
+      trades.push({
+        s: symbol,
+        p: price,
+        t: now,
+        v: this.nextVolume(definition),
+      });
+    }
+
+    if (trades.length === 0) {
+      return;
+    }
+
+    // Same shape as a Finnhub trade message so monitoring looks identical
+    this.recordMessage({ type: "trade", data: trades });
+
+    for (const trade of trades) {
+      this.dispatchTrade(trade.s, trade.p, trade.t, trade.v);
+    }
+  }
+
+  /**
+   * Advance a symbol's price
+   * @param {Object} definition - Symbol definition
+   * @param {Object} state - Symbol state
+   * @returns {number|null} Next price, or null when a script has finished
+   */
+  nextPrice(definition, state) {
+    if (definition.mode === "scripted") {
+      const { prices, loop = true } = definition;
+
+      if (state.scriptIndex >= prices.length) {
+        if (!loop) {
+          state.done = true;
+          return null;
+        }
+        state.scriptIndex = 0;
+      }
+
+      state.price = prices[state.scriptIndex++];
+      return state.price;
+    }
+
+    // Random walk: move up to +/- volatility (fraction) per tick
+    const volatility = definition.volatility ?? 0.001;
+    const step = (this.random() * 2 - 1) * volatility;
+    state.price = parseFloat((state.price * (1 + step)).toFixed(6));
+    return state.price;
+  }
+
+  /**
+   * Pick a trade volume within the symbol's [min, max] range
+   * @param {Object} definition - Symbol definition
+   * @returns {number} Trade volume
+   */
+  nextVolume(definition) {
+    const [min, max] = definition.volume || [1, 100];
+    return parseFloat((min + this.random() * (max - min)).toFixed(4));
+  }
+}
+
+/**
+ * Create a deterministic random number generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = SimulatedFeedService;
@@ -0,0 +1,435 @@
+const axios = require("axios");
+const NotificationChannel = require("./notificationChannel");
+const {
+  getAlertColor,
+  describeAlert,
+  formatSummaryLine,
+} = require("../utils/notificationFormat");
+
+// Attachment color per alert direction or range crossing
+const ALERT_COLORS = {
+  above: "#00ff00", // Green
+  below: "#ff0000", // Red
+  either: "#ffa500", // Orange
+  trailing: "#ff4500", // Red-orange
+  exit: "#ffa500", // Orange
+  enter: "#0099ff", // Blue
+  other: "#808080", // Gray
+};
+
+class SlackService extends NotificationChannel {
+  constructor(webhookUrl) {
+    super("slack");
+    this.webhookUrl = webhookUrl;
+
+    if (!this.webhookUrl) {
+      throw new Error("Slack webhook URL is required");
+    }
+
+    // Rate limiting: Slack incoming webhooks allow 1 message per second
+    this.rateLimit = {
+      requests: 0,
+      resetTime: Date.now() + 1000, // Reset every second
+      maxRequests: 1,
+    };
+  }
+
+  /**
+   * Deliver an alert notification (NotificationChannel interface)
+   * @param {Object} notification - Alert notification data
+   */
+  async send(notification) {
+    await this.sendAlert(notification);
+  }
+
+  /**
+   * Send alert notification to Slack
+   * @param {Object} notification - Alert notification data
+   */
+  async sendAlert(notification) {
+    try {
+      await this.checkRateLimit();
+
+      const { title, color, blocks } = this.createAlertBlocks(notification);
+      const payload = {
+        text: title, // Shown in push notifications
+        attachments: [{ color, blocks }],
+      };
+
+      await this.sendWebhook(payload);
+      console.log(`Slack alert sent for ${notification.symbol}`);
+    } catch (error) {
+      console.error("Failed to send Slack alert:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create Block Kit blocks for alert notification
+   * @param {Object} notification - Notification data
+   * @returns {{title: string, color: string, blocks: Array<Object>}} Title, attachment color and blocks
+   */
+  createAlertBlocks(notification) {
+    const { title, description, fields, notes, prompt } = describeAlert(
+      notification,
+      {
+        bold: (text) => `*${text}*`,
+        escape: escapeText,
+        // Shown in each reader's own timezone
+        formatTime: (time) =>
+          formatSlackDate(time, "{date_long_pretty} {time}"),
+        separateNotes: true,
+      }
+    );
+    const color = getAlertColor(notification, ALERT_COLORS);
+
+    const blocks = [
+      {
+        type: "header",
+        text: { type: "plain_text", text: title, emoji: true },
+      },
+      {
+        type: "section",
+        text: { type: "mrkdwn", text: description },
+      },
+    ];
+
+    // Sections hold at most 10 fields
+    for (let i = 0; i < fields.length; i += 10) {
+      blocks.push({
+        type: "section",
+        fields: fields.slice(i, i + 10).map(({ name, value }) => ({
+          type: "mrkdwn",
+          text: `*${name}*\n${value}`,
+        })),
+      });
+    }
+
+    // Add notes if provided
+    if (notes) {
+      blocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*📝 Notes*\n${escapeText(notes)}`,
+        },
+      });
+    }
+
+    // Add AI prompt if provided
+    if (prompt) {
+      blocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*🤖 AI Context*\n${escapeText(prompt)}`,
+        },
+      });
+    }
+
+    blocks.push({
+      type: "context",
+      elements: [{ type: "mrkdwn", text: "Price Tracker Bot" }],
+    });
+
+    return { title, color, blocks };
+  }
+
+  /**
+   * Send the alerts held during a user's quiet hours as one message
+   * @param {Object} summary - Released alerts (userId, timezone, notifications, dropped)
+   */
+  async sendSummary(summary) {
+    try {
+      await this.checkRateLimit();
+
+      const payload = {
+        text: "🌙 Quiet Hours Summary",
+        blocks: this.createSummaryBlocks(summary),
+      };
+
+      await this.sendWebhook(payload);
+      console.log(`Slack quiet hours summary sent for ${summary.userId}`);
+    } catch (error) {
+      console.error("Failed to send Slack quiet hours summary:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create Block Kit blocks for alerts held during quiet hours
+   * @param {Object} summary - Released alerts
+   * @returns {Array<Object>} Blocks
+   */
+  createSummaryBlocks(summary) {
+    const { notifications, dropped } = summary;
+
+    // Keep the list well inside Slack's 3000 character section limit
+    const shown = notifications.slice(-20);
+    const notShown = notifications.length - shown.length + dropped;
+    const total = notifications.length + dropped;
+
+    return [
+      {
+        type: "header",
+        text: { type: "plain_text", text: "🌙 Quiet Hours Summary" },
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `${total} alert${
+            total === 1 ? "" : "s"
+          } triggered during your quiet hours${
+            notShown > 0 ? ` (${notShown} older not shown)` : ""
+          }.`,
+        },
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: shown
+            .map(
+              (notification) =>
+                `*${notification.symbol}* ${escapeText(
+                  formatSummaryLine(notification)
+                )} ${formatSlackDate(
+                  notification.timestamp,
+                  "{date_short_pretty} {time}"
+                )}`
+            )
+            .join("\n"),
+        },
+      },
+    ];
+  }
+
+  /**
+   * Send a test notification
+   * @param {string} symbol - Test symbol
+   * @returns {Promise<void>}
+   */
+  async sendTestAlert(symbol = "BTC") {
+    try {
+      const testNotification = {
+        symbol,
+        currentPrice: 45000.0,
+        targetPrice: 44000.0,
+        direction: "above",
+        timestamp: new Date(),
+        priceChange: {
+          change: 1000.0,
+          changePercent: 2.27,
+          previousPrice: 44000.0,
+        },
+        volume: 1234567,
+        alertType: "test",
+        notes: "This is a test alert to verify Slack integration",
+        prompt: "Test alert for system verification",
+      };
+
+      await this.sendAlert(testNotification);
+      console.log("Test Slack alert sent successfully");
+    } catch (error) {
+      console.error("Failed to send test Slack alert:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send system status notification
+   * @param {Object} status - System status data
+   */
+  async sendStatusNotification(status) {
+    try {
+      await this.checkRateLimit();
+
+      const fields = [
+        ["🔄 Status", status.isRunning ? "✅ Running" : "❌ Stopped"],
+        ["📊 Active Symbols", status.activeSymbols.length.toString()],
+        ["🔔 Total Alerts", status.totalAlerts.toString()],
+        [
+          "🌐 Finnhub Connection",
+          status.finnhubConnectionStatus ? "✅ Connected" : "❌ Disconnected",
+        ],
+      ];
+
+      const payload = {
+        text: "🤖 Price Tracker Status",
+        attachments: [
+          {
+            color: status.isRunning ? "#00ff00" : "#ff0000",
+            blocks: [
+              {
+                type: "header",
+                text: {
+                  type: "plain_text",
+                  text: "🤖 Price Tracker Status",
+                  emoji: true,
+                },
+              },
+              {
+                type: "section",
+                fields: fields.map(([name, value]) => ({
+                  type: "mrkdwn",
+                  text: `*${name}*\n${value}`,
+                })),
+              },
+              {
+                type: "context",
+                elements: [
+                  {
+                    type: "mrkdwn",
+                    text: `Price Tracker Bot Status · ${formatSlackDate(
+                      new Date(),
+                      "{date_short_pretty} {time}"
+                    )}`,
+                  },
+                ],
+              },
+            ],
+          },
+        ],
+      };
+
+      await this.sendWebhook(payload);
+      console.log("Slack status notification sent");
+    } catch (error) {
+      console.error("Failed to send Slack status notification:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send webhook request to Slack
+   * @param {Object} payload - Webhook payload
+   */
+  async sendWebhook(payload) {
+    try {
+      const response = await axios.post(this.webhookUrl, payload, {
+        headers: {
+          "Content-Type": "application/json",
+        },
+        timeout: 10000, // 10 second timeout
+      });
+
+      // Slack answers "ok" on success
+      if (response.status !== 200) {
+        throw new Error(`Slack webhook returned status ${response.status}`);
+      }
+    } catch (error) {
+      if (error.response) {
+        // Slack explains rejected payloads in the body, e.g. invalid_blocks
+        console.error(
+          `Slack webhook error: ${error.response.status} - ${error.response.data}`
+        );
+      } else if (error.request) {
+        console.error("Slack webhook request failed - no response received");
+      } else {
+        console.error(`Slack webhook error: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Wait for a free rate limit slot and take it. The slot is taken before
+   * the request is sent, so concurrent sends cannot all pass the check.
+   */
+  async checkRateLimit() {
+    for (;;) {
+      const now = Date.now();
+
+      // Reset rate limit counter if a second has passed
+      if (now >= this.rateLimit.resetTime) {
+        this.rateLimit.requests = 0;
+        this.rateLimit.resetTime = now + 1000;
+      }
+
+      if (this.rateLimit.requests < this.rateLimit.maxRequests) {
+        this.rateLimit.requests++;
+        return;
+      }
+
+      const waitTime = this.rateLimit.resetTime - now;
+      console.warn(
+        `Slack rate limit reached. Waiting ${waitTime}ms before sending message`
+      );
+      await new Promise((resolve) => setTimeout(resolve, waitTime));
+    }
+  }
+
+  /**
+   * Send a test message (NotificationChannel interface)
+   * @returns {Promise<boolean>} Whether the test message was delivered
+   */
+  async test() {
+    return this.testWebhook();
+  }
+
+  /**
+   * Test webhook connectivity
+   * @returns {Promise<boolean>} Whether webhook is accessible
+   */
+  async testWebhook() {
+    try {
+      await this.checkRateLimit();
+
+      const testPayload = {
+        text: "🧪 Slack webhook test - connection successful!",
+        blocks: [
+          {
+            type: "header",
+            text: {
+              type: "plain_text",
+              text: "✅ Webhook Test",
+              emoji: true,
+            },
+          },
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text: "This is a test message to verify Slack webhook connectivity.",
+            },
+          },
+        ],
+      };
+
+      await this.sendWebhook(testPayload);
+      return true;
+    } catch (error) {
+      console.error("Slack webhook test failed:", error);
+      return false;
+    }
+  }
+}
+
+/**
+ * Escape the characters Slack treats as markup in mrkdwn text
+ * @param {string} text - User-provided text
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Format a time with Slack's date token, which shows it in the reader's
+ * timezone
+ * @param {Date} time - Time to show
+ * @param {string} format - Slack date format, e.g. "{date_short_pretty} {time}"
+ * @returns {string} Date token with an ISO 8601 fallback
+ */
+function formatSlackDate(time, format) {
+  const date = new Date(time);
+  return `<!date^${Math.floor(
+    date.getTime() / 1000
+  )}^${format}|${date.toISOString()}>`;
+}
+
+module.exports = SlackService;
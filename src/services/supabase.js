@@ -92,6 +92,161 @@ class SupabaseService {
     }
   }
 
+  /**
+   * Update alert's armed flag for re-arm band alerts
+   * @param {string} alertId - Alert ID
+   * @param {boolean} armed - Whether the alert can fire again
+   * @returns {Promise<void>}
+   */
+  async updateAlertArmState(alertId, armed) {
+    try {
+      const { error } = await this.supabase
+        .from("price_alerts")
+        .update({ armed })
+        .eq("id", alertId);
+
+      if (error) {
+        logger.error(`Error updating alert ${alertId} arm state:`, error);
+        throw error;
+      }
+
+      logger.debug(`Alert ${alertId} ${armed ? "armed" : "disarmed"}`);
+    } catch (error) {
+      logger.error(`Failed to update alert ${alertId} arm state:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a trailing-stop alert's running high-water mark
+   * @param {string} alertId - Alert ID
+   * @param {number|null} highWaterMark - Highest price since arming (lowest for shorts)
+   * @returns {Promise<void>}
+   */
+  async updateAlertHighWaterMark(alertId, highWaterMark) {
+    try {
+      const { error } = await this.supabase
+        .from("price_alerts")
+        .update({ high_water_mark: highWaterMark })
+        .eq("id", alertId);
+
+      if (error) {
+        logger.error(`Error updating alert ${alertId} high-water mark:`, error);
+        throw error;
+      }
+
+      logger.debug(`Alert ${alertId} high-water mark now ${highWaterMark}`);
+    } catch (error) {
+      logger.error(`Failed to update alert ${alertId} high-water mark:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record an alert trigger in the alert_events table
+   * @param {Object} eventData - Trigger details and delivery results
+   * @returns {Promise<Object>} Created event
+   */
+  async createAlertEvent(eventData) {
+    try {
+      const { data, error } = await this.supabase
+        .from("alert_events")
+        .insert([
+          {
+            ...eventData,
+            created_at: new Date().toISOString(),
+          },
+        ])
+        .select()
+        .single();
+
+      if (error) {
+        logger.error(
+          `Error recording event for alert ${eventData.alert_id}:`,
+          error
+        );
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error(
+        `Failed to record event for alert ${eventData.alert_id}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Get alert trigger history for a user
+   * @param {string} userId - User ID
+   * @param {Object} options - Query options
+   * @param {string} [options.alertId] - Only events for this alert
+   * @param {string} [options.from] - Earliest triggered_at (inclusive)
+   * @param {string} [options.to] - Latest triggered_at (inclusive)
+   * @param {number} [options.limit=50] - Page size
+   * @param {number} [options.offset=0] - Number of events to skip
+   * @returns {Promise<{events: Array, total: number}>} Page of events and total count
+   */
+  async getAlertEvents(userId, options = {}) {
+    const { alertId, from, to, limit = 50, offset = 0 } = options;
+
+    try {
+      let query = this.supabase
+        .from("alert_events")
+        .select("*", { count: "exact" })
+        .eq("user_id", userId);
+
+      if (alertId) query = query.eq("alert_id", alertId);
+      if (from) query = query.gte("triggered_at", from);
+      if (to) query = query.lte("triggered_at", to);
+
+      const { data, error, count } = await query
+        .order("triggered_at", { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        logger.error(`Error fetching alert events for user ${userId}:`, error);
+        throw error;
+      }
+
+      return { events: data || [], total: count || 0 };
+    } catch (error) {
+      logger.error(`Failed to get alert events for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every user's alert triggers in a period
+   * @param {string} from - Earliest triggered_at (inclusive)
+   * @param {string} to - Latest triggered_at (exclusive)
+   * @param {number} [limit=1000] - Most events returned, the oldest first
+   * @returns {Promise<Array>} Events, oldest first
+   */
+  async getAlertEventsBetween(from, to, limit = 1000) {
+    try {
+      const { data, error } = await this.supabase
+        .from("alert_events")
+        .select("*")
+        .gte("triggered_at", from)
+        .lt("triggered_at", to)
+        .order("triggered_at", { ascending: true })
+        .limit(limit);
+
+      if (error) {
+        logger.error(`Error fetching alert events from ${from}:`, error);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error(`Failed to get alert events from ${from}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Create a new alert
    * @param {Object} alertData - Alert data
@@ -204,6 +359,71 @@ class SupabaseService {
     }
   }
 
+  /**
+   * Store closed OHLCV candles, replacing any with the same open time
+   * @param {Array<Object>} candles - Candle rows
+   * @returns {Promise<void>}
+   */
+  async saveCandles(candles) {
+    try {
+      const { error } = await this.supabase
+        .from("price_candles")
+        .upsert(candles, { onConflict: "symbol,interval,open_time" });
+
+      if (error) {
+        logger.error(`Error saving ${candles.length} candles:`, error);
+        throw error;
+      }
+    } catch (error) {
+      logger.error(`Failed to save ${candles.length} candles:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get stored candles for a symbol, oldest first
+   * @param {string} symbol - Asset symbol
+   * @param {string} interval - Candle interval (1m, 5m, 1h)
+   * @param {Object} options - Query options
+   * @param {string} [options.from] - Earliest open_time (inclusive)
+   * @param {string} [options.to] - Latest open_time (inclusive)
+   * @param {number} [options.limit=500] - Maximum number of candles
+   * @param {boolean} [options.latest=false] - Take the newest candles instead of the oldest
+   * @returns {Promise<Array>} Array of candles, oldest first
+   */
+  async getCandles(symbol, interval, options = {}) {
+    const { from, to, limit = 500, latest = false } = options;
+
+    try {
+      let query = this.supabase
+        .from("price_candles")
+        .select("*")
+        .eq("symbol", symbol.toUpperCase())
+        .eq("interval", interval);
+
+      if (from) query = query.gte("open_time", from);
+      if (to) query = query.lte("open_time", to);
+
+      const { data, error } = await query
+        .order("open_time", { ascending: !latest })
+        .limit(limit);
+
+      if (error) {
+        logger.error(
+          `Error fetching ${interval} candles for ${symbol}:`,
+          error
+        );
+        throw error;
+      }
+
+      const candles = data || [];
+      return latest ? candles.reverse() : candles;
+    } catch (error) {
+      logger.error(`Failed to get ${interval} candles for ${symbol}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get unique symbols from all active alerts
    * @returns {Promise<Array<string>>} Array of unique symbols
@@ -230,6 +450,412 @@ class SupabaseService {
       throw error;
     }
   }
+
+  /**
+   * Get a user's notification preferences
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Preferences, or null if the user has none
+   */
+  async getUserPreferences(userId) {
+    try {
+      const { data, error } = await this.supabase
+        .from("user_preferences")
+        .select("*")
+        .eq("user_id", userId)
+        .maybeSingle();
+
+      if (error) {
+        logger.error(`Error fetching preferences for user ${userId}:`, error);
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error(`Failed to get preferences for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update a user's notification preferences
+   * @param {string} userId - User ID
+   * @param {Object} preferences - Fields to set
+   * @returns {Promise<Object>} Stored preferences
+   */
+  async upsertUserPreferences(userId, preferences) {
+    try {
+      const { data, error } = await this.supabase
+        .from("user_preferences")
+        .upsert(
+          {
+            ...preferences,
+            user_id: userId,
+            updated_at: new Date().toISOString(),
+          },
+          { onConflict: "user_id" }
+        )
+        .select()
+        .single();
+
+      if (error) {
+        logger.error(`Error saving preferences for user ${userId}:`, error);
+        throw error;
+      }
+
+      logger.info(`Preferences saved for user ${userId}`);
+      return data;
+    } catch (error) {
+      logger.error(`Failed to save preferences for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a user's notification preferences
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteUserPreferences(userId) {
+    try {
+      const { error } = await this.supabase
+        .from("user_preferences")
+        .delete()
+        .eq("user_id", userId);
+
+      if (error) {
+        logger.error(`Error deleting preferences for user ${userId}:`, error);
+        throw error;
+      }
+
+      logger.info(`Preferences deleted for user ${userId}`);
+    } catch (error) {
+      logger.error(`Failed to delete preferences for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's notification destinations
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Array of the user's destinations
+   */
+  async getNotificationDestinations(userId) {
+    try {
+      const { data, error } = await this.supabase
+        .from("notification_destinations")
+        .select("*")
+        .eq("user_id", userId)
+        .order("created_at", { ascending: true });
+
+      if (error) {
+        logger.error(`Error fetching destinations for user ${userId}:`, error);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error(`Failed to get destinations for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a notification destination
+   * @param {Object} destinationData - Destination data
+   * @returns {Promise<Object>} Created destination
+   */
+  async createNotificationDestination(destinationData) {
+    try {
+      const { data, error } = await this.supabase
+        .from("notification_destinations")
+        .insert([
+          {
+            ...destinationData,
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString(),
+          },
+        ])
+        .select()
+        .single();
+
+      if (error) {
+        logger.error("Error creating notification destination:", error);
+        throw error;
+      }
+
+      logger.info(`Notification destination created with ID: ${data.id}`);
+      return data;
+    } catch (error) {
+      logger.error("Failed to create notification destination:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a notification destination
+   * @param {string} destinationId - Destination ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object>} Updated destination
+   */
+  async updateNotificationDestination(destinationId, updateData) {
+    try {
+      const { data, error } = await this.supabase
+        .from("notification_destinations")
+        .update({
+          ...updateData,
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", destinationId)
+        .select()
+        .single();
+
+      if (error) {
+        logger.error(`Error updating destination ${destinationId}:`, error);
+        throw error;
+      }
+
+      logger.info(`Destination ${destinationId} updated successfully`);
+      return data;
+    } catch (error) {
+      logger.error(`Failed to update destination ${destinationId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a notification destination
+   * @param {string} destinationId - Destination ID
+   * @returns {Promise<void>}
+   */
+  async deleteNotificationDestination(destinationId) {
+    try {
+      const { error } = await this.supabase
+        .from("notification_destinations")
+        .delete()
+        .eq("id", destinationId);
+
+      if (error) {
+        logger.error(`Error deleting destination ${destinationId}:`, error);
+        throw error;
+      }
+
+      logger.info(`Destination ${destinationId} deleted successfully`);
+    } catch (error) {
+      logger.error(`Failed to delete destination ${destinationId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add messages to the notification outbox
+   * @param {Array<Object>} messages - One message per channel
+   * @returns {Promise<Array>} Created messages
+   */
+  async createOutboxMessages(messages) {
+    try {
+      const now = new Date().toISOString();
+      const { data, error } = await this.supabase
+        .from("notification_outbox")
+        .insert(
+          messages.map((message) => ({
+            ...message,
+            created_at: now,
+            updated_at: now,
+          }))
+        )
+        .select();
+
+      if (error) {
+        logger.error("Error adding messages to the outbox:", error);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error("Failed to add messages to the outbox:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an outbox message
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object|null>} Message, or null if it does not exist
+   */
+  async getOutboxMessage(messageId) {
+    try {
+      const { data, error } = await this.supabase
+        .from("notification_outbox")
+        .select("*")
+        .eq("id", messageId)
+        .maybeSingle();
+
+      if (error) {
+        logger.error(`Error fetching outbox message ${messageId}:`, error);
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error(`Failed to get outbox message ${messageId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get pending outbox messages whose next attempt is due, and claimed
+   * messages whose lease has run out
+   * @param {string} now - Current time
+   * @param {number} limit - Most messages returned
+   * @returns {Promise<Array>} Messages, longest overdue first
+   */
+  async getDueOutboxMessages(now, limit) {
+    try {
+      const { data, error } = await this.supabase
+        .from("notification_outbox")
+        .select("*")
+        .in("status", ["pending", "sending"])
+        .lte("next_attempt_at", now)
+        .order("next_attempt_at", { ascending: true })
+        .limit(limit);
+
+      if (error) {
+        logger.error("Error fetching due outbox messages:", error);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error("Failed to get due outbox messages:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim an outbox message for one delivery attempt. The update only
+   * applies while the message is still in one of the given statuses (and
+   * due), so of several concurrent claims exactly one succeeds.
+   * @param {string} messageId - Message ID
+   * @param {Object} claim - Claim conditions
+   * @param {Array<string>} claim.statuses - Statuses the message may be claimed from
+   * @param {string} [claim.dueBy] - Only claim if next_attempt_at is at or before this time
+   * @param {string} claim.leaseUntil - When the claim runs out
+   * @returns {Promise<Object|null>} Claimed message, or null if it was not claimable
+   */
+  async claimOutboxMessage(messageId, { statuses, dueBy, leaseUntil }) {
+    try {
+      let query = this.supabase
+        .from("notification_outbox")
+        .update({
+          status: "sending",
+          next_attempt_at: leaseUntil,
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", messageId)
+        .in("status", statuses);
+
+      if (dueBy) query = query.lte("next_attempt_at", dueBy);
+
+      const { data, error } = await query.select().maybeSingle();
+
+      if (error) {
+        logger.error(`Error claiming outbox message ${messageId}:`, error);
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error(`Failed to claim outbox message ${messageId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the dead-letter list
+   * @param {Object} options - Query options
+   * @param {string} [options.channel] - Only messages for this channel
+   * @param {number} [options.limit=50] - Page size
+   * @param {number} [options.offset=0] - Number of messages to skip
+   * @returns {Promise<{messages: Array, total: number}>} Page of messages, most recently failed first, and total count
+   */
+  async getDeadOutboxMessages(options = {}) {
+    const { channel, limit = 50, offset = 0 } = options;
+
+    try {
+      let query = this.supabase
+        .from("notification_outbox")
+        .select("*", { count: "exact" })
+        .eq("status", "dead");
+
+      if (channel) query = query.eq("channel", channel);
+
+      const { data, error, count } = await query
+        .order("updated_at", { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        logger.error("Error fetching dead-letter messages:", error);
+        throw error;
+      }
+
+      return { messages: data || [], total: count || 0 };
+    } catch (error) {
+      logger.error("Failed to get dead-letter messages:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an outbox message
+   * @param {string} messageId - Message ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object>} Updated message
+   */
+  async updateOutboxMessage(messageId, updateData) {
+    try {
+      const { data, error } = await this.supabase
+        .from("notification_outbox")
+        .update({
+          ...updateData,
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", messageId)
+        .select()
+        .single();
+
+      if (error) {
+        logger.error(`Error updating outbox message ${messageId}:`, error);
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error(`Failed to update outbox message ${messageId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove delivered messages from the outbox
+   * @param {Array<string>} messageIds - Message IDs
+   * @returns {Promise<void>}
+   */
+  async deleteOutboxMessages(messageIds) {
+    try {
+      const { error } = await this.supabase
+        .from("notification_outbox")
+        .delete()
+        .in("id", messageIds);
+
+      if (error) {
+        logger.error("Error removing delivered outbox messages:", error);
+        throw error;
+      }
+    } catch (error) {
+      logger.error("Failed to remove delivered outbox messages:", error);
+      throw error;
+    }
+  }
 }
 
 module.exports = SupabaseService;
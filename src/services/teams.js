@@ -1,7 +1,19 @@
 const axios = require("axios");
-
-class TeamsService {
+const NotificationChannel = require("./notificationChannel");
+const {
+  formatReferenceType,
+  formatActivityValue,
+  formatRuleLeg,
+  formatDerivedValue,
+  formatDerivedLeg,
+  formatTrail,
+  formatRangeCrossing,
+  formatSummaryLine,
+} = require("../utils/notificationFormat");
+
+class TeamsService extends NotificationChannel {
   constructor(webhookUrl) {
+    super("teams");
     this.webhookUrl = webhookUrl;
 
     if (!this.webhookUrl) {
@@ -17,6 +29,14 @@ class TeamsService {
     };
   }
 
+  /**
+   * Deliver an alert notification (NotificationChannel interface)
+   * @param {Object} notification - Alert notification data
+   */
+  async send(notification) {
+    await this.sendAlert(notification);
+  }
+
   /**
    * Send alert notification to Microsoft Teams
    * @param {Object} notification - Alert notification data
@@ -61,8 +81,28 @@ class TeamsService {
       alertType,
       notes,
       prompt,
+      timezone,
+      referencePrice,
+      referenceType,
+      percentThreshold,
+      percentMove,
+      indicator,
+      activity,
+      rule,
+      derived,
+      trailing,
+      range,
     } = notification;
 
+    const isPercentMove =
+      referencePrice !== undefined && referencePrice !== null;
+    const isIndicator = !!indicator;
+    const isActivity = !!activity;
+    const isCompound = !!rule;
+    const isDerived = !!derived;
+    const isTrailing = !!trailing;
+    const isRange = !!range;
+
     // Determine color and icon based on direction
     let color, icon, directionText;
     switch (direction) {
@@ -76,6 +116,11 @@ class TeamsService {
         icon = "📉";
         directionText = "Below Target";
         break;
+      case "trailing":
+        color = "warning"; // Orange
+        icon = "🛑";
+        directionText = "Trailing Stop Hit";
+        break;
       case "either":
         color = "accent"; // Blue
         icon = "🔄";
@@ -89,10 +134,158 @@ class TeamsService {
         directionText = "Alert Triggered";
     }
 
+    if (isPercentMove) {
+      directionText = `Moved ${
+        percentMove >= 0 ? "+" : ""
+      }${percentMove}% from ${formatReferenceType(referenceType)}`;
+    }
+
+    if (isIndicator) {
+      directionText = `${indicator.label} condition met (${indicator.interval})`;
+    }
+
+    if (isActivity) {
+      directionText = `${activity.label} (${activity.windowMinutes}m window)`;
+    }
+
+    if (isDerived) {
+      directionText = `${
+        derived.conditionType === "ratio" ? "Ratio" : "Spread"
+      } ${directionText.toLowerCase()}`;
+    }
+
+    if (isCompound) {
+      icon = "🧩";
+      directionText = "Rule matched";
+    }
+
+    if (isRange) {
+      color = range.event === "exit" ? "warning" : "accent";
+      icon = "↔️";
+      directionText = `${
+        range.event === "exit" ? "Left range" : "Entered range"
+      } through the ${range.boundary} boundary`;
+    }
+
     // Create title based on direction
-    const title = `${icon} Price Alert: ${symbol}`;
+    const title = isCompound
+      ? `${icon} Rule Alert: ${symbol}`
+      : isRange
+      ? `${icon} Range Alert: ${symbol}`
+      : isDerived
+      ? `${icon} ${
+          derived.conditionType === "ratio" ? "Ratio" : "Spread"
+        } Alert: ${symbol}`
+      : `${icon} Price Alert: ${symbol}`;
     const subtitle = directionText;
 
+    // Percent-move and non-price alerts replace the target with their own
+    // facts
+    const thresholdFacts = isCompound
+      ? [
+          { title: "🧩 Rule:", value: rule.expression },
+          ...rule.legs.map((leg) => ({
+            title: `${leg.met ? "✅" : "❌"} ${leg.symbol}:`,
+            value: formatRuleLeg(leg),
+          })),
+        ]
+      : isRange
+      ? [
+          {
+            title: "↔️ Range:",
+            value: `$${range.lower.toFixed(2)} - $${range.upper.toFixed(2)}`,
+          },
+          {
+            title: range.event === "exit" ? "🚪 Exited:" : "🚪 Entered:",
+            value: formatRangeCrossing(range),
+          },
+        ]
+      : isTrailing
+      ? [
+          {
+            title: "🛑 Stop Level:",
+            value: `$${trailing.stop.toFixed(2)}`,
+          },
+          {
+            title:
+              trailing.side === "short"
+                ? "📉 Low-Water Mark:"
+                : "📈 High-Water Mark:",
+            value: `$${trailing.mark.toFixed(2)}`,
+          },
+          {
+            title: "📏 Trail:",
+            value: formatTrail(trailing),
+          },
+        ]
+      : isDerived
+      ? [
+          {
+            title: "🎯 Target:",
+            value: formatDerivedValue(targetPrice),
+          },
+          ...derived.legs.map((leg) => ({
+            title: `📊 ${leg.symbol}:`,
+            value: formatDerivedLeg(leg),
+          })),
+        ]
+      : isActivity
+      ? [
+          {
+            title:
+              activity.metric === "volume"
+                ? "📦 Window Volume:"
+                : "🔢 Window Trades:",
+            value: `${formatActivityValue(activity.current)} (${
+              activity.windowMinutes
+            }m)`,
+          },
+          {
+            title: "📉 Trailing Average:",
+            value: `${formatActivityValue(activity.average)} (${
+              activity.baselineWindows
+            } windows)`,
+          },
+          {
+            title: "🚀 Spike:",
+            value: `${
+              activity.ratio === null ? "n/a" : `${activity.ratio.toFixed(2)}x`
+            } / ${activity.multiplier}x`,
+          },
+        ]
+      : isIndicator
+      ? [
+          {
+            title: "📐 Indicator:",
+            value: `${indicator.label} (${indicator.interval})`,
+          },
+          {
+            title: "📏 Indicator Values:",
+            value: indicator.summary,
+          },
+        ]
+      : isPercentMove
+      ? [
+          {
+            title: "📍 Reference Price:",
+            value: `$${referencePrice.toFixed(2)} (${formatReferenceType(
+              referenceType
+            )})`,
+          },
+          {
+            title: "📐 Percent Move:",
+            value: `${percentMove >= 0 ? "+" : ""}${percentMove}% / ${
+              direction === "below" ? "-" : direction === "above" ? "+" : "±"
+            }${percentThreshold}%`,
+          },
+        ]
+      : [
+          {
+            title: "🎯 Target Price:",
+            value: `$${targetPrice.toFixed(2)}`,
+          },
+        ];
+
     // Build the adaptive card
     const card = {
       $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
@@ -122,20 +315,35 @@ class TeamsService {
         },
         {
           type: "FactSet",
-          facts: [
-            {
-              title: "💰 Current Price:",
-              value: `$${currentPrice.toFixed(2)}`,
-            },
-            {
-              title: "🎯 Target Price:",
-              value: `$${targetPrice.toFixed(2)}`,
-            },
-            {
-              title: "📊 Direction:",
-              value: direction.charAt(0).toUpperCase() + direction.slice(1),
-            },
-          ],
+          // Compound alerts have no single price or direction
+          facts: isCompound
+            ? thresholdFacts
+            : [
+                isDerived
+                  ? {
+                      title:
+                        derived.conditionType === "ratio"
+                          ? "📐 Ratio:"
+                          : "📐 Spread:",
+                      value: formatDerivedValue(derived.value),
+                    }
+                  : {
+                      title: "💰 Current Price:",
+                      value: `$${currentPrice.toFixed(2)}`,
+                    },
+                ...thresholdFacts,
+                // Range alerts describe their crossing instead
+                ...(isRange
+                  ? []
+                  : [
+                      {
+                        title: "📊 Direction:",
+                        value:
+                          direction.charAt(0).toUpperCase() +
+                          direction.slice(1),
+                      },
+                    ]),
+              ],
         },
       ],
     };
@@ -171,8 +379,8 @@ class TeamsService {
       });
     }
 
-    // Add timestamp
-    const formattedTime = new Date(timestamp).toLocaleString();
+    // Add timestamp, in the user's timezone when known
+    const formattedTime = formatTime(timestamp, timezone);
     card.body[1].facts.push({
       title: "⏰ Time:",
       value: formattedTime,
@@ -299,6 +507,85 @@ class TeamsService {
     }
   }
 
+  /**
+   * Send the alerts held during a user's quiet hours as one card
+   * @param {Object} summary - Released alerts (userId, timezone, notifications, dropped)
+   */
+  async sendSummary(summary) {
+    try {
+      await this.checkRateLimit();
+
+      const payload = {
+        type: "message",
+        attachments: [
+          {
+            contentType: "application/vnd.microsoft.card.adaptive",
+            content: this.createSummaryCard(summary),
+          },
+        ],
+      };
+
+      await this.sendWebhook(payload);
+      console.log(`Teams quiet hours summary sent for ${summary.userId}`);
+    } catch (error) {
+      console.error("Failed to send Teams quiet hours summary:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create Adaptive Card for alerts held during quiet hours
+   * @param {Object} summary - Released alerts
+   * @returns {Object} Adaptive Card object
+   */
+  createSummaryCard(summary) {
+    const { notifications, dropped, timezone } = summary;
+    const total = notifications.length + dropped;
+
+    return {
+      $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+      type: "AdaptiveCard",
+      version: "1.4",
+      body: [
+        {
+          type: "Container",
+          style: "accent",
+          items: [
+            {
+              type: "TextBlock",
+              text: "🌙 Quiet Hours Summary",
+              weight: "Bolder",
+              size: "Large",
+              wrap: true,
+            },
+            {
+              type: "TextBlock",
+              text: `${total} alert${
+                total === 1 ? "" : "s"
+              } triggered during your quiet hours${
+                dropped > 0 ? ` (${dropped} older not shown)` : ""
+              }`,
+              weight: "Lighter",
+              size: "Medium",
+              spacing: "None",
+              wrap: true,
+            },
+          ],
+        },
+        {
+          type: "FactSet",
+          facts: notifications.map((notification) => ({
+            title: `${notification.symbol}:`,
+            value: `${formatSummaryLine(notification)} (${formatTime(
+              notification.timestamp,
+              timezone
+            )})`,
+          })),
+        },
+      ],
+    };
+  }
+
   /**
    * Send status notification to Teams
    * @param {Object} status - Status information
@@ -444,6 +731,14 @@ class TeamsService {
     this.rateLimit.requests++;
   }
 
+  /**
+   * Send a test message (NotificationChannel interface)
+   * @returns {Promise<boolean>} Whether the test message was delivered
+   */
+  async test() {
+    return this.testWebhook();
+  }
+
   /**
    * Test webhook connectivity
    * @returns {Promise<boolean>} Whether webhook is accessible
@@ -502,4 +797,19 @@ class TeamsService {
   }
 }
 
+/**
+ * Format a time for display, in a user's timezone when known
+ * @param {Date|string} time - Time to format
+ * @param {string|null} [timezone] - IANA timezone
+ * @returns {string} Localized date and time
+ */
+function formatTime(time, timezone) {
+  return timezone
+    ? new Date(time).toLocaleString(undefined, {
+        timeZone: timezone,
+        timeZoneName: "short",
+      })
+    : new Date(time).toLocaleString();
+}
+
 module.exports = TeamsService;
@@ -0,0 +1,338 @@
+const axios = require("axios");
+const NotificationChannel = require("./notificationChannel");
+const {
+  describeAlert,
+  formatSummaryLine,
+} = require("../utils/notificationFormat");
+
+class TelegramService extends NotificationChannel {
+  /**
+   * @param {string} botToken - Bot API token
+   * @param {Array<string>} chatIds - Chats to send to (IDs or @channel names)
+   * @param {Object} [options] - Telegram options
+   * @param {string} [options.apiUrl] - Bot API base URL, e.g. a local stub
+   */
+  constructor(botToken, chatIds, options = {}) {
+    super("telegram");
+    this.botToken = botToken;
+    this.chatIds = chatIds || [];
+    this.apiUrl = (options.apiUrl || "https://api.telegram.org").replace(
+      /\/+$/,
+      ""
+    );
+
+    if (!this.botToken) {
+      throw new Error("Telegram bot token is required");
+    }
+
+    if (this.chatIds.length === 0) {
+      throw new Error("At least one Telegram chat ID is required");
+    }
+
+    // Shared with every service using the same bot, so destinations that
+    // share the bot cannot exceed the limit together
+    this.rateLimit = getRateLimit(this.botToken);
+  }
+
+  /**
+   * Deliver an alert notification (NotificationChannel interface)
+   * @param {Object} notification - Alert notification data
+   */
+  async send(notification) {
+    await this.sendAlert(notification);
+  }
+
+  /**
+   * Send alert notification to Telegram
+   * @param {Object} notification - Alert notification data
+   */
+  async sendAlert(notification) {
+    try {
+      await this.sendMessage(this.createAlertMessage(notification));
+      console.log(`Telegram alert sent for ${notification.symbol}`);
+    } catch (error) {
+      console.error("Failed to send Telegram alert:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a MarkdownV2 message for an alert
+   * @param {Object} notification - Notification data
+   * @returns {string} Message text
+   */
+  createAlertMessage(notification) {
+    const { title, description, fields } = describeAlert(notification, {
+      formatTime,
+    });
+
+    return renderMessage({ title, description, fields });
+  }
+
+  /**
+   * Send the alerts held during a user's quiet hours as one message
+   * @param {Object} summary - Released alerts (userId, timezone, notifications, dropped)
+   */
+  async sendSummary(summary) {
+    try {
+      const { notifications, dropped, timezone } = summary;
+
+      // Keep the list well inside Telegram's 4096 character message limit
+      const shown = notifications.slice(-20);
+      const notShown = notifications.length - shown.length + dropped;
+      const total = notifications.length + dropped;
+
+      await this.sendMessage(
+        renderMessage({
+          title: "🌙 Quiet Hours Summary",
+          description: `${total} alert${
+            total === 1 ? "" : "s"
+          } triggered during your quiet hours${
+            notShown > 0 ? ` (${notShown} older not shown)` : ""
+          }.`,
+          fields: shown.map((notification) => ({
+            name: notification.symbol,
+            value: `${formatSummaryLine(notification)} (${formatTime(
+              notification.timestamp,
+              timezone
+            )})`,
+          })),
+        })
+      );
+      console.log(`Telegram quiet hours summary sent for ${summary.userId}`);
+    } catch (error) {
+      console.error(
+        "Failed to send Telegram quiet hours summary:",
+        error.message
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Send system status notification
+   * @param {Object} status - System status data
+   */
+  async sendStatusNotification(status) {
+    try {
+      await this.sendMessage(
+        renderMessage({
+          title: "🤖 Price Tracker Status",
+          description: "System status update",
+          fields: [
+            {
+              name: "🔄 Status",
+              value: status.isRunning ? "✅ Running" : "❌ Stopped",
+            },
+            {
+              name: "📊 Active Symbols",
+              value: status.activeSymbols.length.toString(),
+            },
+            {
+              name: "🔔 Total Alerts",
+              value: status.totalAlerts.toString(),
+            },
+            {
+              name: "🌐 Finnhub Connection",
+              value: status.finnhubConnectionStatus
+                ? "✅ Connected"
+                : "❌ Disconnected",
+            },
+          ],
+        })
+      );
+      console.log("Telegram status notification sent");
+    } catch (error) {
+      console.error(
+        "Failed to send Telegram status notification:",
+        error.message
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Send a MarkdownV2 message to every chat
+   * @param {string} text - Message text
+   */
+  async sendMessage(text) {
+    for (const chatId of this.chatIds) {
+      await this.checkRateLimit();
+      await this.callApi("sendMessage", {
+        chat_id: chatId,
+        text,
+        parse_mode: "MarkdownV2",
+        disable_web_page_preview: true,
+      });
+    }
+  }
+
+  /**
+   * Call a Bot API method. Errors never include the request URL, which
+   * contains the bot token.
+   * @param {string} method - Bot API method
+   * @param {Object} params - Method parameters
+   * @param {boolean} [retry=true] - Retry once when Telegram asks to slow down
+   * @returns {Promise<Object>} Method result
+   */
+  async callApi(method, params, retry = true) {
+    let response;
+    try {
+      response = await axios.post(
+        `${this.apiUrl}/bot${this.botToken}/${method}`,
+        params,
+        {
+          headers: {
+            "Content-Type": "application/json",
+          },
+          timeout: 10000, // 10 second timeout
+        }
+      );
+    } catch (error) {
+      const data = error.response?.data;
+
+      // Flood control: wait as long as Telegram asks and try once more
+      if (error.response?.status === 429 && retry) {
+        const retryAfter = data?.parameters?.retry_after || 1;
+        console.warn(
+          `Telegram rate limit reached. Waiting ${retryAfter}s before retrying`
+        );
+        await new Promise((resolve) => setTimeout(resolve, retryAfter * 1000));
+        return this.callApi(method, params, false);
+      }
+
+      if (error.response) {
+        // Telegram explains rejected messages, e.g. "chat not found"
+        throw new Error(
+          `Telegram API error: ${error.response.status} - ${
+            data?.description || "no description"
+          }`
+        );
+      }
+      throw new Error(
+        error.request
+          ? "Telegram API request failed - no response received"
+          : `Telegram API error: ${error.message}`
+      );
+    }
+
+    if (!response.data?.ok) {
+      throw new Error(
+        `Telegram API error: ${response.data?.description || "not ok"}`
+      );
+    }
+
+    return response.data.result;
+  }
+
+  /**
+   * Wait for a free rate limit slot and take it. The slot is taken before
+   * the request is sent, so concurrent sends cannot all pass the check.
+   */
+  async checkRateLimit() {
+    for (;;) {
+      const now = Date.now();
+
+      // Reset rate limit counter if a minute has passed
+      if (now >= this.rateLimit.resetTime) {
+        this.rateLimit.requests = 0;
+        this.rateLimit.resetTime = now + 60000;
+      }
+
+      if (this.rateLimit.requests < this.rateLimit.maxRequests) {
+        this.rateLimit.requests++;
+        return;
+      }
+
+      const waitTime = this.rateLimit.resetTime - now;
+      console.warn(
+        `Telegram rate limit reached. Waiting ${waitTime}ms before sending message`
+      );
+      await new Promise((resolve) => setTimeout(resolve, waitTime));
+    }
+  }
+
+  /**
+   * Send a test message (NotificationChannel interface)
+   * @returns {Promise<boolean>} Whether the test message was delivered
+   */
+  async test() {
+    try {
+      await this.sendMessage(
+        renderMessage({
+          title: "✅ Telegram Test",
+          description:
+            "This is a test message to verify Telegram delivery from the Price Tracker.",
+          fields: [],
+        })
+      );
+      return true;
+    } catch (error) {
+      console.error("Telegram test failed:", error.message);
+      return false;
+    }
+  }
+}
+
+// Rate limit state per bot token
+const rateLimits = new Map();
+
+/**
+ * Get the rate limit shared by every service using a bot
+ * @param {string} botToken - Bot API token
+ * @returns {{requests: number, resetTime: number, maxRequests: number}} Rate limit state
+ */
+function getRateLimit(botToken) {
+  if (!rateLimits.has(botToken)) {
+    // Rate limiting: Telegram allows 20 messages per minute in a group
+    rateLimits.set(botToken, {
+      requests: 0,
+      resetTime: Date.now() + 60000, // Reset every minute
+      maxRequests: 20,
+    });
+  }
+  return rateLimits.get(botToken);
+}
+
+/**
+ * Escape text for MarkdownV2
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(value) {
+  return String(value).replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, "\\$&");
+}
+
+/**
+ * Render a MarkdownV2 message
+ * @param {Object} content - title, description and fields ({ name, value })
+ * @returns {string} Message text
+ */
+function renderMessage({ title, description, fields }) {
+  return [
+    `*${escapeMarkdown(title)}*`,
+    escapeMarkdown(description),
+    "",
+    ...fields.map(
+      ({ name, value }) => `*${escapeMarkdown(name)}:* ${escapeMarkdown(value)}`
+    ),
+    "",
+    `_${escapeMarkdown("Price Tracker Bot")}_`,
+  ].join("\n");
+}
+
+/**
+ * Format a time, in a user's timezone when known
+ * @param {Date|string} time - Time to format
+ * @param {string|null} [timezone] - IANA timezone
+ * @returns {string} Human readable time with its timezone
+ */
+function formatTime(time, timezone) {
+  return new Date(time).toLocaleString("en-US", {
+    timeZone: timezone || "UTC",
+    dateStyle: "medium",
+    timeStyle: "long",
+  });
+}
+
+module.exports = TelegramService;
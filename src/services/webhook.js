@@ -0,0 +1,218 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const NotificationChannel = require("./notificationChannel");
+const { signOutboundWebhook } = require("../utils/webhooks");
+
+// Version of the payload format; bumped when fields change incompatibly
+const PAYLOAD_VERSION = 1;
+
+/**
+ * Posts alert notifications as signed JSON to any HTTP endpoint.
+ *
+ * Every request carries X-Timestamp (Unix seconds) and X-Signature
+ * (sha256=<HMAC-SHA256 of "<timestamp>.<body>" with the destination's
+ * secret), plus X-Webhook-Id, the notification's delivery ID, which stays
+ * the same across retries. Network errors, 429 and 5xx responses are
+ * retried with exponential backoff, each attempt signed with a fresh
+ * timestamp; other responses fail at once. With the notification outbox
+ * the outbox retries instead, and maxRetries is 0.
+ */
+class WebhookService extends NotificationChannel {
+  /**
+   * @param {string} url - Endpoint to POST to
+   * @param {Object} [options] - Webhook options
+   * @param {string} options.secret - Signing secret
+   * @param {number} [options.maxRetries] - Retries after the first attempt
+   * @param {number} [options.retryDelayMs] - Delay before the first retry, doubled for each one after
+   */
+  constructor(url, options = {}) {
+    super("webhook");
+    this.url = url;
+    this.secret = options.secret || null;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryDelayMs = options.retryDelayMs ?? 1000;
+
+    if (!this.url) {
+      throw new Error("Webhook URL is required");
+    }
+
+    if (!this.secret) {
+      throw new Error("Webhook signing secret is required");
+    }
+  }
+
+  /**
+   * Deliver an alert notification (NotificationChannel interface)
+   * @param {Object} notification - Alert notification data
+   */
+  async send(notification) {
+    await this.post(this.createPayload(notification));
+  }
+
+  /**
+   * Send a test message (NotificationChannel interface)
+   * @returns {Promise<boolean>} Whether the test message was delivered
+   */
+  async test() {
+    try {
+      await this.post(
+        this.createEnvelope("test", {
+          message: "Webhook test - connection successful!",
+        })
+      );
+      return true;
+    } catch (error) {
+      console.error("Webhook test failed:", error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Create the JSON body for an alert notification. Besides the price and
+   * target it carries what the alert's condition was evaluated on (null
+   * for other kinds of alert), since the target alone means nothing for
+   * compound, ratio, spread and range alerts.
+   * @param {Object} notification - Alert notification data
+   * @returns {Object} Webhook payload
+   */
+  createPayload(notification) {
+    const { alert, timestamp, referencePrice } = notification;
+    const isPercentMove =
+      referencePrice !== undefined && referencePrice !== null;
+
+    return this.createEnvelope(
+      "alert.triggered",
+      {
+        alert_id: alert?.id || null,
+        user_id: notification.userId || null,
+        symbol: notification.symbol,
+        price: notification.currentPrice,
+        target_price: notification.targetPrice ?? null,
+        direction: notification.direction,
+        condition_type: alert?.condition_type || "price",
+        alert_type: notification.alertType || null,
+        price_change: notification.priceChange || null,
+        volume: notification.volume ?? null,
+        notes: notification.notes || null,
+        percent_move: isPercentMove
+          ? {
+              reference_price: referencePrice,
+              reference_type: notification.referenceType,
+              threshold_percent: notification.percentThreshold,
+              move_percent: notification.percentMove,
+            }
+          : null,
+        indicator: toSnakeCase(notification.indicator),
+        activity: toSnakeCase(notification.activity),
+        rule: toSnakeCase(notification.rule),
+        derived: toSnakeCase(notification.derived),
+        trailing: toSnakeCase(notification.trailing),
+        range: toSnakeCase(notification.range),
+        triggered_at: new Date(timestamp).toISOString(),
+      },
+      notification.deliveryId
+    );
+  }
+
+  /**
+   * Wrap event data in the versioned payload format
+   * @param {string} event - Event type
+   * @param {Object} data - Event data
+   * @param {string} [id] - Delivery ID; a new one when not given
+   * @returns {Object} Webhook payload
+   */
+  createEnvelope(event, data, id = crypto.randomUUID()) {
+    return {
+      version: PAYLOAD_VERSION,
+      id,
+      event,
+      created_at: new Date().toISOString(),
+      data,
+    };
+  }
+
+  /**
+   * POST a payload to the webhook URL, retrying with backoff
+   * @param {Object} payload - Request body
+   */
+  async post(payload) {
+    const body = JSON.stringify(payload);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await axios.post(this.url, body, {
+          headers: this.createHeaders(payload.id, body),
+          timeout: 10000, // 10 second timeout
+        });
+        return;
+      } catch (error) {
+        const status = error.response?.status;
+        const retryable = !status || status === 429 || status >= 500;
+
+        if (!retryable || attempt >= this.maxRetries) {
+          console.error(
+            `Webhook error: ${status || error.message} (attempt ${attempt + 1})`
+          );
+          throw error;
+        }
+
+        const delay = this.retryDelayMs * 2 ** attempt;
+        console.warn(
+          `Webhook error: ${
+            status || error.message
+          }. Retrying in ${delay}ms (attempt ${attempt + 1})`
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Create the headers for one attempt; the timestamp is signed afresh each
+   * time so retries are not rejected as stale
+   * @param {string} deliveryId - Payload ID
+   * @param {string} body - Raw request body
+   * @returns {Object} Request headers
+   */
+  createHeaders(deliveryId, body) {
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    return {
+      "Content-Type": "application/json",
+      "X-Webhook-Id": deliveryId,
+      "X-Timestamp": String(timestamp),
+      "X-Signature": signOutboundWebhook(body, timestamp, this.secret),
+    };
+  }
+}
+
+/**
+ * Copy a notification's condition details with snake_case keys, as the rest
+ * of the payload uses
+ * @param {*} value - Condition details
+ * @returns {*} Copy with snake_case keys, or null when there are none
+ */
+function toSnakeCase(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(toSnakeCase);
+  }
+
+  if (typeof value !== "object" || value instanceof Date) {
+    return value;
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key.replace(/[A-Z]/g, (letter) => `_${letter.toLowerCase()}`),
+      toSnakeCase(item),
+    ])
+  );
+}
+
+WebhookService.PAYLOAD_VERSION = PAYLOAD_VERSION;
+
+module.exports = WebhookService;
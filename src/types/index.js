@@ -7,14 +7,104 @@
  * @property {Date} updated_at - Last update timestamp
  * @property {string} symbol - Asset symbol (e.g., "BTC")
  * @property {string} alert_type - Custom alert type
- * @property {number} target_value - Price threshold
- * @property {'above'|'below'|'either'} direction - Alert direction
+ * @property {number|null} target_value - Price threshold (null for percent-move alerts and trailing stops)
+ * @property {'above'|'below'|'either'|'trailing'} direction - Alert direction
+ * @property {number|null} percent_move - Percent move threshold; set for percent-move alerts
+ * @property {'day_open'|'creation'|'rolling'|null} reference_type - Reference price for percent_move
+ * @property {number|null} reference_window_minutes - Window length for rolling references
+ * @property {number|null} reference_price - Price captured at alert creation
+ * @property {number|null} rearm_band - Percent the price must retreat past the threshold before firing again
+ * @property {number|null} cooldown_seconds - Minimum seconds between triggers (defaults to ALERT_COOLDOWN_MINUTES)
+ * @property {boolean} armed - Whether a re-arm band alert can fire
+ * @property {number|null} trail_amount - Trailing-stop distance in price units
+ * @property {number|null} trail_percent - Trailing-stop distance in percent of the mark
+ * @property {'long'|'short'|null} trail_side - Whether the stop follows the highest (long) or lowest (short) price
+ * @property {number|null} high_water_mark - Highest price since the stop was armed (lowest for shorts)
+ * @property {'once'|'recurring'} trigger_mode - Whether the alert disables itself after firing
+ * @property {Date|null} expires_at - When the alert is disabled automatically
+ * @property {string|null} active_from - Start of the daily UTC window (HH:MM)
+ * @property {string|null} active_until - End of the daily UTC window (HH:MM)
+ * @property {Array<'pre_market'|'regular'|'after_hours'>|null} sessions - US equity sessions the alert is evaluated in (null for any time)
+ * @property {'low'|'normal'|'high'} priority - High-priority alerts are delivered during quiet hours
+ * @property {Array<string>|null} channels - Global channel names and notification destination IDs to deliver to (null for all global channels)
+ * @property {string} condition_type - "price", an indicator condition (sma_cross, ema_cross, rsi, bollinger), an activity condition (volume_spike, trade_count_spike), a derived condition (ratio, spread), "range" or "compound"
+ * @property {Object|null} params - Indicator params (interval, period, threshold, std_dev), activity params (multiplier, window_minutes, baseline_windows), derived params (symbol_a, symbol_b, max_age_seconds), range params (lower, upper, event) or a compound rule tree
  * @property {boolean} enabled - Whether alert is active
  * @property {Date|null} last_triggered_at - Last trigger timestamp
  * @property {string|null} notes - User notes
  * @property {string|null} prompt - AI prompt for enhanced alerts
  */
 
+/**
+ * @typedef {Object} AlertEvent
+ * @property {string} id - UUID of the event
+ * @property {string} alert_id - Alert that fired
+ * @property {string} user_id - Owner of the alert
+ * @property {string} symbol - Asset symbol
+ * @property {number} price - Price that triggered the alert
+ * @property {number|null} previous_price - Price before the trigger
+ * @property {number|null} volume - Volume of the triggering trade
+ * @property {'above'|'below'|'either'|'trailing'} direction - Alert direction
+ * @property {number|null} target_value - Price threshold at trigger time
+ * @property {Array<string>} channels - Channel names and destination IDs notified
+ * @property {Object<string, {success: boolean, error?: string}>} delivery - Delivery result per channel
+ * @property {Date} triggered_at - Trade timestamp of the trigger
+ * @property {Date} created_at - Creation timestamp
+ */
+
+/**
+ * @typedef {Object} NotificationDestination
+ * @property {string} id - UUID of the destination
+ * @property {string} user_id - Owner of the destination
+ * @property {'discord'|'teams'|'slack'|'webhook'|'email'|'telegram'} type - Channel type
+ * @property {string} name - Display name
+ * @property {Object} config - Channel settings (url and secret for webhook, to for email, chat_id for telegram)
+ * @property {boolean} enabled - Whether alerts are delivered to it
+ * @property {Date} created_at - Creation timestamp
+ * @property {Date} updated_at - Last update timestamp
+ */
+
+/**
+ * @typedef {Object} OutboxMessage
+ * @property {string} id - UUID of the message
+ * @property {'alert'|'summary'} kind - Alert notification or quiet hours summary
+ * @property {string} channel - Global channel name or destination ID
+ * @property {string|null} user_id - Owner of the alert or summary
+ * @property {string|null} alert_id - Alert that triggered, for alert notifications
+ * @property {Object} payload - Notification or summary as sent to the channel
+ * @property {'pending'|'sending'|'dead'} status - Waiting for a retry, being sent, or dead-lettered
+ * @property {number} attempts - Failed delivery attempts
+ * @property {Date|null} next_attempt_at - When the next retry is due, or when the claim of a message being sent runs out
+ * @property {string|null} last_error - Error of the last attempt
+ * @property {Date} created_at - Creation timestamp
+ * @property {Date} updated_at - Last update timestamp
+ */
+
+/**
+ * @typedef {Object} UserPreferences
+ * @property {string} user_id - UUID of the user
+ * @property {string} timezone - IANA timezone for quiet hours and notification times
+ * @property {Array<{start: string, end: string, days?: Array<string>}>} quiet_hours - Quiet-hours windows (HH:MM, local time)
+ * @property {'hold'|'drop'} quiet_hours_action - What happens to non-high-priority alerts during quiet hours
+ * @property {Date} created_at - Creation timestamp
+ * @property {Date} updated_at - Last update timestamp
+ */
+
+/**
+ * @typedef {Object} Candle
+ * @property {string} symbol - Asset symbol
+ * @property {string} interval - Candle interval (1m, 5m, 1h)
+ * @property {string} open_time - Start of the candle (ISO 8601)
+ * @property {string} close_time - End of the candle (ISO 8601)
+ * @property {number} open - First trade price
+ * @property {number} high - Highest trade price
+ * @property {number} low - Lowest trade price
+ * @property {number} close - Last trade price
+ * @property {number} volume - Total traded volume
+ * @property {number} trade_count - Number of trades
+ * @property {boolean} [closed] - False for the candle still being built (API only)
+ */
+
 /**
  * @typedef {Object} FinnhubMessage
  * @property {string} type - Message type
@@ -29,6 +119,15 @@
  * @property {number} v - Volume
  */
 
+/**
+ * @typedef {Object} OutboundWebhookPayload
+ * @property {number} version - Payload format version
+ * @property {string} id - Delivery ID, also sent as X-Webhook-Id; the same on every retry of a notification
+ * @property {'alert.triggered'|'test'} event - Event type
+ * @property {string} created_at - When the payload was created
+ * @property {Object} data - Event data; for alerts the symbol, price, target, trigger time and the condition details (percent_move, indicator, activity, rule, derived, trailing, range)
+ */
+
 /**
  * @typedef {Object} DiscordWebhookPayload
  * @property {string} content - Message content
@@ -0,0 +1,183 @@
+/**
+ * Compound alert rules: a small boolean expression tree over price
+ * conditions on one or more symbols.
+ *
+ * A group is `{ operator: "and" | "or", conditions: [...] }` and a leg is
+ * `{ symbol, direction: "above" | "below", target_value }`. Groups can be
+ * nested up to MAX_DEPTH levels.
+ */
+
+const OPERATORS = ["and", "or"];
+const MAX_DEPTH = 3;
+const MAX_LEGS = 10;
+
+/**
+ * Validate a rule and normalize its symbols and operators
+ * @param {Object} rule - Root group
+ * @returns {{error: string|null, rule: Object|null}} Normalized rule or error
+ */
+function parseRule(rule) {
+  let legCount = 0;
+
+  const parseNode = (node, path, depth) => {
+    if (node === null || typeof node !== "object" || Array.isArray(node)) {
+      return { error: `${path} must be an object` };
+    }
+
+    if (node.operator === undefined) {
+      if (depth === 1) {
+        return { error: `${path}.operator must be one of: and, or` };
+      }
+      return parseLeg(node, path);
+    }
+
+    const operator = String(node.operator).toLowerCase();
+    if (!OPERATORS.includes(operator)) {
+      return { error: `${path}.operator must be one of: and, or` };
+    }
+
+    if (depth > MAX_DEPTH) {
+      return { error: `rules can be nested at most ${MAX_DEPTH} levels deep` };
+    }
+
+    if (!Array.isArray(node.conditions) || node.conditions.length < 2) {
+      return { error: `${path}.conditions must have at least 2 entries` };
+    }
+
+    const conditions = [];
+    for (const [index, child] of node.conditions.entries()) {
+      const parsed = parseNode(
+        child,
+        `${path}.conditions[${index}]`,
+        depth + 1
+      );
+      if (parsed.error) {
+        return parsed;
+      }
+      conditions.push(parsed.node);
+    }
+
+    return { error: null, node: { operator, conditions } };
+  };
+
+  const parseLeg = (leg, path) => {
+    legCount++;
+    if (legCount > MAX_LEGS) {
+      return { error: `rules can have at most ${MAX_LEGS} conditions` };
+    }
+
+    if (typeof leg.symbol !== "string" || !leg.symbol.trim()) {
+      return { error: `${path}.symbol is required` };
+    }
+
+    if (!["above", "below"].includes(leg.direction)) {
+      return { error: `${path}.direction must be "above" or "below"` };
+    }
+
+    if (typeof leg.target_value !== "number" || leg.target_value <= 0) {
+      return { error: `${path}.target_value must be a positive number` };
+    }
+
+    return {
+      error: null,
+      node: {
+        symbol: leg.symbol.trim().toUpperCase(),
+        direction: leg.direction,
+        target_value: leg.target_value,
+      },
+    };
+  };
+
+  const parsed = parseNode(rule, "params", 1);
+  return parsed.error
+    ? { error: parsed.error, rule: null }
+    : { error: null, rule: parsed.node };
+}
+
+/**
+ * Check whether a rule node is a group rather than a leg
+ * @param {Object} node - Rule node
+ * @returns {boolean} Whether the node has an operator
+ */
+function isGroup(node) {
+  return Array.isArray(node.conditions);
+}
+
+/**
+ * List the legs of a rule in the order they appear
+ * @param {Object} rule - Rule node
+ * @returns {Array<Object>} Legs
+ */
+function getRuleLegs(rule) {
+  return isGroup(rule) ? rule.conditions.flatMap(getRuleLegs) : [rule];
+}
+
+/**
+ * List the symbols a rule refers to
+ * @param {Object} rule - Rule node
+ * @returns {Array<string>} Unique symbols in the order they appear
+ */
+function getRuleSymbols(rule) {
+  return [...new Set(getRuleLegs(rule).map((leg) => leg.symbol))];
+}
+
+/**
+ * Evaluate a rule against the latest prices. Legs without a price yet count
+ * as not met. Every leg is evaluated so all values can be reported.
+ * @param {Object} rule - Rule node
+ * @param {Function} getPrice - Returns the latest price for a symbol, or null
+ * @returns {{matched: boolean, legs: Array<Object>}} Result and per-leg values
+ */
+function evaluateRule(rule, getPrice) {
+  const legs = [];
+
+  const evaluateNode = (node) => {
+    if (isGroup(node)) {
+      const results = node.conditions.map(evaluateNode);
+      return node.operator === "and"
+        ? results.every(Boolean)
+        : results.some(Boolean);
+    }
+
+    const price = getPrice(node.symbol);
+    const met =
+      price !== null &&
+      (node.direction === "above"
+        ? price >= node.target_value
+        : price <= node.target_value);
+    legs.push({ ...node, price, met });
+    return met;
+  };
+
+  return { matched: evaluateNode(rule), legs };
+}
+
+/**
+ * Describe a rule, e.g. "BTC >= 70000 AND (ETH >= 4000 OR SOL >= 200)"
+ * @param {Object} rule - Rule node
+ * @returns {string} Human readable expression
+ */
+function describeRule(rule) {
+  const describeNode = (node, nested) => {
+    if (!isGroup(node)) {
+      return `${node.symbol} ${node.direction === "above" ? ">=" : "<="} ${
+        node.target_value
+      }`;
+    }
+
+    const expression = node.conditions
+      .map((child) => describeNode(child, true))
+      .join(` ${node.operator.toUpperCase()} `);
+    return nested ? `(${expression})` : expression;
+  };
+
+  return describeNode(rule, false);
+}
+
+module.exports = {
+  parseRule,
+  getRuleLegs,
+  getRuleSymbols,
+  evaluateRule,
+  describeRule,
+};
@@ -0,0 +1,42 @@
+/**
+ * Derived instruments computed from the latest prices of two symbols, used
+ * by ratio and spread alerts.
+ */
+
+// Default params per derived condition type
+const DERIVED_DEFAULTS = {
+  ratio: { max_age_seconds: 10 },
+  spread: { max_age_seconds: 10 },
+};
+
+/**
+ * Compute a derived value from two prices
+ * @param {string} conditionType - "ratio" (a / b) or "spread" (a - b)
+ * @param {number} priceA - Price of symbol_a
+ * @param {number} priceB - Price of symbol_b
+ * @returns {number|null} Derived value, or null if it is undefined (ratio to zero)
+ */
+function computeDerivedValue(conditionType, priceA, priceB) {
+  if (conditionType === "ratio") {
+    return priceB === 0 ? null : priceA / priceB;
+  }
+  return priceA - priceB;
+}
+
+/**
+ * Describe a derived instrument, e.g. "ETH / BTC"
+ * @param {string} conditionType - "ratio" or "spread"
+ * @param {Object} params - symbol_a and symbol_b
+ * @returns {string} Human readable instrument
+ */
+function describeDerived(conditionType, params) {
+  return `${params.symbol_a} ${conditionType === "ratio" ? "/" : "-"} ${
+    params.symbol_b
+  }`;
+}
+
+module.exports = {
+  DERIVED_DEFAULTS,
+  computeDerivedValue,
+  describeDerived,
+};
@@ -0,0 +1,165 @@
+/**
+ * Technical indicator and trading-activity calculators. Each returns null
+ * when there is not enough history yet.
+ */
+
+// Default params per indicator condition type
+const INDICATOR_DEFAULTS = {
+  sma_cross: { interval: "1m", period: 50 },
+  ema_cross: { interval: "1m", period: 50 },
+  rsi: { interval: "1m", period: 14 },
+  bollinger: { interval: "1m", period: 20, std_dev: 2 },
+};
+
+// Default params per unusual-activity condition type. Activity windows are
+// always measured on 1m candles.
+const ACTIVITY_DEFAULTS = {
+  volume_spike: { interval: "1m", window_minutes: 5, baseline_windows: 12 },
+  trade_count_spike: {
+    interval: "1m",
+    window_minutes: 1,
+    baseline_windows: 60,
+  },
+};
+
+/**
+ * Simple moving average of the last `period` values
+ * @param {Array<number>} values - Closing prices, oldest first
+ * @param {number} period - Number of values to average
+ * @returns {number|null} Average, or null if there are too few values
+ */
+function sma(values, period) {
+  if (values.length < period) {
+    return null;
+  }
+
+  const window = values.slice(-period);
+  return window.reduce((sum, value) => sum + value, 0) / period;
+}
+
+/**
+ * Exponential moving average, seeded with the SMA of the first `period`
+ * values
+ * @param {Array<number>} values - Closing prices, oldest first
+ * @param {number} period - EMA period
+ * @returns {number|null} Latest EMA, or null if there are too few values
+ */
+function ema(values, period) {
+  if (values.length < period) {
+    return null;
+  }
+
+  const k = 2 / (period + 1);
+  let average = sma(values.slice(0, period), period);
+  for (const value of values.slice(period)) {
+    average = value * k + average * (1 - k);
+  }
+  return average;
+}
+
+/**
+ * Relative strength index using Wilder's smoothing
+ * @param {Array<number>} values - Closing prices, oldest first
+ * @param {number} period - RSI period
+ * @returns {number|null} RSI between 0 and 100, or null if there are too few values
+ */
+function rsi(values, period) {
+  if (values.length < period + 1) {
+    return null;
+  }
+
+  let averageGain = 0;
+  let averageLoss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = values[i] - values[i - 1];
+    if (change > 0) averageGain += change;
+    else averageLoss -= change;
+  }
+  averageGain /= period;
+  averageLoss /= period;
+
+  for (let i = period + 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    averageGain = (averageGain * (period - 1) + Math.max(change, 0)) / period;
+    averageLoss = (averageLoss * (period - 1) + Math.max(-change, 0)) / period;
+  }
+
+  if (averageLoss === 0) {
+    return averageGain === 0 ? 50 : 100;
+  }
+  return 100 - 100 / (1 + averageGain / averageLoss);
+}
+
+/**
+ * Bollinger bands: SMA plus and minus `stdDev` population standard deviations
+ * @param {Array<number>} values - Closing prices, oldest first
+ * @param {number} period - Number of values in the band
+ * @param {number} stdDev - Band width in standard deviations
+ * @returns {{upper: number, middle: number, lower: number}|null} Bands, or null if there are too few values
+ */
+function bollinger(values, period, stdDev) {
+  const middle = sma(values, period);
+  if (middle === null) {
+    return null;
+  }
+
+  const window = values.slice(-period);
+  const variance =
+    window.reduce((sum, value) => sum + (value - middle) ** 2, 0) / period;
+  const width = Math.sqrt(variance) * stdDev;
+
+  return { upper: middle + width, middle, lower: middle - width };
+}
+
+/**
+ * Compare activity in the latest window with the average of the windows
+ * before it. Minutes without a candle count as zero.
+ * @param {Array<Object>} candles - 1m candles (open_time, volume, trade_count), oldest first
+ * @param {string} field - Candle field to sum ("volume" or "trade_count")
+ * @param {number} windowEnd - End of the latest window in milliseconds (exclusive)
+ * @param {number} windowMinutes - Window length in minutes
+ * @param {number} baselineWindows - Number of earlier windows to average
+ * @returns {{current: number, average: number, ratio: number|null}|null} Window statistics, or null if the candles do not reach back over the baseline
+ */
+function windowActivity(
+  candles,
+  field,
+  windowEnd,
+  windowMinutes,
+  baselineWindows
+) {
+  const windowMs = windowMinutes * 60 * 1000;
+  const windowStart = windowEnd - windowMs;
+  const baselineStart = windowStart - baselineWindows * windowMs;
+
+  if (
+    candles.length === 0 ||
+    Date.parse(candles[0].open_time) > baselineStart
+  ) {
+    return null;
+  }
+
+  let current = 0;
+  let baselineTotal = 0;
+  for (const candle of candles) {
+    const openTime = Date.parse(candle.open_time);
+    if (openTime >= windowStart && openTime < windowEnd) {
+      current += candle[field];
+    } else if (openTime >= baselineStart && openTime < windowStart) {
+      baselineTotal += candle[field];
+    }
+  }
+
+  const average = baselineTotal / baselineWindows;
+  return { current, average, ratio: average > 0 ? current / average : null };
+}
+
+module.exports = {
+  INDICATOR_DEFAULTS,
+  ACTIVITY_DEFAULTS,
+  sma,
+  ema,
+  rsi,
+  bollinger,
+  windowActivity,
+};
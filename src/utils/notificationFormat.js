@@ -0,0 +1,509 @@
+/**
+ * Alert notification content shared by the notification channels. Each
+ * channel renders the title, description and fields in its own format
+ * (embed, blocks, card, email or message) and markup.
+ */
+
+/**
+ * Pick an alert's color from a channel's palette: by direction, or by the
+ * crossing for range alerts
+ * @param {Object} notification - Alert notification data
+ * @param {Object} palette - Colors for above, below, either, trailing, exit, enter and other
+ * @returns {*} Color from the palette
+ */
+function getAlertColor(notification, palette) {
+  const { direction, range } = notification;
+
+  if (range) {
+    return range.event === "exit" ? palette.exit : palette.enter;
+  }
+
+  switch (direction) {
+    case "above":
+      return palette.above;
+    case "below":
+      return palette.below;
+    case "either":
+      return palette.either;
+    case "trailing":
+      return palette.trailing;
+    default:
+      return palette.other;
+  }
+}
+
+/**
+ * Describe an alert notification as a title, a description and fields for
+ * its condition, price change, volume, alert type, time, notes and AI
+ * context
+ * @param {Object} notification - Alert notification data
+ * @param {Object} [options] - Channel markup
+ * @param {Function} [options.bold] - Wraps the symbol in the description
+ * @param {Function} [options.escape] - Escapes user text put in a field (alert type)
+ * @param {Function} [options.formatTime] - Formats the trigger time (timestamp, timezone)
+ * @param {boolean} [options.separateNotes] - Return notes and AI context apart from the fields
+ * @returns {{title: string, description: string, fields: Array<{name: string, value: string, inline: boolean}>, notes: string|null, prompt: string|null}} Alert content
+ */
+function describeAlert(notification, options = {}) {
+  const {
+    bold = (text) => text,
+    escape = (text) => text,
+    formatTime = (time) => new Date(time).toISOString(),
+    separateNotes = false,
+  } = options;
+  const {
+    symbol,
+    currentPrice,
+    targetPrice,
+    direction,
+    timestamp,
+    priceChange,
+    volume,
+    alertType,
+    notes,
+    prompt,
+    timezone,
+    referencePrice,
+    referenceType,
+    percentThreshold,
+    percentMove,
+    indicator,
+    activity,
+    rule,
+    derived,
+    trailing,
+    range,
+  } = notification;
+
+  const isPercentMove = referencePrice !== undefined && referencePrice !== null;
+  const isIndicator = !!indicator;
+  const isActivity = !!activity;
+  const isCompound = !!rule;
+  const isDerived = !!derived;
+  const isTrailing = !!trailing;
+  const isRange = !!range;
+
+  // Format price change
+  let priceChangeText = "";
+  if (priceChange) {
+    const changeEmoji = priceChange.change >= 0 ? "📈" : "📉";
+    priceChangeText = `${changeEmoji} ${priceChange.change >= 0 ? "+" : ""}$${
+      priceChange.change
+    } (${priceChange.changePercent >= 0 ? "+" : ""}${
+      priceChange.changePercent
+    }%)`;
+  }
+
+  // Create title and description based on direction
+  let directionEmoji, title, description;
+
+  switch (direction) {
+    case "above":
+      directionEmoji = "⬆️";
+      title = `${directionEmoji} Price Alert: ${symbol}`;
+      description = `${bold(symbol)} has risen above your target price!`;
+      break;
+    case "below":
+      directionEmoji = "⬇️";
+      title = `${directionEmoji} Price Alert: ${symbol}`;
+      description = `${bold(symbol)} has fallen below your target price!`;
+      break;
+    case "either":
+      directionEmoji = "🔄";
+      title = `${directionEmoji} Price Alert: ${symbol}`;
+      const crossedDirection = currentPrice >= targetPrice ? "above" : "below";
+      description = `${bold(
+        symbol
+      )} has crossed your target price (now ${crossedDirection} target)!`;
+      break;
+    default:
+      directionEmoji = "🔔";
+      title = `${directionEmoji} Price Alert: ${symbol}`;
+      description = `${bold(symbol)} price alert triggered!`;
+  }
+
+  if (isPercentMove) {
+    description = `${bold(symbol)} has moved ${
+      percentMove >= 0 ? "+" : ""
+    }${percentMove}% from its ${formatReferenceType(
+      referenceType
+    )} price (threshold ${percentThreshold}%)!`;
+  }
+
+  if (isIndicator) {
+    description = `${bold(symbol)} met its ${indicator.label} condition on ${
+      indicator.interval
+    } candles!`;
+  }
+
+  if (isActivity) {
+    description =
+      activity.ratio === null
+        ? `${bold(symbol)} ${activity.label.toLowerCase()} alert triggered!`
+        : `${bold(symbol)} ${activity.metric} over the last ${
+            activity.windowMinutes
+          }m is ${activity.ratio.toFixed(2)}x its trailing average!`;
+  }
+
+  if (isTrailing) {
+    title = `🛑 Trailing Stop: ${symbol}`;
+    description = `${bold(symbol)} has ${
+      trailing.side === "short" ? "risen" : "fallen"
+    } to your trailing stop!`;
+  }
+
+  if (isRange) {
+    title = `↔️ Range Alert: ${symbol}`;
+    description =
+      range.event === "exit"
+        ? `${bold(symbol)} has left your range through the ${
+            range.boundary
+          } boundary!`
+        : `${bold(symbol)} is back inside your range through the ${
+            range.boundary
+          } boundary!`;
+  }
+
+  if (isDerived) {
+    const kind = derived.conditionType === "ratio" ? "Ratio" : "Spread";
+    title = `${directionEmoji} ${kind} Alert: ${symbol}`;
+    description = `${bold(symbol)} ${
+      derived.conditionType
+    } is now ${formatDerivedValue(derived.value)} (target ${formatDerivedValue(
+      targetPrice
+    )})!`;
+  }
+
+  if (isCompound) {
+    title = `🧩 Rule Alert: ${symbol}`;
+    description = `${bold(symbol)} matched your rule!`;
+  }
+
+  // Create fields; compound alerts show each leg's price instead and
+  // derived alerts their computed value
+  const fields = isCompound
+    ? []
+    : isDerived
+    ? [
+        {
+          name: derived.conditionType === "ratio" ? "📐 Ratio" : "📐 Spread",
+          value: formatDerivedValue(derived.value),
+          inline: true,
+        },
+      ]
+    : [
+        {
+          name: "💰 Current Price",
+          value: `$${currentPrice.toFixed(2)}`,
+          inline: true,
+        },
+      ];
+
+  if (isCompound) {
+    fields.push(
+      {
+        name: "🧩 Rule",
+        value: rule.expression,
+        inline: false,
+      },
+      ...rule.legs.map((leg) => ({
+        name: `${leg.met ? "✅" : "❌"} ${leg.symbol}`,
+        value: formatRuleLeg(leg),
+        inline: true,
+      }))
+    );
+  } else if (isRange) {
+    fields.push(
+      {
+        name: "↔️ Range",
+        value: `$${range.lower.toFixed(2)} - $${range.upper.toFixed(2)}`,
+        inline: true,
+      },
+      {
+        name: range.event === "exit" ? "🚪 Exited" : "🚪 Entered",
+        value: formatRangeCrossing(range),
+        inline: true,
+      }
+    );
+  } else if (isTrailing) {
+    fields.push(
+      {
+        name: "🛑 Stop Level",
+        value: `$${trailing.stop.toFixed(2)}`,
+        inline: true,
+      },
+      {
+        name:
+          trailing.side === "short"
+            ? "📉 Low-Water Mark"
+            : "📈 High-Water Mark",
+        value: `$${trailing.mark.toFixed(2)}`,
+        inline: true,
+      },
+      {
+        name: "📏 Trail",
+        value: formatTrail(trailing),
+        inline: true,
+      }
+    );
+  } else if (isDerived) {
+    fields.push(
+      {
+        name: "🎯 Target",
+        value: formatDerivedValue(targetPrice),
+        inline: true,
+      },
+      ...derived.legs.map((leg) => ({
+        name: `📊 ${leg.symbol}`,
+        value: formatDerivedLeg(leg),
+        inline: true,
+      }))
+    );
+  } else if (isActivity) {
+    fields.push(
+      {
+        name:
+          activity.metric === "volume"
+            ? "📦 Window Volume"
+            : "🔢 Window Trades",
+        value: `${formatActivityValue(activity.current)} (${
+          activity.windowMinutes
+        }m)`,
+        inline: true,
+      },
+      {
+        name: "📉 Trailing Average",
+        value: `${formatActivityValue(activity.average)} (${
+          activity.baselineWindows
+        } windows)`,
+        inline: true,
+      },
+      {
+        name: "🚀 Spike",
+        value: `${
+          activity.ratio === null ? "n/a" : `${activity.ratio.toFixed(2)}x`
+        } / ${activity.multiplier}x`,
+        inline: true,
+      }
+    );
+  } else if (isIndicator) {
+    fields.push(
+      {
+        name: "📐 Indicator",
+        value: `${indicator.label} (${indicator.interval})`,
+        inline: true,
+      },
+      {
+        name: "📏 Indicator Values",
+        value: indicator.summary,
+        inline: false,
+      }
+    );
+  } else if (isPercentMove) {
+    fields.push(
+      {
+        name: "📍 Reference Price",
+        value: `$${referencePrice.toFixed(2)} (${formatReferenceType(
+          referenceType
+        )})`,
+        inline: true,
+      },
+      {
+        name: "📐 Percent Move",
+        value: `${percentMove >= 0 ? "+" : ""}${percentMove}% / ${
+          direction === "below" ? "-" : direction === "above" ? "+" : "±"
+        }${percentThreshold}%`,
+        inline: true,
+      }
+    );
+  } else {
+    fields.push({
+      name: "🎯 Target Price",
+      value: `$${targetPrice.toFixed(2)}`,
+      inline: true,
+    });
+  }
+
+  // Range alerts describe their crossing instead of a direction
+  if (!isCompound && !isRange) {
+    fields.push({
+      name: "📊 Direction",
+      value: direction.charAt(0).toUpperCase() + direction.slice(1),
+      inline: true,
+    });
+  }
+
+  // Add price change if available
+  if (priceChangeText) {
+    fields.push({
+      name: "📈 Price Change",
+      value: priceChangeText,
+      inline: false,
+    });
+  }
+
+  // Add volume if available
+  if (volume) {
+    fields.push({
+      name: "📦 Volume",
+      value: volume.toLocaleString(),
+      inline: true,
+    });
+  }
+
+  // Add alert type if specified
+  if (alertType) {
+    fields.push({
+      name: "🔔 Alert Type",
+      value: escape(alertType),
+      inline: true,
+    });
+  }
+
+  // Add timestamp
+  fields.push({
+    name: "⏰ Time",
+    value: formatTime(timestamp, timezone),
+    inline: false,
+  });
+
+  const notesText = notes
+    ? notes.length > 1000
+      ? notes.substring(0, 1000) + "..."
+      : notes
+    : null;
+  const promptText = prompt
+    ? prompt.length > 500
+      ? prompt.substring(0, 500) + "..."
+      : prompt
+    : null;
+
+  if (!separateNotes) {
+    // Add notes if provided
+    if (notesText) {
+      fields.push({ name: "📝 Notes", value: notesText, inline: false });
+    }
+
+    // Add AI prompt if provided
+    if (promptText) {
+      fields.push({ name: "🤖 AI Context", value: promptText, inline: false });
+    }
+  }
+
+  return {
+    title,
+    description,
+    fields,
+    notes: notesText,
+    prompt: promptText,
+  };
+}
+
+/**
+ * Format a percent-move reference type for display
+ * @param {string} referenceType - day_open, creation or rolling
+ * @returns {string} Human readable reference
+ */
+function formatReferenceType(referenceType) {
+  switch (referenceType) {
+    case "day_open":
+      return "day open";
+    case "rolling":
+      return "rolling window";
+    default:
+      return "alert creation";
+  }
+}
+
+/**
+ * Format an activity window statistic
+ * @param {number} value - Window total or average
+ * @returns {string} Value with at most two decimals
+ */
+function formatActivityValue(value) {
+  return value.toLocaleString("en-US", { maximumFractionDigits: 2 });
+}
+
+/**
+ * Format one leg of a compound rule
+ * @param {Object} leg - Evaluated leg (symbol, direction, target_value, price, met)
+ * @returns {string} Current price and the leg's threshold
+ */
+function formatRuleLeg(leg) {
+  const price =
+    leg.price === null ? "no price yet" : `$${leg.price.toFixed(2)}`;
+  return `${price} (${leg.direction} $${leg.target_value.toFixed(2)})`;
+}
+
+/**
+ * Format a ratio or spread value to six significant digits
+ * @param {number|null} value - Derived value
+ * @returns {string} Formatted value, or "n/a" without one
+ */
+function formatDerivedValue(value) {
+  return value === null || value === undefined
+    ? "n/a"
+    : String(Number(value.toPrecision(6)));
+}
+
+/**
+ * Format one leg of a ratio or spread
+ * @param {Object} leg - Leg (symbol, price, ageSeconds)
+ * @returns {string} Price and quote age
+ */
+function formatDerivedLeg(leg) {
+  return leg.price === null
+    ? "no price yet"
+    : `$${leg.price.toFixed(2)} (${leg.ageSeconds}s old)`;
+}
+
+/**
+ * Format the distance a trailing stop keeps from its mark
+ * @param {Object} trailing - Trailing stop details (trailAmount, trailPercent)
+ * @returns {string} Trail as a percentage or dollar amount
+ */
+function formatTrail(trailing) {
+  return trailing.trailPercent !== null
+    ? `${trailing.trailPercent}%`
+    : `$${trailing.trailAmount.toFixed(2)}`;
+}
+
+/**
+ * Format the boundary a range alert crossed
+ * @param {Object} range - Range details (event, boundary, boundaryValue, fromZone, toZone)
+ * @returns {string} Boundary, price and the move across it
+ */
+function formatRangeCrossing(range) {
+  return `${
+    range.boundary === "upper" ? "Upper" : "Lower"
+  } $${range.boundaryValue.toFixed(2)} (${range.fromZone} → ${range.toZone})`;
+}
+
+/**
+ * Describe a held alert in one line for a quiet hours summary
+ * @param {Object} notification - Alert notification
+ * @returns {string} Alert type and the value that triggered it
+ */
+function formatSummaryLine(notification) {
+  const value = notification.rule
+    ? "rule matched"
+    : notification.derived
+    ? `${notification.derived.conditionType} ${formatDerivedValue(
+        notification.derived.value
+      )}`
+    : `$${notification.currentPrice.toFixed(2)}`;
+  return `${notification.alertType || "Alert"}: ${value}`;
+}
+
+module.exports = {
+  getAlertColor,
+  describeAlert,
+  formatReferenceType,
+  formatActivityValue,
+  formatRuleLeg,
+  formatDerivedValue,
+  formatDerivedLeg,
+  formatTrail,
+  formatRangeCrossing,
+  formatSummaryLine,
+};
@@ -0,0 +1,58 @@
+/**
+ * Price bands used by range alerts. A price is below, inside or above the
+ * band; both boundaries count as inside.
+ */
+
+// Default params per range condition type
+const RANGE_DEFAULTS = {
+  range: { event: "exit" },
+};
+
+// Crossings a range alert can be notified about
+const RANGE_EVENTS = ["exit", "enter", "both"];
+
+/**
+ * Locate a price relative to a band
+ * @param {number} price - Price
+ * @param {Object} params - lower and upper
+ * @returns {string} "below", "inside" or "above"
+ */
+function getRangeZone(price, params) {
+  if (price < params.lower) {
+    return "below";
+  }
+  return price > params.upper ? "above" : "inside";
+}
+
+/**
+ * Describe a move between zones. A jump straight across the band counts as
+ * an exit through the far boundary.
+ * @param {string} fromZone - Previous zone
+ * @param {string} toZone - Current zone
+ * @param {Object} params - lower and upper
+ * @returns {{event: string, boundary: string, boundaryValue: number}} Crossing
+ */
+function describeCrossing(fromZone, toZone, params) {
+  const event = toZone === "inside" ? "enter" : "exit";
+  const side = event === "enter" ? fromZone : toZone;
+  const boundary = side === "above" ? "upper" : "lower";
+
+  return { event, boundary, boundaryValue: params[boundary] };
+}
+
+/**
+ * Describe a band, e.g. "100-120"
+ * @param {Object} params - lower and upper
+ * @returns {string} Human readable band
+ */
+function describeRange(params) {
+  return `${params.lower}-${params.upper}`;
+}
+
+module.exports = {
+  RANGE_DEFAULTS,
+  RANGE_EVENTS,
+  getRangeZone,
+  describeCrossing,
+  describeRange,
+};
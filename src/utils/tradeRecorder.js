@@ -0,0 +1,141 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+
+/**
+ * Appends raw market data messages to rotating NDJSON files.
+ *
+ * Each line is `{"receivedAt": <ms>, "message": <raw message>}` so a replay
+ * can reproduce both the payloads and the gaps between them. A new file is
+ * started once the current one reaches maxFileBytes, and the oldest files are
+ * deleted beyond maxFiles.
+ */
+class TradeRecorder {
+  /**
+   * @param {Object} options - Recorder options
+   * @param {string} options.directory - Directory for recording files
+   * @param {number} [options.maxFileBytes] - Rotate after this many bytes
+   * @param {number} [options.maxFiles] - Number of files to keep
+   * @param {string} [options.prefix] - File name prefix
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || "recordings";
+    this.maxFileBytes = options.maxFileBytes || 50 * 1024 * 1024; // 50MB
+    this.maxFiles = options.maxFiles || 20;
+    this.prefix = options.prefix || "trades";
+    this.stream = null;
+    this.currentFile = null;
+    this.currentBytes = 0;
+    this.recordedCount = 0;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  /**
+   * Append a message to the current recording file
+   * @param {Object} message - Raw provider message
+   * @param {number} [receivedAt] - Receive time in milliseconds
+   */
+  record(message, receivedAt = Date.now()) {
+    try {
+      const line = JSON.stringify({ receivedAt, message }) + "\n";
+
+      if (!this.stream || this.currentBytes >= this.maxFileBytes) {
+        this.rotate();
+      }
+
+      this.stream.write(line);
+      this.currentBytes += Buffer.byteLength(line);
+      this.recordedCount++;
+    } catch (error) {
+      logger.error("Failed to record market data message:", error);
+    }
+  }
+
+  /**
+   * Close the current file and start a new one
+   */
+  rotate() {
+    if (this.stream) {
+      this.stream.end();
+    }
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    this.currentFile = path.join(
+      this.directory,
+      `${this.prefix}-${stamp}.ndjson`
+    );
+    this.stream = fs.createWriteStream(this.currentFile, { flags: "a" });
+    this.stream.on("error", (error) => {
+      logger.error(
+        `Trade recording stream error (${this.currentFile}):`,
+        error
+      );
+    });
+    this.currentBytes = 0;
+
+    logger.info(`Recording market data to ${this.currentFile}`);
+    this.pruneOldFiles();
+  }
+
+  /**
+   * Delete the oldest recordings beyond maxFiles
+   */
+  pruneOldFiles() {
+    try {
+      // The current file may not exist on disk yet, so count it separately
+      const currentName = path.basename(this.currentFile);
+      const files = fs
+        .readdirSync(this.directory)
+        .filter(
+          (file) =>
+            file !== currentName &&
+            file.startsWith(`${this.prefix}-`) &&
+            file.endsWith(".ndjson")
+        )
+        .sort();
+
+      // Timestamped names sort chronologically
+      const expiredFiles = files.slice(
+        0,
+        Math.max(0, files.length - (this.maxFiles - 1))
+      );
+      for (const file of expiredFiles) {
+        fs.unlinkSync(path.join(this.directory, file));
+        logger.debug(`Deleted old recording ${file}`);
+      }
+    } catch (error) {
+      logger.error("Failed to prune old recordings:", error);
+    }
+  }
+
+  /**
+   * Flush and close the current file
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise((resolve) => {
+      if (!this.stream) {
+        return resolve();
+      }
+
+      this.stream.end(resolve);
+      this.stream = null;
+    });
+  }
+
+  /**
+   * Get recorder statistics
+   * @returns {Object} Statistics object
+   */
+  getStatistics() {
+    return {
+      directory: this.directory,
+      currentFile: this.currentFile,
+      currentBytes: this.currentBytes,
+      recordedCount: this.recordedCount,
+    };
+  }
+}
+
+module.exports = TradeRecorder;
@@ -144,9 +144,70 @@ function webhookRateLimit(maxRequests = 100, windowMs = 60000) {
   };
 }
 
+/**
+ * Sign an outbound webhook body. The signature covers the timestamp and the
+ * body, joined by a dot, so a captured request cannot be replayed later with
+ * a new timestamp.
+ * @param {string} body - Raw request body
+ * @param {number} timestamp - Unix time in seconds, sent as X-Timestamp
+ * @param {string} secret - Destination's signing secret
+ * @returns {string} Signature in the format sha256=<hash>
+ */
+function signOutboundWebhook(body, timestamp, secret) {
+  return `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`, "utf8")
+    .digest("hex")}`;
+}
+
+/**
+ * Verify an outbound webhook. This server does not call it; it is exported
+ * for receivers written in Node (see "Outbound Webhooks" in the README)
+ * and documents the check every receiver should make.
+ * @param {string} body - Raw request body
+ * @param {string} signature - X-Signature header
+ * @param {string} timestamp - X-Timestamp header
+ * @param {string} secret - Destination's signing secret
+ * @param {number} [toleranceSeconds=300] - Oldest timestamp accepted
+ * @returns {boolean} Whether the signature is valid and recent
+ */
+function verifyOutboundWebhook(
+  body,
+  signature,
+  timestamp,
+  secret,
+  toleranceSeconds = 300
+) {
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!signature || !(age <= toleranceSeconds)) {
+    return false;
+  }
+
+  const signatureBuffer = Buffer.from(signature);
+  const expectedBuffer = Buffer.from(
+    signOutboundWebhook(body, timestamp, secret)
+  );
+
+  return (
+    signatureBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(signatureBuffer, expectedBuffer)
+  );
+}
+
+/**
+ * Generate a signing secret for an outbound webhook
+ * @returns {string} Random secret
+ */
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
 module.exports = {
   verifySupabaseWebhook,
   webhookVerification,
   captureRawBody,
   webhookRateLimit,
+  signOutboundWebhook,
+  verifyOutboundWebhook,
+  generateWebhookSecret,
 };
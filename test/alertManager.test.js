@@ -0,0 +1,257 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const AlertManager = require("../src/services/alertManager");
+
+/**
+ * AlertManager with a recording store, router and a clock the test moves
+ * @returns {Object} manager, writes, sent, trade(symbol, price) and advance(ms)
+ */
+function createManager() {
+  const writes = [];
+  const store = new Proxy(
+    {},
+    {
+      get:
+        (target, method) =>
+        async (...args) => {
+          writes.push([method, ...args]);
+        },
+    }
+  );
+
+  const sent = [];
+  const router = {
+    async sendAlert(notification) {
+      sent.push(notification);
+      return { discord: { success: true } };
+    },
+  };
+
+  let now = Date.parse("2026-01-09T15:00:00Z");
+  const provider = {
+    now: () => now,
+    subscribe: () => ({ unsubscribe() {} }),
+  };
+
+  const manager = new AlertManager(store, provider, router);
+  return {
+    manager,
+    writes,
+    sent,
+    trade: (symbol, price) => manager.handlePriceUpdate(symbol, price, now, 1),
+    advance: (ms) => (now += ms),
+  };
+}
+
+const rangeAlert = (params, overrides = {}) => ({
+  id: "range-1",
+  user_id: "user-1",
+  symbol: "AAPL",
+  direction: "above",
+  condition_type: "range",
+  params: { lower: 100, upper: 120, ...params },
+  cooldown_seconds: 0,
+  enabled: true,
+  ...overrides,
+});
+
+test("a range alert fires when the price leaves the band, not on the first price", async () => {
+  const { manager, sent, trade } = createManager();
+  manager.addAlert(rangeAlert({ event: "exit" }));
+
+  await trade("AAPL", 125);
+  assert.equal(sent.length, 0);
+
+  await trade("AAPL", 110);
+  assert.equal(sent.length, 0, "entering the band is not an exit");
+
+  await trade("AAPL", 95);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].range.event, "exit");
+  assert.equal(sent[0].range.boundary, "lower");
+  assert.equal(sent[0].targetPrice, 100);
+
+  await trade("AAPL", 90);
+  assert.equal(sent.length, 1, "staying outside is not another crossing");
+});
+
+test("a jump across the band is an exit through the far boundary", async () => {
+  const { manager, sent, trade } = createManager();
+  manager.addAlert(rangeAlert({ event: "both" }));
+
+  await trade("AAPL", 95);
+  await trade("AAPL", 125);
+
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].range.event, "exit");
+  assert.equal(sent[0].range.boundary, "upper");
+});
+
+test("an update that keeps the band keeps the band position", async () => {
+  const { manager, sent, trade } = createManager();
+  manager.addAlert(rangeAlert({ event: "exit" }));
+  await trade("AAPL", 110);
+
+  // Supabase UPDATE webhook for a notes edit
+  manager.replaceAlert(rangeAlert({ event: "exit" }, { notes: "earnings" }));
+  assert.equal(manager.findAlert("range-1").notes, "earnings");
+
+  await trade("AAPL", 125);
+  assert.equal(sent.length, 1);
+});
+
+test("the manager's own trigger write does not reset the band position", async () => {
+  const { manager, sent, trade } = createManager();
+  manager.addAlert(rangeAlert({ event: "both" }));
+  await trade("AAPL", 110);
+  await trade("AAPL", 125);
+  assert.equal(sent.length, 1);
+
+  // The webhook for last_triggered_at carries the record as stored
+  manager.replaceAlert(
+    rangeAlert(
+      { event: "both" },
+      { last_triggered_at: new Date(manager.now()).toISOString() }
+    )
+  );
+
+  await trade("AAPL", 126);
+  assert.equal(sent.length, 1, "still outside; no new crossing");
+  await trade("AAPL", 115);
+  assert.equal(sent.length, 2);
+  assert.equal(sent[1].range.event, "enter");
+});
+
+test("an update that moves the band starts over from the next price", async () => {
+  const { manager, sent, trade } = createManager();
+  manager.addAlert(rangeAlert({ event: "exit" }));
+  await trade("AAPL", 110);
+
+  manager.replaceAlert(rangeAlert({ event: "exit", lower: 112 }));
+
+  await trade("AAPL", 111);
+  assert.equal(
+    sent.length,
+    0,
+    "the first price under the new band only sets its position"
+  );
+  await trade("AAPL", 113);
+  await trade("AAPL", 111);
+  assert.equal(sent.length, 1);
+});
+
+test("a disabled update stops monitoring the alert", async () => {
+  const { manager, sent, trade } = createManager();
+  manager.addAlert(rangeAlert({ event: "exit" }));
+  await trade("AAPL", 110);
+
+  manager.replaceAlert(rangeAlert({ event: "exit" }, { enabled: false }));
+
+  assert.equal(manager.findAlert("range-1"), null);
+  assert.equal(manager.rangeStates.has("range-1"), false);
+  await trade("AAPL", 125);
+  assert.equal(sent.length, 0);
+});
+
+const trailingAlert = (overrides = {}) => ({
+  id: "trail-1",
+  user_id: "user-1",
+  symbol: "AAPL",
+  direction: "trailing",
+  condition_type: "price",
+  target_value: null,
+  trail_amount: 5,
+  trail_percent: null,
+  trail_side: "long",
+  high_water_mark: null,
+  cooldown_seconds: 0,
+  enabled: true,
+  ...overrides,
+});
+
+test("a long trailing stop follows the high and fires at mark minus the trail", async () => {
+  const { manager, sent, writes, trade } = createManager();
+  const alert = trailingAlert();
+  manager.addAlert(alert);
+
+  await trade("AAPL", 100);
+  await trade("AAPL", 110);
+  assert.equal(manager.getTrailingStop(alert), 105);
+
+  await trade("AAPL", 106);
+  assert.equal(sent.length, 0);
+
+  await trade("AAPL", 105);
+  assert.equal(sent.length, 1);
+  assert.deepEqual(
+    { mark: sent[0].trailing.mark, stop: sent[0].trailing.stop },
+    { mark: 110, stop: 105 }
+  );
+
+  // A fired stop trails again from the trigger price
+  assert.equal(manager.getTrailMark(alert), 105);
+  await new Promise((resolve) => setImmediate(resolve));
+  const markWrites = writes.filter(
+    ([method]) => method === "updateAlertHighWaterMark"
+  );
+  assert.deepEqual(markWrites.at(-1), [
+    "updateAlertHighWaterMark",
+    "trail-1",
+    105,
+  ]);
+});
+
+test("a short trailing stop follows the low and fires at mark plus the trail", async () => {
+  const { manager, sent, trade } = createManager();
+  const alert = trailingAlert({
+    trail_amount: null,
+    trail_percent: 10,
+    trail_side: "short",
+  });
+  manager.addAlert(alert);
+
+  await trade("AAPL", 100);
+  await trade("AAPL", 90);
+  assert.equal(manager.getTrailingStop(alert), 99);
+
+  await trade("AAPL", 98);
+  assert.equal(sent.length, 0);
+
+  await trade("AAPL", 99);
+  assert.equal(sent.length, 1);
+});
+
+test("the stored high-water mark is used after a restart", async () => {
+  const { manager, sent, trade } = createManager();
+  manager.addAlert(trailingAlert({ high_water_mark: 120 }));
+
+  await trade("AAPL", 114);
+  assert.equal(sent.length, 1);
+});
+
+test("an update with an older stored mark keeps the mark in memory", async () => {
+  const { manager, sent, trade } = createManager();
+  manager.addAlert(trailingAlert());
+  await trade("AAPL", 100);
+  await trade("AAPL", 120);
+
+  // The webhook of an earlier mark write arrives after the mark moved on
+  manager.replaceAlert(trailingAlert({ high_water_mark: 100, notes: "x" }));
+  assert.equal(manager.getTrailMark(manager.findAlert("trail-1")), 120);
+
+  await trade("AAPL", 114);
+  assert.equal(sent.length, 1);
+});
+
+test("changing the trail starts trailing again from the next price", async () => {
+  const { manager, sent, trade } = createManager();
+  manager.addAlert(trailingAlert());
+  await trade("AAPL", 120);
+
+  // PUT /alerts/:id clears the stored mark along with the new trail
+  manager.replaceAlert(trailingAlert({ trail_amount: 10 }));
+
+  await trade("AAPL", 111);
+  assert.equal(sent.length, 0);
+  assert.equal(manager.getTrailMark(manager.findAlert("trail-1")), 111);
+});
@@ -0,0 +1,290 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const NotificationOutbox = require("../src/services/notificationOutbox");
+
+/**
+ * In-memory notification_outbox with the same conditional claim as
+ * SupabaseService.claimOutboxMessage
+ */
+function createStore() {
+  const rows = new Map();
+  let nextId = 1;
+
+  return {
+    rows,
+    async createOutboxMessages(messages) {
+      return messages.map((message) => {
+        const row = { id: String(nextId++), ...message };
+        rows.set(row.id, row);
+        return { ...row };
+      });
+    },
+    async getDueOutboxMessages(now, limit) {
+      return [...rows.values()]
+        .filter(
+          (row) =>
+            ["pending", "sending"].includes(row.status) &&
+            row.next_attempt_at <= now
+        )
+        .slice(0, limit)
+        .map((row) => ({ ...row }));
+    },
+    async claimOutboxMessage(id, { statuses, dueBy, leaseUntil }) {
+      const row = rows.get(id);
+      if (
+        !row ||
+        !statuses.includes(row.status) ||
+        (dueBy && row.next_attempt_at > dueBy)
+      ) {
+        return null;
+      }
+      Object.assign(row, { status: "sending", next_attempt_at: leaseUntil });
+      return { ...row };
+    },
+    async getOutboxMessage(id) {
+      return rows.has(id) ? { ...rows.get(id) } : null;
+    },
+    async updateOutboxMessage(id, changes) {
+      Object.assign(rows.get(id), changes);
+      return { ...rows.get(id) };
+    },
+    async deleteOutboxMessages(ids) {
+      ids.forEach((id) => rows.delete(id));
+    },
+  };
+}
+
+/**
+ * Router stand-in that records every send; channels named in failing fail
+ */
+function createRouter(failing = new Set(), delayMs = 0) {
+  const sends = [];
+  return {
+    sends,
+    resolveChannels: (channels) => channels || ["discord"],
+    async sendAlert(notification, channels) {
+      sends.push(...channels);
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+      return Object.fromEntries(
+        channels.map((channel) => [
+          channel,
+          failing.has(channel)
+            ? { success: false, error: `${channel} is down` }
+            : { success: true },
+        ])
+      );
+    },
+  };
+}
+
+const notification = (channels) => ({
+  symbol: "AAPL",
+  currentPrice: 190,
+  timestamp: new Date(),
+  alert: { id: "alert-1", user_id: "user-1", channels },
+});
+
+const past = () => new Date(Date.now() - 1000).toISOString();
+
+test("delivered messages are removed and failed ones wait for a retry", async () => {
+  const store = createStore();
+  const outbox = new NotificationOutbox(
+    store,
+    createRouter(new Set(["slack"]))
+  );
+
+  const delivery = await outbox.sendAlert(notification(["discord", "slack"]));
+
+  assert.equal(delivery.discord.success, true);
+  assert.equal(delivery.slack.success, false);
+  assert.equal(delivery.slack.queued, true);
+
+  const [message] = [...store.rows.values()];
+  assert.equal(store.rows.size, 1);
+  assert.equal(message.channel, "slack");
+  assert.equal(message.status, "pending");
+  assert.equal(message.attempts, 1);
+  assert.ok(message.next_attempt_at > new Date().toISOString());
+});
+
+test("messages are written claimed for the immediate attempt", async () => {
+  const store = createStore();
+  const outbox = new NotificationOutbox(store, createRouter(), {
+    leaseMs: 60 * 1000,
+  });
+  let written;
+  const create = store.createOutboxMessages;
+  store.createOutboxMessages = async (messages) => {
+    written = messages;
+    return create(messages);
+  };
+
+  const before = Date.now();
+  await outbox.sendAlert(notification(["discord"]));
+
+  assert.equal(written[0].status, "sending");
+  const lease = Date.parse(written[0].next_attempt_at) - before;
+  assert.ok(lease >= 60 * 1000 && lease < 61 * 1000);
+});
+
+test("a message claimed by another attempt is not sent again", async () => {
+  const store = createStore();
+  const router = createRouter(new Set(), 20);
+  const first = new NotificationOutbox(store, router);
+  const second = new NotificationOutbox(store, router);
+  await store.createOutboxMessages([
+    {
+      kind: "alert",
+      channel: "discord",
+      payload: notification(),
+      status: "pending",
+      attempts: 1,
+      next_attempt_at: past(),
+    },
+  ]);
+
+  // Both instances read the message as due; only one claims it
+  await Promise.all([first.processDue(), second.processDue()]);
+
+  assert.deepEqual(router.sends, ["discord"]);
+  assert.equal(store.rows.size, 0);
+});
+
+test("a claim is respected until its lease runs out", async () => {
+  const store = createStore();
+  const router = createRouter();
+  const outbox = new NotificationOutbox(store, router);
+  const [message] = await store.createOutboxMessages([
+    {
+      kind: "alert",
+      channel: "discord",
+      payload: notification(),
+      status: "sending",
+      attempts: 0,
+      next_attempt_at: new Date(Date.now() + 60 * 1000).toISOString(),
+    },
+  ]);
+
+  await outbox.processDue();
+  assert.deepEqual(router.sends, []);
+
+  // The attempt that claimed it crashed; the lease has run out
+  store.rows.get(message.id).next_attempt_at = past();
+  await outbox.processDue();
+  assert.deepEqual(router.sends, ["discord"]);
+  assert.equal(store.rows.size, 0);
+});
+
+test("a message is dead-lettered after maxAttempts failures", async () => {
+  const store = createStore();
+  const outbox = new NotificationOutbox(
+    store,
+    createRouter(new Set(["discord"])),
+    { maxAttempts: 2 }
+  );
+
+  await outbox.sendAlert(notification(["discord"]));
+  const [message] = [...store.rows.values()];
+  assert.equal(message.status, "pending");
+
+  message.next_attempt_at = past();
+  await outbox.processDue();
+
+  assert.equal(message.status, "dead");
+  assert.equal(message.attempts, 2);
+  assert.equal(message.next_attempt_at, null);
+});
+
+test("only dead letters can be retried by an operator", async () => {
+  const store = createStore();
+  const router = createRouter();
+  const outbox = new NotificationOutbox(store, router);
+  const [pending, dead] = await store.createOutboxMessages(
+    ["pending", "dead"].map((status) => ({
+      kind: "alert",
+      channel: "discord",
+      payload: notification(),
+      status,
+      attempts: 5,
+      next_attempt_at: null,
+    }))
+  );
+
+  const refused = await outbox.retry(pending.id);
+  assert.equal(refused.retried, false);
+  assert.equal(refused.message.status, "pending");
+  assert.deepEqual(router.sends, []);
+
+  const retried = await outbox.retry(dead.id);
+  assert.deepEqual(retried, { retried: true, delivered: true, message: null });
+  assert.deepEqual(router.sends, ["discord"]);
+
+  assert.equal(await outbox.retry("missing"), null);
+});
+
+test("concurrent operator retries send a dead letter once", async () => {
+  const store = createStore();
+  const router = createRouter(new Set(), 20);
+  const outbox = new NotificationOutbox(store, router);
+  const [dead] = await store.createOutboxMessages([
+    {
+      kind: "alert",
+      channel: "discord",
+      payload: notification(),
+      status: "dead",
+      attempts: 5,
+      next_attempt_at: null,
+    },
+  ]);
+
+  const results = await Promise.all([
+    outbox.retry(dead.id),
+    outbox.retry(dead.id),
+  ]);
+
+  assert.deepEqual(results.map((result) => result.retried).sort(), [
+    false,
+    true,
+  ]);
+  assert.deepEqual(router.sends, ["discord"]);
+});
+
+test("a failed operator retry starts a fresh set of attempts", async () => {
+  const store = createStore();
+  const outbox = new NotificationOutbox(
+    store,
+    createRouter(new Set(["discord"]))
+  );
+  const [dead] = await store.createOutboxMessages([
+    {
+      kind: "alert",
+      channel: "discord",
+      payload: notification(),
+      status: "dead",
+      attempts: 5,
+      next_attempt_at: null,
+    },
+  ]);
+
+  const result = await outbox.retry(dead.id);
+
+  assert.equal(result.delivered, false);
+  assert.equal(result.message.status, "pending");
+  assert.equal(result.message.attempts, 1);
+});
+
+test("retry delays back off exponentially with jitter up to the maximum", () => {
+  const outbox = new NotificationOutbox(createStore(), createRouter(), {
+    baseDelayMs: 1000,
+    maxDelayMs: 5000,
+  });
+
+  for (let i = 0; i < 20; i++) {
+    const first = outbox.getRetryDelay(1);
+    const third = outbox.getRetryDelay(3);
+    const capped = outbox.getRetryDelay(10);
+    assert.ok(first >= 500 && first <= 1000);
+    assert.ok(third >= 2000 && third <= 4000);
+    assert.ok(capped >= 2500 && capped <= 5000);
+  }
+});
@@ -0,0 +1,135 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const QuietHoursService = require("../src/services/quietHours");
+
+const service = new QuietHoursService(null, null);
+
+const at = (iso) => new Date(iso);
+
+test("a window inside one day covers its start but not its end", () => {
+  const preferences = {
+    timezone: "UTC",
+    quiet_hours: [{ start: "12:00", end: "13:00" }],
+  };
+
+  assert.equal(
+    service.isQuietTime(preferences, at("2026-01-09T11:59Z")),
+    false
+  );
+  assert.equal(service.isQuietTime(preferences, at("2026-01-09T12:00Z")), true);
+  assert.equal(service.isQuietTime(preferences, at("2026-01-09T12:59Z")), true);
+  assert.equal(
+    service.isQuietTime(preferences, at("2026-01-09T13:00Z")),
+    false
+  );
+});
+
+test("a window that wraps past midnight covers both sides of it", () => {
+  const preferences = {
+    timezone: "UTC",
+    quiet_hours: [{ start: "22:00", end: "07:00" }],
+  };
+
+  assert.equal(
+    service.isQuietTime(preferences, at("2026-01-09T21:59Z")),
+    false
+  );
+  assert.equal(service.isQuietTime(preferences, at("2026-01-09T22:00Z")), true);
+  assert.equal(service.isQuietTime(preferences, at("2026-01-09T23:59Z")), true);
+  assert.equal(service.isQuietTime(preferences, at("2026-01-10T00:00Z")), true);
+  assert.equal(service.isQuietTime(preferences, at("2026-01-10T06:59Z")), true);
+  assert.equal(
+    service.isQuietTime(preferences, at("2026-01-10T07:00Z")),
+    false
+  );
+});
+
+test("a wrapping window's days are the days it starts on", () => {
+  // Friday night only: quiet until Saturday morning, not on Friday morning
+  const preferences = {
+    timezone: "UTC",
+    quiet_hours: [{ start: "22:00", end: "07:00", days: ["fri"] }],
+  };
+
+  assert.equal(
+    service.isQuietTime(preferences, at("2026-01-09T02:00Z")),
+    false
+  );
+  assert.equal(service.isQuietTime(preferences, at("2026-01-09T23:00Z")), true);
+  assert.equal(service.isQuietTime(preferences, at("2026-01-10T02:00Z")), true);
+  assert.equal(
+    service.isQuietTime(preferences, at("2026-01-10T23:00Z")),
+    false
+  );
+});
+
+test("windows are in the user's timezone", () => {
+  const preferences = {
+    timezone: "America/New_York",
+    quiet_hours: [{ start: "22:00", end: "07:00" }],
+  };
+
+  // 23:00 and 06:30 in New York (EDT, UTC-4)
+  assert.equal(service.isQuietTime(preferences, at("2026-07-01T03:00Z")), true);
+  assert.equal(service.isQuietTime(preferences, at("2026-07-01T10:30Z")), true);
+  // 12:00 in New York
+  assert.equal(
+    service.isQuietTime(preferences, at("2026-07-01T16:00Z")),
+    false
+  );
+});
+
+test("no windows means never quiet", () => {
+  assert.equal(
+    service.isQuietTime({ timezone: "UTC", quiet_hours: [] }, new Date()),
+    false
+  );
+});
+
+test("high-priority alerts are delivered during quiet hours", async () => {
+  const quietHours = new QuietHoursService(null, null);
+  quietHours.setPreferences("user-1", {
+    timezone: "UTC",
+    quiet_hours: [{ start: "22:00", end: "07:00" }],
+    quiet_hours_action: "drop",
+  });
+  const night = at("2026-01-09T23:00Z");
+
+  assert.deepEqual(
+    await quietHours.getDeliveryAction(
+      { user_id: "user-1", priority: "high" },
+      night
+    ),
+    { action: "deliver", timezone: "UTC" }
+  );
+  assert.deepEqual(
+    await quietHours.getDeliveryAction({ user_id: "user-1" }, night),
+    { action: "drop", timezone: "UTC" }
+  );
+});
+
+test("held alerts are released once quiet hours are over", async () => {
+  const quietHours = new QuietHoursService(null, null, { maxHeldPerUser: 2 });
+  quietHours.setPreferences("user-1", {
+    timezone: "UTC",
+    quiet_hours: [{ start: "22:00", end: "07:00" }],
+  });
+  quietHours.hold("user-1", { symbol: "AAPL" });
+  quietHours.hold("user-1", { symbol: "MSFT" });
+  quietHours.hold("user-1", { symbol: "TSLA" });
+
+  const released = [];
+  quietHours.on("release", (summary) => released.push(summary));
+
+  await quietHours.releaseHeld(at("2026-01-10T06:00Z"));
+  assert.equal(released.length, 0);
+
+  await quietHours.releaseHeld(at("2026-01-10T07:00Z"));
+  assert.equal(released.length, 1);
+  assert.deepEqual(
+    released[0].notifications.map((notification) => notification.symbol),
+    ["MSFT", "TSLA"]
+  );
+  assert.equal(released[0].dropped, 1);
+  assert.equal(quietHours.getStatistics().heldAlerts, 0);
+});
@@ -0,0 +1,8 @@
+// Loaded before every test file (see the test script in package.json).
+// config.js validates these on load; no test talks to the real services.
+process.env.NODE_ENV = "test";
+process.env.SUPABASE_URL = "http://localhost:54321";
+process.env.SUPABASE_ANON_KEY = "test-anon-key";
+process.env.FINNHUB_API_KEY = "test-finnhub-key";
+process.env.DISCORD_WEBHOOK_URL = "http://localhost:9/discord";
+process.env.MARKET_DATA_PROVIDER = "simulated";
@@ -0,0 +1,192 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const axios = require("axios");
+const WebhookService = require("../src/services/webhook");
+const {
+  signOutboundWebhook,
+  verifyOutboundWebhook,
+  generateWebhookSecret,
+} = require("../src/utils/webhooks");
+
+const secret = "whsec_test_secret_0123456789";
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Replace axios.post with a stub that answers each call with the next
+ * status (an error for non-2xx) and records every request
+ * @param {Array<number>} statuses - Response status per call
+ * @returns {Array<Object>} Recorded requests (url, body, headers)
+ */
+function stubPost(statuses) {
+  const requests = [];
+  mock.method(axios, "post", async (url, body, options) => {
+    requests.push({ url, body, headers: options.headers });
+    const status = statuses[requests.length - 1] ?? 200;
+    if (status >= 300) {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.response = { status };
+      throw error;
+    }
+    return { status };
+  });
+  return requests;
+}
+
+const notification = {
+  symbol: "AAPL",
+  currentPrice: 190.5,
+  targetPrice: 190,
+  direction: "above",
+  timestamp: new Date("2026-01-09T15:00:00Z"),
+  deliveryId: "delivery-1",
+  alert: { id: "alert-1", condition_type: "price" },
+};
+
+test("the signature is an HMAC-SHA256 of the timestamp and body", () => {
+  const body = JSON.stringify({ hello: "world" });
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`1767970800.${body}`)
+    .digest("hex");
+
+  assert.equal(
+    signOutboundWebhook(body, 1767970800, secret),
+    `sha256=${expected}`
+  );
+});
+
+test("a signed request verifies, and any change to it does not", () => {
+  const body = JSON.stringify({ hello: "world" });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = signOutboundWebhook(body, timestamp, secret);
+
+  assert.equal(verifyOutboundWebhook(body, signature, timestamp, secret), true);
+  assert.equal(
+    verifyOutboundWebhook(`${body} `, signature, timestamp, secret),
+    false
+  );
+  assert.equal(
+    verifyOutboundWebhook(body, signature, timestamp + 1, secret),
+    false
+  );
+  assert.equal(
+    verifyOutboundWebhook(body, signature, timestamp, `${secret}x`),
+    false
+  );
+  assert.equal(
+    verifyOutboundWebhook(body, "sha256=", timestamp, secret),
+    false
+  );
+  assert.equal(
+    verifyOutboundWebhook(body, undefined, timestamp, secret),
+    false
+  );
+});
+
+test("old timestamps are rejected", () => {
+  const body = "{}";
+  const timestamp = Math.floor(Date.now() / 1000) - 600;
+  const signature = signOutboundWebhook(body, timestamp, secret);
+
+  assert.equal(
+    verifyOutboundWebhook(body, signature, timestamp, secret),
+    false
+  );
+  assert.equal(
+    verifyOutboundWebhook(body, signature, timestamp, secret, 900),
+    true
+  );
+});
+
+test("generated secrets are random", () => {
+  const first = generateWebhookSecret();
+  assert.match(first, /^whsec_[0-9a-f]{48}$/);
+  assert.notEqual(first, generateWebhookSecret());
+});
+
+test("webhooks cannot be created without a signing secret", () => {
+  assert.throws(
+    () => new WebhookService("http://localhost/hook"),
+    /signing secret is required/
+  );
+});
+
+test("every request is signed and carries the delivery ID", async () => {
+  const requests = stubPost([200]);
+  const webhook = new WebhookService("http://localhost/hook", { secret });
+
+  await webhook.send(notification);
+
+  assert.equal(requests.length, 1);
+  const [{ body, headers }] = requests;
+  const payload = JSON.parse(body);
+  assert.equal(payload.id, "delivery-1");
+  assert.equal(payload.event, "alert.triggered");
+  assert.equal(payload.data.symbol, "AAPL");
+  assert.equal(headers["X-Webhook-Id"], "delivery-1");
+  assert.equal(
+    verifyOutboundWebhook(
+      body,
+      headers["X-Signature"],
+      headers["X-Timestamp"],
+      secret
+    ),
+    true
+  );
+});
+
+test("retryable failures are retried with the same ID and a fresh signature", async () => {
+  const requests = stubPost([503, 429, 200]);
+  let now = Date.now();
+  mock.method(Date, "now", () => (now += 1000));
+  const webhook = new WebhookService("http://localhost/hook", {
+    secret,
+    retryDelayMs: 1,
+  });
+
+  await webhook.send(notification);
+
+  assert.equal(requests.length, 3);
+  assert.deepEqual(
+    requests.map((request) => request.headers["X-Webhook-Id"]),
+    ["delivery-1", "delivery-1", "delivery-1"]
+  );
+  const timestamps = requests.map((request) => request.headers["X-Timestamp"]);
+  assert.equal(new Set(timestamps).size, 3);
+  for (const { body, headers } of requests) {
+    assert.equal(
+      headers["X-Signature"],
+      signOutboundWebhook(body, headers["X-Timestamp"], secret)
+    );
+  }
+});
+
+test("client errors fail at once and retries stop at maxRetries", async () => {
+  const webhook = new WebhookService("http://localhost/hook", {
+    secret,
+    maxRetries: 2,
+    retryDelayMs: 1,
+  });
+
+  let requests = stubPost([400]);
+  await assert.rejects(webhook.send(notification), /status code 400/);
+  assert.equal(requests.length, 1);
+
+  mock.restoreAll();
+  requests = stubPost([500, 500, 500, 500]);
+  await assert.rejects(webhook.send(notification), /status code 500/);
+  assert.equal(requests.length, 3);
+});
+
+test("with the outbox retrying, a send is a single request", async () => {
+  const requests = stubPost([503]);
+  const webhook = new WebhookService("http://localhost/hook", {
+    secret,
+    maxRetries: 0,
+  });
+
+  await assert.rejects(webhook.send(notification));
+  assert.equal(requests.length, 1);
+});